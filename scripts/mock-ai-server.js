@@ -0,0 +1,230 @@
+/**
+ * Mock AI Server
+ * A local stand-in for every AI provider adapter, for trying the AI features without an account
+ * Serves the OpenAI-compatible, Azure OpenAI and Ollama request shapes on one port and answers
+ * with canned insights, or canned cleaning suggestions when a JSON reply is requested.
+ *
+ * Usage: node scripts/mock-ai-server.js [port]   (default port: 8787, or MOCK_AI_PORT)
+ *
+ * Endpoints to enter in the task pane:
+ * - OpenAI-compatible: http://localhost:8787/v1/chat/completions (any API key)
+ * - Azure OpenAI:      http://localhost:8787 (any deployment name and API key)
+ * - Ollama:            http://localhost:8787
+ *
+ * Simulated trouble, for trying timeouts, retries and cancelling:
+ * - MOCK_AI_FAIL_FIRST=N answers the first N chat requests with 429 and Retry-After: 1
+ * - MOCK_AI_DELAY_MS=N waits N milliseconds before every answer
+ */
+
+const http = require("http");
+
+const DEFAULT_PORT = 8787;
+
+// Largest request body accepted, so a runaway client can't exhaust memory
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const CORS_HEADERS = {
+  "Access-Control-Allow-Origin": "*",
+  "Access-Control-Allow-Methods": "POST, OPTIONS",
+  "Access-Control-Allow-Headers": "Content-Type, Authorization, api-key",
+  // Without this, browsers hide Retry-After from the add-in
+  "Access-Control-Expose-Headers": "Retry-After"
+};
+
+const FAIL_FIRST = Number(process.env.MOCK_AI_FAIL_FIRST || 0);
+const DELAY_MS = Number(process.env.MOCK_AI_DELAY_MS || 0);
+
+// Chat requests received so far, for MOCK_AI_FAIL_FIRST
+let requestCount = 0;
+
+/**
+ * Builds the canned reply text for a request
+ * @param {string} adapter - The adapter the request was shaped for
+ * @param {Array<Object>} messages - The chat messages sent
+ * @param {boolean} wantsJson - Whether a JSON reply was requested
+ * @returns {string} The reply text
+ */
+function buildReply(adapter, messages, wantsJson) {
+  if (wantsJson) {
+    return JSON.stringify({
+      suggestions: [
+        { op: "trimWhitespace", reason: `Mock suggestion from the ${adapter} adapter` },
+        { op: "normalizeCasing", column: "A", options: { mode: "smartTitle" }, reason: "Names are in mixed case" },
+        { op: "mapValues", column: "B", options: { from: "NY", to: "New York" }, reason: "State is abbreviated in some rows" },
+        { op: "dropTable", reason: "Unsupported on purpose, to show that it is ignored" }
+      ]
+    });
+  }
+  
+  const lineCount = messages.map((message) => String(message.content)).join("\n").split("\n").length;
+  return `Mock insights from the ${adapter} adapter (prompt of ${lineCount} lines):\n` +
+    "- Column A mixes upper and lower case names\n" +
+    "- Some states are abbreviated";
+}
+
+/**
+ * Sends a JSON response with CORS headers
+ * @param {http.ServerResponse} response - The response
+ * @param {number} status - HTTP status code
+ * @param {Object} body - The JSON body
+ * @param {Object} headers - Extra response headers (optional)
+ */
+function sendJson(response, status, body, headers = {}) {
+  response.writeHead(status, { ...CORS_HEADERS, ...headers, "Content-Type": "application/json" });
+  response.end(JSON.stringify(body));
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} request - The request
+ * @returns {Promise<Object>} The parsed body
+ * @throws {Error} If the body is too large or not valid JSON
+ */
+function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new Error(`Invalid JSON body: ${error.message}`));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Wraps reply text in an OpenAI chat completion response (also used by Azure OpenAI)
+ * @param {string} model - The model or deployment name
+ * @param {string} content - The reply text
+ * @returns {Object} The response body
+ */
+function chatCompletion(model, content) {
+  return {
+    id: `chatcmpl-mock-${Date.now()}`,
+    object: "chat.completion",
+    created: Math.floor(Date.now() / 1000),
+    model,
+    choices: [{ index: 0, message: { role: "assistant", content }, finish_reason: "stop" }]
+  };
+}
+
+/**
+ * Handles one request, checking it has the shape the matching adapter sends
+ * @param {http.IncomingMessage} request - The request
+ * @param {http.ServerResponse} response - The response
+ */
+async function handleRequest(request, response) {
+  const url = new URL(request.url, "http://localhost");
+  
+  if (request.method === "OPTIONS") {
+    response.writeHead(204, CORS_HEADERS);
+    response.end();
+    return;
+  }
+  if (request.method !== "POST") {
+    sendJson(response, 405, { error: { message: "Only POST is supported" } });
+    return;
+  }
+  
+  let body;
+  try {
+    body = await readJsonBody(request);
+  } catch (error) {
+    sendJson(response, 400, { error: { message: error.message } });
+    return;
+  }
+  if (!Array.isArray(body.messages)) {
+    sendJson(response, 400, { error: { message: "messages must be an array" } });
+    return;
+  }
+  
+  requestCount++;
+  if (DELAY_MS > 0) {
+    await new Promise((resolve) => setTimeout(resolve, DELAY_MS));
+  }
+  if (requestCount <= FAIL_FIRST) {
+    console.log(`[mock] request ${requestCount} of ${FAIL_FIRST} failing with 429`);
+    sendJson(response, 429, { error: { message: "Rate limit reached (simulated)" } }, { "Retry-After": "1" });
+    return;
+  }
+  
+  const wantsOpenAIJson = Boolean(body.response_format && body.response_format.type === "json_object");
+  const azureMatch = url.pathname.match(/^\/openai\/deployments\/([^/]+)\/chat\/completions$/);
+  
+  if (url.pathname === "/v1/chat/completions") {
+    if (!/^Bearer \S+/.test(request.headers.authorization || "")) {
+      sendJson(response, 401, { error: { message: "Missing bearer token" } });
+      return;
+    }
+    if (!body.model) {
+      sendJson(response, 400, { error: { message: "model is required" } });
+      return;
+    }
+    console.log(`[openai] model=${body.model} json=${wantsOpenAIJson}`);
+    sendJson(response, 200, chatCompletion(body.model, buildReply("openai", body.messages, wantsOpenAIJson)));
+    return;
+  }
+  
+  if (azureMatch) {
+    if (!request.headers["api-key"]) {
+      sendJson(response, 401, { error: { code: "401", message: "Missing api-key header" } });
+      return;
+    }
+    if (!url.searchParams.get("api-version")) {
+      sendJson(response, 404, { error: { code: "404", message: "Missing api-version query parameter" } });
+      return;
+    }
+    const deployment = decodeURIComponent(azureMatch[1]);
+    console.log(`[azure] deployment=${deployment} api-version=${url.searchParams.get("api-version")} json=${wantsOpenAIJson}`);
+    sendJson(response, 200, chatCompletion(deployment, buildReply("azure", body.messages, wantsOpenAIJson)));
+    return;
+  }
+  
+  if (url.pathname === "/api/chat") {
+    if (!body.model) {
+      sendJson(response, 400, { error: "model is required" });
+      return;
+    }
+    if (body.stream !== false) {
+      sendJson(response, 400, { error: "the mock only supports stream: false" });
+      return;
+    }
+    const wantsJson = body.format === "json";
+    console.log(`[ollama] model=${body.model} json=${wantsJson}`);
+    sendJson(response, 200, {
+      model: body.model,
+      created_at: new Date().toISOString(),
+      message: { role: "assistant", content: buildReply("ollama", body.messages, wantsJson) },
+      done: true
+    });
+    return;
+  }
+  
+  sendJson(response, 404, { error: { message: `No mock for ${url.pathname}` } });
+}
+
+const port = Number(process.argv[2] || process.env.MOCK_AI_PORT || DEFAULT_PORT);
+
+http
+  .createServer((request, response) => {
+    handleRequest(request, response).catch((error) => {
+      console.error("Mock AI server error:", error);
+      sendJson(response, 500, { error: { message: error.message } });
+    });
+  })
+  .listen(port, () => {
+    console.log(`Mock AI server listening on http://localhost:${port}`);
+  });
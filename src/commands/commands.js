@@ -1,10 +1,29 @@
 /**
  * Office.js Commands Module
- * Handles ribbon command button actions
+ * Handles ribbon and cell context menu command actions
+ * Quick clean commands run without the task pane and report through a small notification dialog
  */
 
 /* global Office */
 
+// Settings keys shared with the task pane
+const RECIPE_SETTING_KEY = "dataCleaner.recipes";
+const QUICK_CLEAN_SETTING_KEY = "dataCleaner.quickCleanRecipe";
+
+// Page that shows a command's result, next to this file's function page
+const NOTIFICATION_PAGE = "notification.html";
+
+// Notification dialog size, as a percentage of the Excel window
+const NOTIFICATION_HEIGHT = 30;
+const NOTIFICATION_WIDTH = 35;
+
+// How long a success notification stays up; errors stay until closed
+const NOTIFICATION_DISMISS_MS = 8000;
+
+const ExcelUtils = window.ExcelUtils || {};
+const DataCleaner = window.DataCleaner || {};
+const RecipeStore = window.RecipeStore || {};
+
 /**
  * Initializes the add-in when the ribbon loads
  */
@@ -24,7 +43,206 @@ function showTaskpane(event) {
   event.completed();
 }
 
-// Register the function with Office.js
+/**
+ * Shows a command's result in a small dialog
+ * Office has no toast for Excel add-ins, so this is the notification. A success closes
+ * itself after NOTIFICATION_DISMISS_MS; an error waits for the user.
+ * @param {string} title - The command name
+ * @param {string} message - What happened
+ * @param {string} type - "success" or "error"
+ * @returns {Promise<void>} Resolves once the dialog is closed, or could not be opened
+ */
+function showNotification(title, message, type) {
+  const url = new URL(NOTIFICATION_PAGE, window.location.href);
+  url.search = new URLSearchParams({ title, message, type }).toString();
+  
+  return new Promise((resolve) => {
+    Office.context.ui.displayDialogAsync(
+      url.href,
+      { height: NOTIFICATION_HEIGHT, width: NOTIFICATION_WIDTH, displayInIframe: true },
+      (result) => {
+        if (result.status !== Office.AsyncResultStatus.Succeeded) {
+          // Only one dialog can be open at a time; the result still goes to the console
+          console.warn(`Could not show the notification (${result.error.message}): ${message}`);
+          resolve();
+          return;
+        }
+        
+        const dialog = result.value;
+        let timer = null;
+        const finish = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+        const close = () => {
+          dialog.close();
+          finish();
+        };
+        
+        // The page posts a message from its "Close" button; closing the window raises an event
+        dialog.addEventHandler(Office.EventType.DialogMessageReceived, close);
+        dialog.addEventHandler(Office.EventType.DialogEventReceived, finish);
+        if (type === "success") {
+          timer = setTimeout(close, NOTIFICATION_DISMISS_MS);
+        }
+      }
+    );
+  });
+}
+
+/**
+ * Runs a command's work and reports the outcome
+ * The command is only marked complete after the notification closes, since Office may unload
+ * this page (and the dialog with it) as soon as it is.
+ * @param {Office.AddinCommands.Event} event - The command event
+ * @param {string} title - The command name, shown on the notification
+ * @param {Function} action - Async function returning the success message
+ */
+async function runCommand(event, title, action) {
+  let message;
+  let type = "success";
+  
+  try {
+    await ExcelUtils.refreshDocumentSettings();
+    message = await action();
+  } catch (error) {
+    console.error(`Error running ${title}:`, error);
+    message = `Error: ${error.message}`;
+    type = "error";
+  }
+  
+  await showNotification(title, message, type);
+  event.completed();
+}
+
+/**
+ * Finds the recipe chosen for Quick Clean in the task pane
+ * @returns {Object|null} The recipe, or null to use the default cleaning steps
+ * @throws {Error} If the chosen recipe is no longer saved
+ */
+function getQuickCleanRecipe() {
+  const chosen = ExcelUtils.getDocumentSetting(QUICK_CLEAN_SETTING_KEY);
+  if (!chosen) {
+    return null;
+  }
+  
+  const stored = chosen.scope === "user"
+    ? ExcelUtils.getUserSetting(RECIPE_SETTING_KEY, [])
+    : ExcelUtils.getDocumentSetting(RECIPE_SETTING_KEY, []);
+  const recipe = RecipeStore.findRecipe(RecipeStore.readStoredRecipes(stored), chosen.name);
+  if (!recipe) {
+    throw new Error(`The Quick Clean recipe "${chosen.name}" is no longer saved. Choose another one in the task pane.`);
+  }
+  return recipe;
+}
+
+/**
+ * Describes what cleaning changed, e.g. "Trim whitespace: 12 cells; Remove duplicate rows: 2 rows"
+ * @param {Array<Object>} stepResults - Step results from DataCleaner.cleanData
+ * @returns {string} The description, or "" if nothing changed
+ */
+function describeChanges(stepResults) {
+  return stepResults
+    .filter((step) => step.changed > 0)
+    .map((step) => `${step.label}: ${step.changed} ${step.unit}${step.changed === 1 ? "" : "s"}`)
+    .join("; ");
+}
+
+/**
+ * Cleans the selection in place, keeping a snapshot for "Undo Last Clean"
+ * @param {Function} getOptions - Called with the selection's values; returns the cleanData options
+ * @param {Object} options - Write options
+ * @param {string} options.staleRows - One of ExcelUtils.STALE_ROW_MODES (default: "clear")
+ * @param {boolean} options.format - Bold the header row and auto-fit the columns (default: false)
+ * @returns {Promise<string>} Message describing the result
+ * @throws {Error} If the selection holds no data or cannot be cleaned
+ */
+async function cleanSelection(getOptions, options = {}) {
+  const range = await ExcelUtils.getSelectedRange();
+  const rangeAddress = await ExcelUtils.getRangeAddress(range);
+  const { values, formulas, valueTypes } = await ExcelUtils.readRangeDetails(range);
+  if (!values || values.length === 0) {
+    throw new Error("Selected range contains no data.");
+  }
+  
+  const result = DataCleaner.cleanData(values, { ...getOptions(values), formulas, valueTypes });
+  const changes = describeChanges(result.stepResults);
+  if (!changes) {
+    // Leave the sheet and the previous snapshot alone
+    return `Nothing to change in ${rangeAddress}.`;
+  }
+  
+  await ExcelUtils.saveRangeSnapshot(range);
+  await ExcelUtils.applyColumnFormats(range, result.columnFormats, result.headerRowIndex, result.cleanedRowCount);
+  const output = DataCleaner.getOutputData(result, true);
+  const outputRange = await ExcelUtils.writeRangeData(range, output.data, {
+    staleRows: options.staleRows || "clear",
+    formulas: output.formulas
+  });
+  
+  if (options.format) {
+    if (result.headerRowIndex !== -1) {
+      await ExcelUtils.formatHeaderRow(outputRange, result.headerRowIndex);
+    }
+    await ExcelUtils.autoFitColumns(outputRange);
+  }
+  
+  return `Cleaned ${rangeAddress}. ${changes}.\n\nUse "Undo Last Clean" to put it back.`;
+}
+
+/**
+ * Handler for "Quick Clean Selection"
+ * Applies the recipe chosen for Quick Clean in the task pane, or the default cleaning steps
+ * @param {Office.AddinCommands.Event} event - The command event
+ */
+function quickCleanSelection(event) {
+  return runCommand(event, "Quick Clean", () => {
+    const recipe = getQuickCleanRecipe();
+    return cleanSelection(
+      (values) => (recipe ? RecipeStore.getRecipeCleaningOptions(recipe, values) : {}),
+      { staleRows: recipe && recipe.settings.staleRows, format: true }
+    );
+  });
+}
+
+/**
+ * Handler for "Trim Only"
+ * Removes leading and trailing whitespace and changes nothing else
+ * @param {Office.AddinCommands.Event} event - The command event
+ */
+function trimSelection(event) {
+  return runCommand(event, "Trim Only", () => cleanSelection(() => ({ pipeline: ["trimWhitespace"] })));
+}
+
+/**
+ * Handler for "Remove Duplicates"
+ * Removes rows that repeat an earlier row exactly, keeping the header row
+ * @param {Office.AddinCommands.Event} event - The command event
+ */
+function removeDuplicatesFromSelection(event) {
+  return runCommand(event, "Remove Duplicates", () => cleanSelection(() => ({ pipeline: ["removeDuplicateRows"] })));
+}
+
+/**
+ * Handler for "Undo Last Clean"
+ * Restores the snapshot of the last clean, whether it came from the task pane or a command
+ * @param {Office.AddinCommands.Event} event - The command event
+ */
+function undoLastClean(event) {
+  return runCommand(event, "Undo Last Clean", async () => {
+    if (!ExcelUtils.hasRangeSnapshot()) {
+      throw new Error("There is no clean to undo.");
+    }
+    const addresses = await ExcelUtils.restoreRangeSnapshot();
+    return `Original data restored.\n\n${addresses.join(", ")}`;
+  });
+}
+
+// Register the functions with Office.js
 if (typeof Office !== "undefined") {
   Office.actions.associate("showTaskpane", showTaskpane);
+  Office.actions.associate("quickCleanSelection", quickCleanSelection);
+  Office.actions.associate("trimSelection", trimSelection);
+  Office.actions.associate("removeDuplicatesFromSelection", removeDuplicatesFromSelection);
+  Office.actions.associate("undoLastClean", undoLastClean);
 }
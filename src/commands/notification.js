@@ -0,0 +1,31 @@
+/**
+ * Notification Dialog Module
+ * Shows the result of a ribbon or context menu command, passed in the page's query string
+ */
+
+/* global Office */
+
+/**
+ * Fills in the notification once Office is ready
+ */
+Office.onReady(() => {
+  const params = new URLSearchParams(window.location.search);
+  const type = params.get("type") === "error" ? "error" : "success";
+  
+  document.title = params.get("title") || document.title;
+  document.getElementById("notificationTitle").textContent = params.get("title") || "";
+  
+  const message = document.getElementById("notificationMessage");
+  message.classList.add(type);
+  message.textContent = params.get("message") || "";
+  
+  document.getElementById("closeNotificationButton").addEventListener("click", handleCloseNotification);
+});
+
+/**
+ * Handler for the "Close" button click
+ * Asks the command that opened the dialog to close it
+ */
+function handleCloseNotification() {
+  Office.context.ui.messageParent("close");
+}
@@ -0,0 +1,161 @@
+/**
+ * Custom Functions Module
+ * Exposes the cleaners as worksheet formulas in the CLEANER namespace, e.g. =CLEANER.TITLE(A2)
+ * Formulas never change their source cells and recalculate whenever the source data changes.
+ * Every function accepts a single cell or a range; a range gives a spilled result of the same shape.
+ */
+
+/* global CustomFunctions */
+
+const DataCleaner = window.DataCleaner || {};
+const ContactNormalizers = window.ContactNormalizers || {};
+
+/**
+ * Applies a function to every cell of a range
+ * Empty cells stay empty, so a column with gaps spills with the same gaps.
+ * @param {Array<Array<any>>} values - The cell values
+ * @param {Function} transform - Called with each non-empty value; returns the result for that cell
+ * @returns {Array<Array<any>>} The results, in the same shape as values
+ */
+function mapCells(values, transform) {
+  return values.map((row) => row.map((value) => (value === "" || value === null ? "" : transform(value))));
+}
+
+/**
+ * Turns a { value } or { error } result from ContactNormalizers into a cell result
+ * @param {Object} result - The normalizer result
+ * @returns {any} The normalized value, or a #VALUE! error carrying the reason
+ */
+function toCellResult(result) {
+  if (result.error) {
+    return new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, result.error);
+  }
+  return result.value;
+}
+
+/**
+ * Wraps an invalid argument in the error Excel shows for it
+ * @param {Error} error - The error thrown while reading the argument
+ * @returns {CustomFunctions.Error} A #VALUE! error with the message
+ */
+function toArgumentError(error) {
+  return new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, error.message);
+}
+
+/**
+ * CLEANER.TRIM: removes leading and trailing whitespace from text
+ * @param {any[][]} values - Cell or range to trim
+ * @returns {any[][]} The trimmed values
+ */
+function trimValues(values) {
+  return mapCells(values, DataCleaner.trimWhitespace);
+}
+
+/**
+ * CLEANER.TITLE: capitalizes the first letter of every word and lowercases the rest
+ * @param {any[][]} values - Cell or range to convert
+ * @returns {any[][]} The converted values
+ */
+function titleCaseValues(values) {
+  return mapCells(values, (value) => (typeof value === "string" ? DataCleaner.toTitleCase(value) : value));
+}
+
+/**
+ * CLEANER.CASE: converts text to the given casing, as the "Normalize casing" step does
+ * @param {any[][]} values - Cell or range to convert
+ * @param {string} mode - One of DataCleaner.CASING_MODES, e.g. "upper" or "smartTitle"
+ * @param {string} [exceptions] - Words to keep as written, e.g. "iPhone, USA, McDonald"
+ * @returns {any[][]} The converted values
+ */
+function caseValues(values, mode, exceptions) {
+  if (!DataCleaner.CASING_MODES.includes(mode)) {
+    throw toArgumentError(new Error(`Unknown casing "${mode}". Use one of: ${DataCleaner.CASING_MODES.join(", ")}.`));
+  }
+  
+  const exceptionList = DataCleaner.parseCasingExceptions(exceptions || "");
+  return mapCells(values, (value) => (
+    typeof value === "string" ? DataCleaner.applyCasing(value.trim(), mode, exceptionList) : value
+  ));
+}
+
+/**
+ * CLEANER.PHONE: normalizes phone numbers to E.164 ("+15551234567") or the country's national format
+ * @param {any[][]} values - Cell or range holding phone numbers
+ * @param {string} [country] - Country for numbers without a country code, e.g. "US", "GB" or 44 (default: US)
+ * @param {string} [format] - "e164" or "national" (default: "e164")
+ * @returns {any[][]} The normalized numbers; #VALUE! for values that aren't phone numbers
+ */
+function phoneValues(values, country, format) {
+  let defaultCountryCode;
+  try {
+    defaultCountryCode = ContactNormalizers.resolveCountryCode(country);
+  } catch (error) {
+    throw toArgumentError(error);
+  }
+  
+  const phoneFormat = format || "e164";
+  if (!ContactNormalizers.PHONE_FORMATS.includes(phoneFormat)) {
+    throw toArgumentError(new Error(`Unknown phone format "${phoneFormat}". Use one of: ${ContactNormalizers.PHONE_FORMATS.join(", ")}.`));
+  }
+  
+  return mapCells(values, (value) => toCellResult(ContactNormalizers.normalizePhone(value, { defaultCountryCode, format: phoneFormat })));
+}
+
+/**
+ * CLEANER.EMAIL: normalizes email addresses (trimmed and lowercased)
+ * @param {any[][]} values - Cell or range holding email addresses
+ * @returns {any[][]} The normalized addresses; #VALUE! for values that aren't email addresses
+ */
+function emailValues(values) {
+  return mapCells(values, (value) => toCellResult(ContactNormalizers.normalizeEmail(value)));
+}
+
+/**
+ * CLEANER.URL: normalizes web addresses and removes tracking parameters such as utm_source
+ * @param {any[][]} values - Cell or range holding web addresses
+ * @returns {any[][]} The normalized addresses; #VALUE! for values that aren't web addresses
+ */
+function urlValues(values) {
+  return mapCells(values, (value) => toCellResult(ContactNormalizers.normalizeUrl(value)));
+}
+
+/**
+ * CLEANER.DATE: reads dates written in any of the common formats as Excel date serials
+ * Format the result cells as dates to see them as dates.
+ * @param {any[][]} values - Cell or range holding dates
+ * @param {boolean} [dayFirst] - Read ambiguous dates such as 03/04/2024 as day/month (default: FALSE)
+ * @returns {any[][]} Date serials; #VALUE! for values that aren't dates
+ */
+function dateValues(values, dayFirst) {
+  return mapCells(values, (value) => {
+    const serial = DataCleaner.parseDateValue(value, { dayFirst: Boolean(dayFirst) });
+    return serial === null
+      ? new CustomFunctions.Error(CustomFunctions.ErrorCode.invalidValue, "Not a date")
+      : serial;
+  });
+}
+
+/**
+ * CLEANER.DEDUPE: removes rows that exactly repeat an earlier row of the range, keeping the first
+ * Blank rows are left out too, so the range can reach past the end of the data and pick up
+ * rows added later. The header row, being unique, is kept.
+ * @param {any[][]} values - Range to remove duplicate rows from
+ * @returns {any[][]} The range without its duplicate rows
+ */
+function dedupeRows(values) {
+  const rows = DataCleaner.removeDuplicateRows(DataCleaner.removeEmptyRows(values));
+  // A formula can't spill nothing, so an empty range gives one empty cell
+  return rows.length > 0 ? rows : [[""]];
+}
+
+// Register the functions with Office.js under the ids in functions.json
+if (typeof CustomFunctions !== "undefined") {
+  CustomFunctions.associate("TRIM", trimValues);
+  CustomFunctions.associate("TITLE", titleCaseValues);
+  CustomFunctions.associate("CASE", caseValues);
+  CustomFunctions.associate("PHONE", phoneValues);
+  CustomFunctions.associate("EMAIL", emailValues);
+  CustomFunctions.associate("URL", urlValues);
+  CustomFunctions.associate("DATE", dateValues);
+  CustomFunctions.associate("DEDUPE", dedupeRows);
+}
@@ -15,112 +15,3084 @@ Office.onReady((info) => {
   }
 });
 
+// Ordered pipeline steps as configured in the task pane ({ op, options, enabled })
+let pipelineSteps = [];
+
+// Dry-run result waiting to be accepted or discarded ({ prepared, diff, previousFills })
+let pendingPreview = null;
+
+// Duplicate groups waiting for review ({ selection, groups, keep })
+let pendingDuplicates = null;
+
+// Validation rules configured in the task pane ({ type, column, ...parameters })
+let validationRules = [];
+
+// Validation or outlier flags currently shown in the workbook ({ range, previousFills })
+let pendingFlags = null;
+
+// Controller for the read or write in progress, aborted by the "Cancel" button
+let activeOperation = null;
+
+// AI suggestions waiting to be picked ({ suggestions, headerRow })
+let pendingSuggestions = null;
+
+// Column index to AIPrivacy mode, for columns whose privacy was chosen in the payload preview
+let privacyColumnModes = {};
+
+// Data shown in the payload preview ({ kind, rangeAddress, data, headerRowIndex })
+let pendingPayloadPreview = null;
+
+// Last profile shown in the task pane, kept for "Export to Sheet" ({ range, profile })
+let currentProfile = null;
+
+// Temporary fill colors used to highlight a preview in the workbook
+const PREVIEW_COLORS = {
+  changed: "#FFF2CC",
+  filled: "#E2EFDA",
+  removed: "#FCE4D6"
+};
+
+// Number of diff entries listed in the preview panel
+const MAX_PREVIEW_ENTRIES = 100;
+
+// Fill color used to flag validation violations in the workbook
+const VIOLATION_COLOR = "#F4B6B6";
+
+// Fill color used to flag outliers in the workbook
+const OUTLIER_COLOR = "#FFD966";
+
+// Number of cleaning issues listed in the status message
+const MAX_LISTED_ISSUES = 20;
+
+// Document settings key holding the casing exception list
+const CASING_EXCEPTIONS_SETTING_KEY = "dataCleaner.casingExceptions";
+
+// Document setting holding the AI provider, endpoint, model and API version (never the API key)
+const AI_PROVIDER_SETTING_KEY = "dataCleaner.aiProvider";
+
+// Provider setting name to the id of its task pane input
+const AI_PROVIDER_FIELDS = {
+  endpoint: "aiEndpoint",
+  model: "aiModel",
+  apiVersion: "aiApiVersion",
+  apiKey: "aiApiKey"
+};
+
+// Document setting holding the AI sampling fields and column privacy choices
+const AI_PRIVACY_SETTING_KEY = "dataCleaner.aiPrivacy";
+
+// Sampling setting name to the id of its task pane input
+const AI_PRIVACY_FIELDS = {
+  strategy: "aiSampleStrategy",
+  sampleSize: "aiSampleSize",
+  seed: "aiSampleSeed",
+  stratifyColumn: "aiStratifyColumn"
+};
+
+// Settings key of the saved recipes, both in the workbook and in the user's settings
+const RECIPE_SETTING_KEY = "dataCleaner.recipes";
+
+// Places a recipe can be saved, with the name shown for each
+const RECIPE_SCOPES = {
+  document: "This workbook",
+  user: "My recipes"
+};
+
+// Document setting naming the recipe the "Quick Clean Selection" command applies ({ scope, name })
+const QUICK_CLEAN_SETTING_KEY = "dataCleaner.quickCleanRecipe";
+
+// Most rows a single AI request may include
+const MAX_AI_SAMPLE_SIZE = 200;
+
+// Document setting holding recent AI replies ({ key, content, savedAt }, newest first)
+const AI_RESPONSE_CACHE_SETTING_KEY = "dataCleaner.aiResponseCache";
+
+// Replies kept in the workbook; older ones are dropped so the settings stay small
+const MAX_CACHED_AI_RESPONSES = 20;
+
+/**
+ * Initializes the UI event handlers
+ */
+function initializeUI() {
+  const cleanButton = document.getElementById("cleanButton");
+  const aiToggle = document.getElementById("aiToggle");
+  
+  const restoreButton = document.getElementById("restoreButton");
+  const previewButton = document.getElementById("previewButton");
+  const acceptPreviewButton = document.getElementById("acceptPreviewButton");
+  const discardPreviewButton = document.getElementById("discardPreviewButton");
+  
+  if (cleanButton) {
+    cleanButton.addEventListener("click", handleCleanData);
+  }
+  
+  if (previewButton) {
+    previewButton.addEventListener("click", handlePreviewChanges);
+  }
+  
+  const reviewDuplicatesButton = document.getElementById("reviewDuplicatesButton");
+  const removeDuplicatesButton = document.getElementById("removeDuplicatesButton");
+  const cancelDuplicatesButton = document.getElementById("cancelDuplicatesButton");
+  
+  if (reviewDuplicatesButton) {
+    reviewDuplicatesButton.addEventListener("click", handleReviewDuplicates);
+  }
+  
+  if (removeDuplicatesButton) {
+    removeDuplicatesButton.addEventListener("click", handleRemoveSelectedDuplicates);
+  }
+  
+  if (cancelDuplicatesButton) {
+    cancelDuplicatesButton.addEventListener("click", hideDuplicateReview);
+  }
+  
+  if (acceptPreviewButton) {
+    acceptPreviewButton.addEventListener("click", handleAcceptPreview);
+  }
+  
+  if (discardPreviewButton) {
+    discardPreviewButton.addEventListener("click", handleDiscardPreview);
+  }
+  
+  if (restoreButton) {
+    restoreButton.addEventListener("click", handleRestoreOriginal);
+  }
+  
+  const cancelButton = document.getElementById("cancelButton");
+  if (cancelButton) {
+    cancelButton.addEventListener("click", handleCancelOperation);
+  }
+  updateRestoreButton();
+  
+  const ruleType = document.getElementById("ruleType");
+  const addRuleButton = document.getElementById("addRuleButton");
+  const validateButton = document.getElementById("validateButton");
+  const clearFlagsButton = document.getElementById("clearFlagsButton");
+  
+  if (ruleType) {
+    Object.entries(ValidationRules.VALIDATION_RULE_TYPES).forEach(([type, definition]) => {
+      const option = document.createElement("option");
+      option.value = type;
+      option.textContent = definition.label;
+      ruleType.appendChild(option);
+    });
+    ruleType.addEventListener("change", updateRuleParameter);
+    updateRuleParameter();
+  }
+  
+  if (addRuleButton) {
+    addRuleButton.addEventListener("click", handleAddRule);
+  }
+  
+  if (validateButton) {
+    validateButton.addEventListener("click", handleValidateSelection);
+  }
+  
+  if (clearFlagsButton) {
+    clearFlagsButton.addEventListener("click", handleClearFlags);
+  }
+  
+  const outlierMethod = document.getElementById("outlierMethod");
+  const outlierThreshold = document.getElementById("outlierThreshold");
+  const findOutliersButton = document.getElementById("findOutliersButton");
+  const clearOutliersButton = document.getElementById("clearOutliersButton");
+  
+  if (outlierMethod && outlierThreshold) {
+    Object.keys(OutlierDetector.OUTLIER_METHODS).forEach((method) => {
+      const option = document.createElement("option");
+      option.value = method;
+      option.textContent = OutlierDetector.OUTLIER_METHODS[method].label;
+      outlierMethod.appendChild(option);
+    });
+    outlierMethod.value = "modifiedZScore";
+    outlierThreshold.value = OutlierDetector.OUTLIER_METHODS.modifiedZScore.defaultThreshold;
+    outlierMethod.addEventListener("change", () => {
+      outlierThreshold.value = OutlierDetector.OUTLIER_METHODS[outlierMethod.value].defaultThreshold;
+    });
+  }
+  
+  if (findOutliersButton) {
+    findOutliersButton.addEventListener("click", handleFindOutliers);
+  }
+  
+  if (clearOutliersButton) {
+    clearOutliersButton.addEventListener("click", handleClearFlags);
+  }
+  
+  const suggestButton = document.getElementById("suggestButton");
+  const applySuggestionsButton = document.getElementById("applySuggestionsButton");
+  const dismissSuggestionsButton = document.getElementById("dismissSuggestionsButton");
+  
+  if (suggestButton) {
+    suggestButton.addEventListener("click", handleSuggestCleaning);
+  }
+  
+  if (applySuggestionsButton) {
+    applySuggestionsButton.addEventListener("click", handleApplySuggestions);
+  }
+  
+  if (dismissSuggestionsButton) {
+    dismissSuggestionsButton.addEventListener("click", hideSuggestions);
+  }
+  
+  const profileButton = document.getElementById("profileButton");
+  const exportProfileButton = document.getElementById("exportProfileButton");
+  
+  if (profileButton) {
+    profileButton.addEventListener("click", handleProfileSelection);
+  }
+  
+  if (exportProfileButton) {
+    exportProfileButton.addEventListener("click", handleExportProfile);
+  }
+  
+  const targetMode = document.getElementById("targetMode");
+  if (targetMode) {
+    targetMode.addEventListener("change", handleTargetModeChange);
+  }
+  
+  const errorPolicy = document.getElementById("errorPolicy");
+  const errorReplacement = document.getElementById("errorReplacement");
+  if (errorPolicy && errorReplacement) {
+    errorPolicy.addEventListener("change", () => {
+      errorReplacement.disabled = errorPolicy.value !== "replace";
+    });
+  }
+  
+  const casingExceptions = document.getElementById("casingExceptions");
+  if (casingExceptions) {
+    casingExceptions.value = ExcelUtils.getDocumentSetting(CASING_EXCEPTIONS_SETTING_KEY, "");
+    casingExceptions.addEventListener("change", handleCasingExceptionsChange);
+  }
+  
+  // Start from every available step in its recommended position
+  pipelineSteps = DataCleaner.PIPELINE_TEMPLATE.map((step) => ({
+    op: step.op,
+    options: { ...step.options },
+    enabled: step.enabled
+  }));
+  renderPipelineSteps();
+  initializeRecipes();
+  
+  // AI toggle doesn't need an event handler - it's checked when cleaning
+  initializeAIProviderSettings();
+  initializeAIPrivacySettings();
+  AIAnalyzer.configureAIResponseCache(createDocumentResponseCache());
+  
+  const clearAICacheButton = document.getElementById("clearAICacheButton");
+  if (clearAICacheButton) {
+    clearAICacheButton.addEventListener("click", handleClearAICache);
+  }
+}
+
+/**
+ * Wires up the recipe controls and lists the saved recipes
+ */
+function initializeRecipes() {
+  const recipeSelect = document.getElementById("recipeSelect");
+  const loadRecipeButton = document.getElementById("loadRecipeButton");
+  const saveRecipeButton = document.getElementById("saveRecipeButton");
+  const deleteRecipeButton = document.getElementById("deleteRecipeButton");
+  const exportRecipeButton = document.getElementById("exportRecipeButton");
+  const importRecipeButton = document.getElementById("importRecipeButton");
+  const recipeFile = document.getElementById("recipeFile");
+  const quickCleanRecipeButton = document.getElementById("quickCleanRecipeButton");
+  
+  if (recipeSelect) {
+    recipeSelect.addEventListener("change", updateRecipeButtons);
+  }
+  
+  if (loadRecipeButton) {
+    loadRecipeButton.addEventListener("click", handleLoadRecipe);
+  }
+  
+  if (saveRecipeButton) {
+    saveRecipeButton.addEventListener("click", handleSaveRecipe);
+  }
+  
+  if (deleteRecipeButton) {
+    deleteRecipeButton.addEventListener("click", handleDeleteRecipe);
+  }
+  
+  if (exportRecipeButton) {
+    exportRecipeButton.addEventListener("click", handleExportRecipe);
+  }
+  
+  if (importRecipeButton) {
+    importRecipeButton.addEventListener("click", handleImportRecipe);
+  }
+  
+  if (recipeFile) {
+    recipeFile.addEventListener("change", handleRecipeFileChosen);
+  }
+  
+  if (quickCleanRecipeButton) {
+    quickCleanRecipeButton.addEventListener("click", handleSetQuickCleanRecipe);
+  }
+  
+  renderRecipeList();
+  renderQuickCleanRecipe();
+}
+
+/**
+ * Reads the valid recipes saved in one place
+ * @param {string} scope - One of the RECIPE_SCOPES keys
+ * @returns {Array<Object>} The recipes, sorted by name
+ */
+function getStoredRecipes(scope) {
+  const stored = scope === "user"
+    ? ExcelUtils.getUserSetting(RECIPE_SETTING_KEY, [])
+    : ExcelUtils.getDocumentSetting(RECIPE_SETTING_KEY, []);
+  return RecipeStore.readStoredRecipes(stored);
+}
+
+/**
+ * Saves the recipe list of one place
+ * @param {string} scope - One of the RECIPE_SCOPES keys
+ * @param {Array<Object>} recipes - The recipes
+ * @returns {Promise<void>}
+ */
+function saveStoredRecipes(scope, recipes) {
+  return scope === "user"
+    ? ExcelUtils.saveUserSetting(RECIPE_SETTING_KEY, recipes)
+    : ExcelUtils.saveDocumentSetting(RECIPE_SETTING_KEY, recipes);
+}
+
+/**
+ * Lists the saved recipes in the recipe picker, grouped by where they are saved
+ * @param {string} selected - Value to select afterwards ("scope:name"), if any
+ */
+function renderRecipeList(selected = null) {
+  const recipeSelect = document.getElementById("recipeSelect");
+  if (!recipeSelect) {
+    return;
+  }
+  
+  recipeSelect.innerHTML = "";
+  const placeholder = document.createElement("option");
+  placeholder.value = "";
+  placeholder.textContent = "Choose a saved recipe";
+  recipeSelect.appendChild(placeholder);
+  
+  Object.keys(RECIPE_SCOPES).forEach((scope) => {
+    let recipes = [];
+    try {
+      recipes = getStoredRecipes(scope);
+    } catch (error) {
+      console.warn(`Could not read recipes from ${RECIPE_SCOPES[scope].toLowerCase()}:`, error);
+    }
+    if (recipes.length === 0) {
+      return;
+    }
+    
+    const group = document.createElement("optgroup");
+    group.label = RECIPE_SCOPES[scope];
+    recipes.forEach((recipe) => {
+      const option = document.createElement("option");
+      option.value = `${scope}:${recipe.name}`;
+      option.textContent = `${recipe.name} (revision ${recipe.revision})`;
+      group.appendChild(option);
+    });
+    recipeSelect.appendChild(group);
+  });
+  
+  recipeSelect.value = selected || "";
+  if (recipeSelect.selectedIndex === -1) {
+    recipeSelect.value = "";
+  }
+  updateRecipeButtons();
+}
+
+/**
+ * Enables the buttons that act on the chosen recipe only while one is chosen
+ */
+function updateRecipeButtons() {
+  const recipeSelect = document.getElementById("recipeSelect");
+  const hasRecipe = Boolean(recipeSelect && recipeSelect.value);
+  ["loadRecipeButton", "deleteRecipeButton", "exportRecipeButton"].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = !hasRecipe;
+    }
+  });
+}
+
+/**
+ * Finds the recipe chosen in the recipe picker
+ * @returns {Object|null} { scope, recipe }, or null if none is chosen
+ * @throws {Error} If the chosen recipe is no longer saved
+ */
+function getChosenRecipe() {
+  const recipeSelect = document.getElementById("recipeSelect");
+  if (!recipeSelect || !recipeSelect.value) {
+    return null;
+  }
+  
+  const separator = recipeSelect.value.indexOf(":");
+  const scope = recipeSelect.value.slice(0, separator);
+  const recipe = RecipeStore.findRecipe(getStoredRecipes(scope), recipeSelect.value.slice(separator + 1));
+  if (!recipe) {
+    throw new Error("That recipe is no longer saved.");
+  }
+  return { scope, recipe };
+}
+
+/**
+ * Collects the current cleaning configuration for a recipe
+ * @returns {Object} { pipeline, settings, validationRules }
+ */
+function captureRecipeConfiguration() {
+  const settings = {};
+  Object.keys(RecipeStore.RECIPE_FIELDS).forEach((field) => {
+    const input = document.getElementById(field);
+    if (input) {
+      settings[field] = RecipeStore.RECIPE_FIELDS[field] === "boolean" ? input.checked : input.value;
+    }
+  });
+  
+  return {
+    pipeline: pipelineSteps.map(({ op, enabled, options }) => ({ op, enabled, options })),
+    settings,
+    validationRules
+  };
+}
+
+/**
+ * Puts a recipe's configuration into the task pane
+ * Each field gets a change event, so dependent fields follow as if the user had set it.
+ * @param {Object} recipe - A validated recipe
+ * @returns {Array<string>} Settings that were skipped because the task pane has no such choice
+ */
+function applyRecipe(recipe) {
+  const skipped = [];
+  
+  Object.keys(RecipeStore.RECIPE_FIELDS).forEach((field) => {
+    const input = document.getElementById(field);
+    if (!input || recipe.settings[field] === undefined) {
+      return;
+    }
+    
+    const value = recipe.settings[field];
+    if (RecipeStore.RECIPE_FIELDS[field] === "boolean") {
+      input.checked = value;
+    } else if (input.tagName === "SELECT" && !Array.from(input.options).some((option) => option.value === value)) {
+      skipped.push(field);
+      return;
+    } else {
+      input.value = value;
+    }
+    input.dispatchEvent(new Event("change"));
+  });
+  
+  pipelineSteps = RecipeStore.getRecipePipeline(recipe);
+  renderPipelineSteps();
+  
+  validationRules = recipe.validationRules.map((rule) => ({ ...rule }));
+  renderValidationRules();
+  return skipped;
+}
+
+/**
+ * Handler for the "Save Settings" button click
+ * Saves the current configuration under the typed name; an existing recipe of that name is
+ * replaced and its revision goes up.
+ */
+async function handleSaveRecipe() {
+  const nameInput = document.getElementById("recipeName");
+  const scopeSelect = document.getElementById("recipeScope");
+  const scope = scopeSelect ? scopeSelect.value : "document";
+  
+  hideStatus();
+  
+  try {
+    const recipes = getStoredRecipes(scope);
+    const name = nameInput ? nameInput.value : "";
+    const recipe = RecipeStore.createRecipe(name, captureRecipeConfiguration(), RecipeStore.findRecipe(recipes, name || ""));
+    
+    await saveStoredRecipes(scope, RecipeStore.upsertRecipe(recipes, recipe));
+    renderRecipeList(`${scope}:${recipe.name}`);
+    showStatus(`Saved recipe "${recipe.name}" (revision ${recipe.revision}) in ${RECIPE_SCOPES[scope].toLowerCase()}.`, "success");
+  } catch (error) {
+    console.error("Error saving recipe:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Load" button click
+ */
+async function handleLoadRecipe() {
+  hideStatus();
+  
+  try {
+    const chosen = getChosenRecipe();
+    if (!chosen) {
+      return;
+    }
+    
+    // A preview made with the old settings no longer matches them
+    await discardPendingPreview();
+    const skipped = applyRecipe(chosen.recipe);
+    
+    const nameInput = document.getElementById("recipeName");
+    const scopeSelect = document.getElementById("recipeScope");
+    if (nameInput) {
+      nameInput.value = chosen.recipe.name;
+    }
+    if (scopeSelect) {
+      scopeSelect.value = chosen.scope;
+    }
+    
+    let message = `Loaded recipe "${chosen.recipe.name}" (revision ${chosen.recipe.revision}).`;
+    if (skipped.length > 0) {
+      message += ` Kept the current value of: ${skipped.join(", ")}.`;
+    }
+    showStatus(message, "success");
+  } catch (error) {
+    console.error("Error loading recipe:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Delete" button click
+ */
+async function handleDeleteRecipe() {
+  hideStatus();
+  
+  try {
+    const chosen = getChosenRecipe();
+    if (!chosen) {
+      return;
+    }
+    
+    await saveStoredRecipes(chosen.scope, RecipeStore.removeRecipe(getStoredRecipes(chosen.scope), chosen.recipe.name));
+    
+    // Quick Clean goes back to the default steps rather than failing on a missing recipe
+    const quickClean = ExcelUtils.getDocumentSetting(QUICK_CLEAN_SETTING_KEY);
+    if (quickClean && quickClean.scope === chosen.scope && RecipeStore.findRecipe([chosen.recipe], quickClean.name)) {
+      await ExcelUtils.saveDocumentSetting(QUICK_CLEAN_SETTING_KEY, null);
+      renderQuickCleanRecipe();
+    }
+    renderRecipeList();
+    showStatus(`Deleted recipe "${chosen.recipe.name}".`, "success");
+  } catch (error) {
+    console.error("Error deleting recipe:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Use for Quick Clean" button click
+ * Makes the chosen recipe the one the ribbon's "Quick Clean Selection" applies in this workbook;
+ * with no recipe chosen, Quick Clean goes back to the default cleaning steps.
+ */
+async function handleSetQuickCleanRecipe() {
+  hideStatus();
+  
+  try {
+    const chosen = getChosenRecipe();
+    await ExcelUtils.saveDocumentSetting(QUICK_CLEAN_SETTING_KEY, chosen ? { scope: chosen.scope, name: chosen.recipe.name } : null);
+    renderQuickCleanRecipe();
+    showStatus(chosen
+      ? `Quick Clean will use the recipe "${chosen.recipe.name}".`
+      : "Quick Clean will use the default cleaning steps.", "success");
+  } catch (error) {
+    console.error("Error choosing the Quick Clean recipe:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Shows which recipe the ribbon's "Quick Clean Selection" applies
+ */
+function renderQuickCleanRecipe() {
+  const quickCleanRecipe = document.getElementById("quickCleanRecipe");
+  if (!quickCleanRecipe) {
+    return;
+  }
+  
+  const chosen = ExcelUtils.getDocumentSetting(QUICK_CLEAN_SETTING_KEY);
+  quickCleanRecipe.textContent = chosen
+    ? `Quick Clean on the ribbon and cell menu uses "${chosen.name}" (${RECIPE_SCOPES[chosen.scope].toLowerCase()}).`
+    : "Quick Clean on the ribbon and cell menu uses the default cleaning steps. Choose a recipe and click \"Use for Quick Clean\" to change that.";
+}
+
+/**
+ * Handler for the "Export JSON" button click
+ * Downloads the chosen recipe as a file and also shows its JSON, since some Office hosts
+ * block downloads from the task pane.
+ */
+function handleExportRecipe() {
+  const recipeJson = document.getElementById("recipeJson");
+  hideStatus();
+  
+  try {
+    const chosen = getChosenRecipe();
+    if (!chosen) {
+      return;
+    }
+    
+    const json = RecipeStore.serializeRecipe(chosen.recipe);
+    if (recipeJson) {
+      recipeJson.value = json;
+    }
+    
+    const link = document.createElement("a");
+    link.href = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    link.download = RecipeStore.getRecipeFileName(chosen.recipe);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(link.href);
+    
+    showStatus(`Exported recipe "${chosen.recipe.name}". If no file was downloaded, copy the JSON from the box.`, "success");
+  } catch (error) {
+    console.error("Error exporting recipe:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Import JSON" button click
+ * Imports the JSON pasted in the box, or asks for a file when the box is empty
+ */
+async function handleImportRecipe() {
+  const recipeJson = document.getElementById("recipeJson");
+  const recipeFile = document.getElementById("recipeFile");
+  const text = recipeJson ? recipeJson.value.trim() : "";
+  
+  if (!text) {
+    if (recipeFile) {
+      recipeFile.click();
+    }
+    return;
+  }
+  
+  if (await importRecipes(text) && recipeJson) {
+    recipeJson.value = "";
+  }
+}
+
+/**
+ * Handler for a file picked after clicking "Import JSON"
+ * @param {Event} event - The file input's change event
+ */
+async function handleRecipeFileChosen(event) {
+  const input = event.target;
+  const file = input.files && input.files[0];
+  if (!file) {
+    return;
+  }
+  
+  try {
+    await importRecipes(await file.text());
+  } finally {
+    // Picking the same file again should import it again
+    input.value = "";
+  }
+}
+
+/**
+ * Validates recipe JSON and saves its recipes where "Save in" points, replacing same-named ones
+ * @param {string} text - The JSON
+ * @returns {Promise<boolean>} True if the recipes were imported
+ */
+async function importRecipes(text) {
+  const scopeSelect = document.getElementById("recipeScope");
+  const scope = scopeSelect ? scopeSelect.value : "document";
+  hideStatus();
+  
+  try {
+    const imported = RecipeStore.parseRecipeJson(text);
+    const recipes = imported.reduce(RecipeStore.upsertRecipe, getStoredRecipes(scope));
+    await saveStoredRecipes(scope, recipes);
+    
+    const last = imported[imported.length - 1];
+    renderRecipeList(`${scope}:${RecipeStore.findRecipe(recipes, last.name).name}`);
+    showStatus(
+      `Imported ${imported.length} recipe(s) into ${RECIPE_SCOPES[scope].toLowerCase()}: ${imported.map((recipe) => recipe.name).join(", ")}.`,
+      "success"
+    );
+    return true;
+  } catch (error) {
+    console.error("Error importing recipes:", error);
+    showStatus(`Error: ${error.message}`, "error");
+    return false;
+  }
+}
+
+/**
+ * Renders the pipeline step list with enable checkboxes and reorder buttons
+ */
+function renderPipelineSteps() {
+  const list = document.getElementById("pipelineSteps");
+  if (!list) {
+    return;
+  }
+  
+  list.innerHTML = "";
+  
+  pipelineSteps.forEach((step, index) => {
+    const operation = DataCleaner.CLEANING_OPERATIONS[step.op];
+    const item = document.createElement("li");
+    item.className = step.enabled ? "pipeline-step" : "pipeline-step disabled";
+    
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+    
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "checkbox";
+    checkbox.checked = step.enabled;
+    checkbox.addEventListener("change", () => {
+      step.enabled = checkbox.checked;
+      renderPipelineSteps();
+    });
+    
+    const text = document.createElement("span");
+    text.className = "checkbox-text";
+    text.textContent = operation.label;
+    
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    item.appendChild(label);
+    
+    const optionControls = createStepOptionControls(step);
+    if (optionControls) {
+      item.appendChild(optionControls);
+    }
+    
+    item.appendChild(createMoveButton("▲", "Move up", index, -1));
+    item.appendChild(createMoveButton("▼", "Move down", index, 1));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Creates the inline option controls for a pipeline step, if it has any
+ * @param {Object} step - The pipeline step ({ op, options, enabled })
+ * @returns {HTMLElement|null} The controls, or null for steps without options
+ */
+function createStepOptionControls(step) {
+  switch (step.op) {
+    case "replaceEmptyCells": {
+      const input = document.createElement("input");
+      input.type = "text";
+      input.className = "step-option-input";
+      input.value = step.options.replacement;
+      input.title = "Text to put in empty cells";
+      input.addEventListener("input", () => {
+        step.options.replacement = input.value;
+      });
+      return input;
+    }
+    case "normalizeDates": {
+      const container = document.createElement("span");
+      container.className = "step-options";
+      container.appendChild(createOptionSelect(
+        "Order of ambiguous dates such as 03/04/2024",
+        [["false", "M/D"], ["true", "D/M"]],
+        String(step.options.dayFirst),
+        (value) => { step.options.dayFirst = value === "true"; }
+      ));
+      container.appendChild(createOptionSelect(
+        "Write dates as Excel dates or as ISO text",
+        [["serial", "Date"], ["iso", "ISO"]],
+        step.options.output,
+        (value) => { step.options.output = value; }
+      ));
+      return container;
+    }
+    case "mapValues": {
+      const mappings = step.options.mappings || [];
+      const summary = document.createElement("span");
+      summary.className = "step-options";
+      summary.textContent = `${mappings.length} mapping${mappings.length === 1 ? "" : "s"}`;
+      summary.title = mappings
+        .map(({ column, from, to }) => `${DataCleaner.columnIndexToLetter(column)}: "${from}" → "${to}"`)
+        .join("\n") || "Add mappings by applying AI suggestions";
+      return summary;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Creates a compact select element for a step option
+ * @param {string} title - Tooltip and accessible name
+ * @param {Array<Array<string>>} choices - [value, label] pairs
+ * @param {string} selected - The selected value
+ * @param {Function} onChange - Called with the new value
+ * @returns {HTMLSelectElement} The select element
+ */
+function createOptionSelect(title, choices, selected, onChange) {
+  const select = document.createElement("select");
+  select.className = "step-option-select";
+  select.title = title;
+  select.setAttribute("aria-label", title);
+  
+  choices.forEach(([value, label]) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    option.selected = value === selected;
+    select.appendChild(option);
+  });
+  
+  select.addEventListener("change", () => onChange(select.value));
+  return select;
+}
+
+/**
+ * Creates a button that moves a pipeline step up or down
+ * @param {string} symbol - Button text
+ * @param {string} title - Tooltip and accessible name
+ * @param {number} index - Index of the step to move
+ * @param {number} offset - -1 to move up, 1 to move down
+ * @returns {HTMLButtonElement} The button element
+ */
+function createMoveButton(symbol, title, index, offset) {
+  const button = document.createElement("button");
+  const target = index + offset;
+  
+  button.type = "button";
+  button.className = "step-move-button";
+  button.textContent = symbol;
+  button.title = title;
+  button.setAttribute("aria-label", title);
+  button.disabled = target < 0 || target >= pipelineSteps.length;
+  button.addEventListener("click", () => {
+    const [step] = pipelineSteps.splice(index, 1);
+    pipelineSteps.splice(target, 0, step);
+    renderPipelineSteps();
+  });
+  
+  return button;
+}
+
+/**
+ * Main handler for the "Clean Selected Data" button click
+ * 
+ * Office.js Workflow:
+ * 1. Gets the target ranges: the selected range(s), the sheet's used range, or the used
+ *    ranges of the chosen worksheets (see getCleaningTargets)
+ * 2. Reads data using Excel.run batch context
+ * 3. Cleans data by running the configured pipeline steps (pure JavaScript, no Excel API)
+ * 4. Snapshots the original range into the workbook, then writes cleaned data back to Excel
+ * 5. Applies formatting (header row styling, column auto-fit)
+ * 6. Records the run on the "Cleaning Log" worksheet (if enabled)
+ * 7. Optionally calls AI API for insights (gracefully degrades if unavailable)
+ * Several targets are cleaned one after another with the same settings, and summarized per target.
+ */
+async function handleCleanData() {
+  const cleanButton = document.getElementById("cleanButton");
+  
+  // Disable button and show loading state
+  setBusy(cleanButton, true);
+  hideStatus();
+  hideCleaningSummary();
+  
+  try {
+    await discardPendingPreview();
+    const targets = await getCleaningTargets();
+    
+    if (targets.length === 1 && targets[0].range) {
+      const prepared = await prepareCleaning(targets[0].range, "Reading selection");
+      await commitCleaning(prepared);
+    } else {
+      await cleanTargets(targets);
+    }
+  } catch (error) {
+    console.error("Error cleaning data:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    // Re-enable button
+    setBusy(cleanButton, false);
+  }
+}
+
+/**
+ * Finds the ranges to clean according to the "Clean" setting
+ * @returns {Promise<Array<Object>>} { name, range } for each target; range is null for a
+ *   chosen worksheet that holds no data
+ * @throws {Error} If there is nothing to clean
+ */
+async function getCleaningTargets() {
+  const targetMode = document.getElementById("targetMode");
+  const mode = targetMode ? targetMode.value : "selection";
+  
+  if (mode === "usedRange") {
+    const range = await ExcelUtils.getUsedRange();
+    if (!range) {
+      throw new Error("This worksheet has no data.");
+    }
+    return [{ name: await ExcelUtils.getRangeAddress(range), range }];
+  }
+  
+  if (mode === "sheets") {
+    const sheetNames = Array.from(document.querySelectorAll("#sheetList input[type=checkbox]:checked"))
+      .map((checkbox) => checkbox.value);
+    if (sheetNames.length === 0) {
+      throw new Error("Choose at least one worksheet to clean.");
+    }
+    
+    const targets = [];
+    for (const sheetName of sheetNames) {
+      targets.push({ name: sheetName, range: await ExcelUtils.getUsedRange(sheetName) });
+    }
+    return targets;
+  }
+  
+  const areas = await ExcelUtils.getSelectedAreas();
+  const targets = [];
+  for (const range of areas) {
+    targets.push({ name: await ExcelUtils.getRangeAddress(range), range });
+  }
+  return targets;
+}
+
+/**
+ * Shows the worksheet checklist when cleaning chosen sheets, filled with the workbook's data sheets
+ * The active sheet starts checked.
+ */
+async function handleTargetModeChange() {
+  const targetMode = document.getElementById("targetMode");
+  const sheetPicker = document.getElementById("sheetPicker");
+  const sheetList = document.getElementById("sheetList");
+  if (!targetMode || !sheetPicker || !sheetList) {
+    return;
+  }
+  
+  sheetPicker.hidden = targetMode.value !== "sheets";
+  if (sheetPicker.hidden) {
+    return;
+  }
+  
+  try {
+    const { names, activeName } = await ExcelUtils.getDataSheetNames();
+    sheetList.innerHTML = "";
+    names.forEach((name) => {
+      const item = document.createElement("li");
+      const label = document.createElement("label");
+      label.className = "checkbox-label";
+      
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.className = "checkbox";
+      checkbox.value = name;
+      checkbox.checked = name === activeName;
+      
+      const text = document.createElement("span");
+      text.className = "checkbox-text";
+      text.textContent = name;
+      
+      label.appendChild(checkbox);
+      label.appendChild(text);
+      item.appendChild(label);
+      sheetList.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Error listing worksheets:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Cleans several targets one after another with the same settings, then shows a summary table
+ * A failing target doesn't stop the others. Cancelling undoes every target cleaned so far.
+ * @param {Array<Object>} targets - Targets from getCleaningTargets
+ */
+async function cleanTargets(targets) {
+  const results = [];
+  let snapshotStarted = false;
+  
+  for (const [index, target] of targets.entries()) {
+    if (!target.range) {
+      results.push({ name: target.name, status: "No data" });
+      continue;
+    }
+    
+    try {
+      const prepared = await prepareCleaning(target.range, `Reading ${target.name} (${index + 1} of ${targets.length})`);
+      const output = await commitCleaning(prepared, { append: snapshotStarted, report: false });
+      snapshotStarted = true;
+      
+      const { originalRowCount, cleanedRowCount, stepResults, issues } = prepared.cleaningResult;
+      results.push({
+        name: prepared.rangeAddress,
+        originalRowCount,
+        cleanedRowCount,
+        cellsChanged: stepResults
+          .filter((result) => result.unit === "cell")
+          .reduce((total, result) => total + result.changed, 0),
+        issueCount: issues.length,
+        status: output.outputSheetName ? `Written to "${output.outputSheetName}"` : "Cleaned"
+      });
+    } catch (error) {
+      if (error.name === "AbortError") {
+        // A cancelled write has already restored the snapshot; a cancelled read has not
+        if (ExcelUtils.hasRangeSnapshot() && snapshotStarted) {
+          await ExcelUtils.restoreRangeSnapshot();
+          updateRestoreButton();
+        }
+        throw new Error("Cleaning was cancelled. Every target cleaned so far has been restored.");
+      }
+      console.error(`Error cleaning ${target.name}:`, error);
+      results.push({ name: target.name, status: `Error: ${error.message}` });
+    }
+  }
+  
+  renderCleaningSummary(results);
+  const cleanedCount = results.filter((result) => result.originalRowCount !== undefined).length;
+  showStatus(
+    `Cleaned ${cleanedCount} of ${targets.length} target(s). See the summary for details.`,
+    cleanedCount === targets.length ? "success" : "info"
+  );
+}
+
+/**
+ * Renders the per-target results of a multi-target clean
+ * @param {Array<Object>} results - { name, originalRowCount, cleanedRowCount, cellsChanged, issueCount, status }
+ */
+function renderCleaningSummary(results) {
+  const summaryPanel = document.getElementById("summaryPanel");
+  const summaryBody = document.getElementById("summaryBody");
+  if (!summaryPanel || !summaryBody) {
+    return;
+  }
+  
+  summaryBody.innerHTML = "";
+  results.forEach((result) => {
+    const row = document.createElement("tr");
+    if (result.status.startsWith("Error")) {
+      row.className = "failed";
+    }
+    
+    const cells = [result.name, result.originalRowCount, result.cleanedRowCount, result.cellsChanged, result.issueCount, result.status];
+    cells.forEach((value, index) => {
+      const cell = document.createElement("td");
+      cell.textContent = value === undefined ? "–" : String(value);
+      if (index > 0 && index < cells.length - 1) {
+        cell.className = "number";
+      }
+      row.appendChild(cell);
+    });
+    summaryBody.appendChild(row);
+  });
+  
+  summaryPanel.hidden = false;
+}
+
+/**
+ * Hides the per-target summary table
+ */
+function hideCleaningSummary() {
+  const summaryPanel = document.getElementById("summaryPanel");
+  if (summaryPanel) {
+    summaryPanel.hidden = true;
+  }
+}
+
+/**
+ * Reads the data in the current selection, with its formulas and value types
+ * @returns {Promise<Object>} { range, rangeAddress, rawData, formulas, valueTypes }
+ * @throws {Error} If the selection contains no data
+ */
+async function readSelection() {
+  // Step 1: Get selected range
+  return readTarget(await ExcelUtils.getSelectedRange(), "Reading selection");
+}
+
+/**
+ * Reads the data in a range, with its formulas and value types
+ * @param {Excel.Range} range - The range to read (proxy object from Excel.run)
+ * @param {string} label - Progress bar label while the read starts
+ * @returns {Promise<Object>} { range, rangeAddress, rawData, formulas, valueTypes }
+ * @throws {Error} If the range contains no data
+ */
+async function readTarget(range, label) {
+  hideStatus();
+  const signal = startProgress(label);
+  let rangeAddress, rawData, formulas, valueTypes;
+  
+  try {
+    rangeAddress = await ExcelUtils.getRangeAddress(range);
+    
+    // Step 2: Read data from Excel in batches
+    ({ values: rawData, formulas, valueTypes } = await ExcelUtils.readRangeDetails(range, {
+      signal,
+      onProgress: (rowsRead, totalRows) => updateProgress(`${label} (${totalRows} rows)`, rowsRead / totalRows)
+    }));
+  } finally {
+    endProgress();
+  }
+  
+  if (!rawData || rawData.length === 0) {
+    throw new Error("Selected range contains no data.");
+  }
+  
+  return { range, rangeAddress, rawData, formulas, valueTypes };
+}
+
+/**
+ * Reads the selection (or another range) and runs the cleaning pipeline without touching the sheet
+ * @param {Excel.Range} target - The range to clean (default: the current selection)
+ * @param {string} label - Progress bar label while the target is read
+ * @returns {Promise<Object>} { range, rangeAddress, rawData, cleaningResult }
+ * @throws {Error} If the range contains no data
+ */
+async function prepareCleaning(target = null, label = "Reading data") {
+  const { range, rangeAddress, rawData, formulas, valueTypes } = target
+    ? await readTarget(target, label)
+    : await readSelection();
+  
+  // Step 3: Clean the data
+  showStatus("Cleaning data...", "info");
+  syncDuplicateSettings(rawData);
+  syncContactSettings(rawData);
+  syncCasingSettings(rawData);
+  const cleaningResult = DataCleaner.cleanData(rawData, {
+    pipeline: pipelineSteps,
+    ...getHeaderOptions(),
+    ...getFormulaOptions(),
+    formulas,
+    valueTypes
+  });
+  
+  return { range, rangeAddress, rawData, cleaningResult };
+}
+
+/**
+ * Writes a prepared cleaning result to the sheet and reports what changed
+ * @param {Object} prepared - The value returned by prepareCleaning
+ * @param {Object} options - Commit options
+ * @param {boolean} options.append - Add to the current snapshot, when cleaning several targets (default: false)
+ * @param {boolean} options.report - Run AI analysis and show the success message (default: true)
+ * @returns {Promise<Object>} { outputSheetName, tableName }; both null when writing in place
+ */
+async function commitCleaning(prepared, options = {}) {
+  const aiToggle = document.getElementById("aiToggle");
+  const { range, rangeAddress, rawData, cleaningResult } = prepared;
+  const {
+    cleanedData,
+    headerRowIndex,
+    originalRowCount,
+    cleanedRowCount,
+    stepResults,
+    columnFormats,
+    issues,
+    formulaData
+  } = cleaningResult;
+  
+  const outputModeSelect = document.getElementById("outputMode");
+  const outputMode = outputModeSelect ? outputModeSelect.value : "inPlace";
+  
+  // Flags come off first so the snapshot captures the original formatting
+  await clearValidationFlags();
+  
+  // Step 4: Snapshot the original range (or create the output sheet), then write cleaned data to Excel
+  let targetRange = range;
+  let outputSheetName = null;
+  if (outputMode === "inPlace") {
+    showStatus("Saving a snapshot of the original data...", "info");
+    await ExcelUtils.saveRangeSnapshot(range, { append: options.append });
+  } else {
+    showStatus("Creating the output worksheet...", "info");
+    const output = await ExcelUtils.createOutputSheet(range);
+    targetRange = output.range;
+    outputSheetName = output.sheetName;
+    await ExcelUtils.recordCreatedSheet(outputSheetName, { append: options.append });
+  }
+  updateRestoreButton();
+  
+  // Column formats go on first so text formats keep values such as "+15551234567" from being read as numbers
+  await ExcelUtils.applyColumnFormats(targetRange, columnFormats, headerRowIndex, cleanedRowCount);
+  
+  hideStatus();
+  const staleRowsSelect = document.getElementById("staleRows");
+  const signal = startProgress("Writing cleaned data");
+  const written = DataCleaner.getOutputData(cleaningResult, outputMode === "inPlace");
+  let outputRange;
+  try {
+    outputRange = await ExcelUtils.writeRangeData(targetRange, written.data, {
+      staleRows: staleRowsSelect ? staleRowsSelect.value : "clear",
+      formulas: written.formulas,
+      signal,
+      onProgress: (rowsWritten, totalRows) => updateProgress(`Writing ${totalRows} rows`, rowsWritten / totalRows)
+    });
+  } catch (error) {
+    if (error.name !== "AbortError") {
+      throw error;
+    }
+    // Don't leave a half-written range (or output sheet) behind
+    updateProgress("Cancelled, undoing the partial write", 1);
+    await ExcelUtils.restoreRangeSnapshot();
+    updateRestoreButton();
+    const cancelled = new Error(outputSheetName
+      ? "Cleaning was cancelled. The output worksheet has been removed."
+      : "Cleaning was cancelled. The original data has been restored.");
+    cancelled.name = "AbortError";
+    throw cancelled;
+  } finally {
+    endProgress();
+  }
+  
+  // Step 5: Format header row, or make the output a table (formatting covers only the cleaned data)
+  let tableName = null;
+  if (outputMode === "newTable") {
+    showStatus("Creating the table...", "info");
+    tableName = await ExcelUtils.createOutputTable(outputRange, headerRowIndex);
+  } else if (headerRowIndex !== -1) {
+    showStatus("Formatting header row...", "info");
+    await ExcelUtils.formatHeaderRow(outputRange, headerRowIndex);
+  }
+  
+  // Step 6: Auto-fit columns
+  showStatus("Auto-fitting columns...", "info");
+  await ExcelUtils.autoFitColumns(outputRange);
+  
+  // Step 7: Record the run on the audit worksheet
+  const logToggle = document.getElementById("logToggle");
+  if (logToggle && logToggle.checked) {
+    showStatus("Writing to the cleaning log...", "info");
+    await ExcelUtils.appendCleaningLog(range, DataCleaner.buildCleaningLog(rawData, cleaningResult), new Date().toISOString());
+  }
+  
+  if (options.report === false) {
+    hideStatus();
+    return { outputSheetName, tableName };
+  }
+  
+  // Step 8: Optional AI analysis
+  const aiEnabled = aiToggle && aiToggle.checked;
+  let aiInsights = null;
+  let aiCancelled = false;
+  
+  if (aiEnabled) {
+    showStatus("Analyzing data with AI (this may take a moment)...", "info");
+    const signal = startProgress("Waiting for AI insights");
+    try {
+      applyAIPrivacySettings(headerRowIndex === -1 ? [] : cleanedData[headerRowIndex]);
+      aiInsights = await AIAnalyzer.analyzeData(cleanedData, true, { headerRowIndex, ...getAIRequestOptions(signal) });
+    } catch (error) {
+      // The data is already written, so a cancelled analysis only skips the insights
+      aiCancelled = error.name === "AbortError";
+      console.warn("AI analysis failed:", error);
+      // Continue without AI insights
+    } finally {
+      endProgress();
+    }
+  }
+  
+  // Step 9: Show success message
+  const rowDiff = originalRowCount - cleanedRowCount;
+  let successMessage = `Data cleaned successfully!\n\n`;
+  successMessage += `Range: ${rangeAddress}\n`;
+  if (outputSheetName) {
+    successMessage += `Output: worksheet "${outputSheetName}"${tableName ? `, table ${tableName}` : ""}\n`;
+    if (formulaData) {
+      successMessage += `Formulas: written as values, since their references point at the original range\n`;
+    }
+  }
+  successMessage += `Original rows: ${originalRowCount}\n`;
+  successMessage += `Cleaned rows: ${cleanedRowCount}`;
+  
+  if (rowDiff > 0) {
+    successMessage += `\nRemoved: ${rowDiff} duplicate or empty row(s)`;
+  }
+  
+  if (stepResults.length > 0) {
+    successMessage += `\n\nSteps run:\n`;
+    successMessage += stepResults.map((result) => `- ${DataCleaner.describeStepResult(result)}`).join("\n");
+  } else {
+    successMessage += `\n\nNo cleaning steps were enabled.`;
+  }
+  
+  if (stepResults.some((result) => result.op === "convertTypes")) {
+    successMessage += `\n\nColumn types:\n${describeColumnTypes(rawData, headerRowIndex)}`;
+  }
+  
+  if (issues.length > 0) {
+    successMessage += `\n\nValues that could not be cleaned (${issues.length}):\n${describeIssues(issues)}`;
+  }
+  
+  if (aiInsights) {
+    successMessage += `\n\nAI Insights:\n${aiInsights}`;
+  } else if (aiCancelled) {
+    successMessage += `\n\nAI analysis was cancelled.`;
+  } else if (aiEnabled) {
+    successMessage += `\n\nAI analysis was requested but is not available. ${AIAnalyzer.getAISetupError() || "Check the AI provider settings."}`;
+  }
+  
+  showStatus(successMessage, "success");
+  return { outputSheetName, tableName };
+}
+
+/**
+ * Handler for the "Preview Changes" button click
+ * Runs the pipeline as a dry run and shows a cell-level diff; nothing is written
+ * until the user accepts the preview.
+ */
+async function handlePreviewChanges() {
+  const previewButton = document.getElementById("previewButton");
+  const highlightToggle = document.getElementById("highlightToggle");
+  
+  setBusy(previewButton, true);
+  hideStatus();
+  
+  try {
+    await discardPendingPreview();
+    const prepared = await prepareCleaning();
+    const { rawData, cleaningResult } = prepared;
+    const diff = DataCleaner.computeCellDiff(rawData, cleaningResult.cleanedData, cleaningResult.rowOrigins);
+    
+    pendingPreview = { prepared, diff, previousFills: null };
+    renderPreview(diff, prepared.rangeAddress);
+    
+    if (highlightToggle && highlightToggle.checked) {
+      showStatus("Highlighting changes in the workbook...", "info");
+      pendingPreview.previousFills = await ExcelUtils.highlightCells(prepared.range, getDiffHighlights(diff, rawData));
+    }
+    
+    hideStatus();
+  } catch (error) {
+    console.error("Error previewing changes:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(previewButton, false);
+  }
+}
+
+/**
+ * Handler for the "Apply Changes" button in the preview panel
+ * Removes the temporary highlights, then commits the previewed result
+ */
+async function handleAcceptPreview() {
+  const acceptButton = document.getElementById("acceptPreviewButton");
+  const preview = pendingPreview;
+  if (!preview) {
+    return;
+  }
+  
+  setBusy(acceptButton, true);
+  hideStatus();
+  
+  try {
+    // Highlights come off first so the snapshot captures the original formatting
+    await discardPendingPreview();
+    await commitCleaning(preview.prepared);
+  } catch (error) {
+    console.error("Error applying changes:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(acceptButton, false);
+  }
+}
+
+/**
+ * Handler for the "Discard" button in the preview panel
+ */
+async function handleDiscardPreview() {
+  try {
+    await discardPendingPreview();
+    showStatus("Preview discarded. No changes were made.", "info");
+  } catch (error) {
+    console.error("Error discarding preview:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Clears any pending preview: removes workbook highlights and hides the preview panel
+ */
+async function discardPendingPreview() {
+  const preview = pendingPreview;
+  pendingPreview = null;
+  
+  const previewPanel = document.getElementById("previewPanel");
+  if (previewPanel) {
+    previewPanel.hidden = true;
+  }
+  
+  if (preview && preview.previousFills) {
+    await ExcelUtils.clearHighlights(preview.prepared.range, preview.previousFills);
+  }
+}
+
+/**
+ * Builds the list of cells to highlight for a diff
+ * @param {Object} diff - The value returned by computeCellDiff
+ * @param {Array<Array<any>>} rawData - The data the diff was computed from
+ * @returns {Array<Object>} { row, column, color } entries for highlightCells
+ */
+function getDiffHighlights(diff, rawData) {
+  const cells = [];
+  
+  diff.changedCells.forEach(({ row, column }) => {
+    cells.push({ row, column, color: PREVIEW_COLORS.changed });
+  });
+  diff.filledCells.forEach(({ row, column }) => {
+    cells.push({ row, column, color: PREVIEW_COLORS.filled });
+  });
+  diff.removedRows.forEach(({ row }) => {
+    rawData[row].forEach((_, column) => {
+      cells.push({ row, column, color: PREVIEW_COLORS.removed });
+    });
+  });
+  
+  return cells;
+}
+
+/**
+ * Renders the diff summary and the first changes into the preview panel
+ * @param {Object} diff - The value returned by computeCellDiff
+ * @param {string} rangeAddress - Address of the previewed range
+ */
+function renderPreview(diff, rangeAddress) {
+  const previewPanel = document.getElementById("previewPanel");
+  const summary = document.getElementById("previewSummary");
+  const list = document.getElementById("previewList");
+  if (!previewPanel || !summary || !list) {
+    return;
+  }
+  
+  const { changed, filled, removed } = diff.summary;
+  summary.textContent = `${rangeAddress}: ${changed} cell(s) changed, ${filled} blank(s) filled, ${removed} row(s) removed`;
+  
+  const entries = [
+    ...diff.changedCells.map((cell) => ({ kind: "changed", text: describeCellChange(cell) })),
+    ...diff.filledCells.map((cell) => ({ kind: "filled", text: describeCellChange(cell) })),
+    ...diff.removedRows.map(({ row, values }) => ({
+      kind: "removed",
+      text: `Row ${row + 1} removed: ${values.map(formatPreviewValue).join(" | ")}`
+    }))
+  ];
+  
+  list.innerHTML = "";
+  entries.slice(0, MAX_PREVIEW_ENTRIES).forEach((entry) => {
+    const item = document.createElement("li");
+    item.className = `diff-entry ${entry.kind}`;
+    item.textContent = entry.text;
+    list.appendChild(item);
+  });
+  
+  if (entries.length > MAX_PREVIEW_ENTRIES) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = `...and ${entries.length - MAX_PREVIEW_ENTRIES} more`;
+    list.appendChild(item);
+  }
+  
+  if (entries.length === 0) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = "Cleaning would not change anything.";
+    list.appendChild(item);
+  }
+  
+  previewPanel.hidden = false;
+}
+
+/**
+ * Describes a single cell change, e.g. 'R3C2: " bob " → "Bob"'
+ * @param {Object} cell - { row, column, before, after } from computeCellDiff
+ * @returns {string} The description (row and column are relative to the selection)
+ */
+function describeCellChange({ row, column, before, after }) {
+  return `R${row + 1}C${column + 1}: ${formatPreviewValue(before)} → ${formatPreviewValue(after)}`;
+}
+
+/**
+ * Formats a cell value for display in the preview list
+ * @param {any} value - The cell value
+ * @returns {string} Quoted strings, "(blank)" for empty cells, other values as-is
+ */
+function formatPreviewValue(value) {
+  if (value === null || value === undefined || value === "") {
+    return "(blank)";
+  }
+  return typeof value === "string" ? `"${value}"` : String(value);
+}
+
+/**
+ * Reads the header settings from the task pane
+ * @returns {Object} { header, headerStyle } options for cleanData
+ */
+function getHeaderOptions() {
+  const headerMode = document.getElementById("headerMode");
+  const headerStyle = document.getElementById("headerStyle");
+  return {
+    header: headerMode ? headerMode.value : "auto",
+    headerStyle: headerStyle ? headerStyle.value : "none"
+  };
+}
+
+/**
+ * Reads the formula and error value settings from the task pane
+ * @returns {Object} { formulaMode, errors } options for cleanData
+ */
+function getFormulaOptions() {
+  const formulaMode = document.getElementById("formulaMode");
+  const errorPolicy = document.getElementById("errorPolicy");
+  const errorReplacement = document.getElementById("errorReplacement");
+  return {
+    formulaMode: formulaMode ? formulaMode.value : "skip",
+    errors: {
+      policy: errorPolicy ? errorPolicy.value : "flag",
+      replacement: errorReplacement ? errorReplacement.value : DataCleaner.EMPTY_CELL_REPLACEMENT
+    }
+  };
+}
+
+/**
+ * Finds the header row of the data according to the task pane's header setting
+ * @param {Array<Array<any>>} rawData - The data
+ * @returns {number} The header row index, or -1 if the data has no header
+ */
+function getHeaderRowIndex(rawData) {
+  return getHeaderOptions().header === "none" ? -1 : DataCleaner.detectHeaderRow(rawData);
+}
+
+/**
+ * Copies the duplicate detection settings into the "Remove duplicate rows" step
+ * Key columns given by header name are resolved against the data's header row.
+ * @param {Array<Array<any>>} rawData - The data the settings will be applied to
+ * @returns {Object} The duplicate step options ({ keyColumns, match, threshold, keep })
+ * @throws {Error} If a key column cannot be resolved
+ */
+function syncDuplicateSettings(rawData) {
+  const keyColumnsInput = document.getElementById("duplicateKeyColumns");
+  const matchSelect = document.getElementById("duplicateMatch");
+  const thresholdInput = document.getElementById("duplicateThreshold");
+  const keepSelect = document.getElementById("duplicateKeep");
+  
+  const headerRowIndex = getHeaderRowIndex(rawData);
+  const headerRow = headerRowIndex === -1 ? [] : rawData[headerRowIndex];
+  const threshold = parseFloat(thresholdInput ? thresholdInput.value : "");
+  const options = {
+    keyColumns: DataCleaner.parseColumnList(keyColumnsInput ? keyColumnsInput.value : "", headerRow),
+    match: matchSelect ? matchSelect.value : "exact",
+    threshold: Number.isFinite(threshold) ? threshold : DataCleaner.DEFAULT_FUZZY_THRESHOLD,
+    keep: keepSelect ? keepSelect.value : "first"
+  };
+  
+  const step = pipelineSteps.find((candidate) => candidate.op === "removeDuplicateRows");
+  if (step) {
+    step.options = options;
+  }
+  return options;
+}
+
+/**
+ * Copies the contact field settings into the "Normalize contact fields" step
+ * @param {Array<Array<any>>} rawData - The data the settings will be applied to
+ * @returns {Object} The contact step options ({ columnTypes, defaultCountryCode, phoneFormat, stripTracking })
+ * @throws {Error} If a column entry cannot be resolved
+ */
+function syncContactSettings(rawData) {
+  const columnsInput = document.getElementById("contactColumns");
+  const formatSelect = document.getElementById("phoneFormat");
+  const countryCodeInput = document.getElementById("phoneCountryCode");
+  
+  const headerRowIndex = getHeaderRowIndex(rawData);
+  const headerRow = headerRowIndex === -1 ? [] : rawData[headerRowIndex];
+  const countryCode = countryCodeInput ? countryCodeInput.value.trim().replace(/^\+/, "") : "";
+  if (countryCode && !/^\d{1,3}$/.test(countryCode)) {
+    throw new Error(`Invalid country code "${countryCode}". Enter 1 to 3 digits, e.g. 1 or 44.`);
+  }
+  
+  const options = {
+    columnTypes: DataCleaner.parseColumnAssignments(columnsInput ? columnsInput.value : "", headerRow, ContactNormalizers.CONTACT_FIELD_TYPES),
+    defaultCountryCode: countryCode || "1",
+    phoneFormat: formatSelect ? formatSelect.value : "e164",
+    stripTracking: true
+  };
+  
+  const step = pipelineSteps.find((candidate) => candidate.op === "normalizeContacts");
+  if (step) {
+    step.options = options;
+  }
+  return options;
+}
+
+/**
+ * Copies the text casing settings into the "Normalize casing" step
+ * Contact columns are left alone unless a casing mode is given for them explicitly.
+ * @param {Array<Array<any>>} rawData - The data the settings will be applied to
+ * @returns {Object} The casing step options ({ mode, columnModes, exceptions })
+ * @throws {Error} If a per-column entry cannot be resolved
+ */
+function syncCasingSettings(rawData) {
+  const modeSelect = document.getElementById("casingMode");
+  const columnsInput = document.getElementById("casingColumns");
+  const exceptionsInput = document.getElementById("casingExceptions");
+  
+  const headerRowIndex = getHeaderRowIndex(rawData);
+  const headerRow = headerRowIndex === -1 ? [] : rawData[headerRowIndex];
+  const contactStep = pipelineSteps.find((candidate) => candidate.op === "normalizeContacts");
+  const contactColumns = contactStep && contactStep.enabled ? Object.keys(contactStep.options.columnTypes || {}) : [];
+  const columnModes = DataCleaner.parseColumnAssignments(columnsInput ? columnsInput.value : "", headerRow, DataCleaner.CASING_MODES);
+  contactColumns.forEach((column) => {
+    if (!columnModes[column]) {
+      columnModes[column] = "none";
+    }
+  });
+  
+  const options = {
+    mode: modeSelect ? modeSelect.value : "title",
+    columnModes,
+    exceptions: DataCleaner.parseCasingExceptions(exceptionsInput ? exceptionsInput.value : "")
+  };
+  
+  const step = pipelineSteps.find((candidate) => candidate.op === "normalizeCasing");
+  if (step) {
+    step.options = options;
+  }
+  return options;
+}
+
+/**
+ * Saves the casing exception list to the document settings when it is edited
+ * @param {Event} event - The change event from the exceptions text area
+ */
+async function handleCasingExceptionsChange(event) {
+  try {
+    await ExcelUtils.saveDocumentSetting(CASING_EXCEPTIONS_SETTING_KEY, event.target.value);
+  } catch (error) {
+    console.error("Error saving casing exceptions:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Review Duplicates" button click
+ * Finds duplicate groups in the selection and lists them for review; nothing is removed yet
+ */
+async function handleReviewDuplicates() {
+  const reviewButton = document.getElementById("reviewDuplicatesButton");
+  
+  setBusy(reviewButton, true);
+  hideStatus();
+  
+  try {
+    await discardPendingPreview();
+    const selection = await readSelection();
+    const options = syncDuplicateSettings(selection.rawData);
+    const headerRowIndex = getHeaderRowIndex(selection.rawData);
+    
+    showStatus("Looking for duplicates...", "info");
+    const groups = DataCleaner.findDuplicateGroups(selection.rawData, {
+      ...options,
+      skipRows: Array.from({ length: headerRowIndex + 1 }, (_, index) => index)
+    });
+    
+    pendingDuplicates = { selection, groups, keep: options.keep };
+    renderDuplicateGroups(groups, selection.rawData);
+    hideStatus();
+  } catch (error) {
+    console.error("Error finding duplicates:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(reviewButton, false);
+  }
+}
+
+/**
+ * Handler for the "Remove Selected" button in the duplicate review panel
+ * Resolves only the checked groups and writes the result through the normal write path
+ */
+async function handleRemoveSelectedDuplicates() {
+  const removeButton = document.getElementById("removeDuplicatesButton");
+  const review = pendingDuplicates;
+  if (!review) {
+    return;
+  }
+  
+  const checkboxes = document.querySelectorAll("#duplicateList input[type=checkbox]");
+  const selectedGroups = review.groups.filter((_, index) => checkboxes[index] && checkboxes[index].checked);
+  
+  setBusy(removeButton, true);
+  hideStatus();
+  
+  try {
+    const { range, rangeAddress, rawData, formulas } = review.selection;
+    const resolved = DataCleaner.resolveDuplicateGroups(rawData, selectedGroups, review.keep);
+    const keptRows = new Set(resolved.keptRows);
+    const keepFormulas = getFormulaOptions().formulaMode === "skip";
+    const cleaningResult = {
+      cleanedData: resolved.data,
+      headerRowIndex: getHeaderRowIndex(resolved.data),
+      originalRowCount: rawData.length,
+      cleanedRowCount: resolved.data.length,
+      rowOrigins: resolved.keptRows,
+      stepResults: [{
+        op: "removeDuplicateRows",
+        label: DataCleaner.CLEANING_OPERATIONS.removeDuplicateRows.label,
+        unit: "row",
+        changed: rawData.length - resolved.data.length,
+        removedRows: rawData.map((_, index) => index).filter((index) => !keptRows.has(index))
+      }],
+      columnFormats: {},
+      issues: [],
+      // Kept rows take their formulas with them, even where "merge" filled in other values
+      formulaData: keepFormulas ? DataCleaner.applyFormulaCells(resolved.data, resolved.keptRows, formulas) : null
+    };
+    
+    hideDuplicateReview();
+    await commitCleaning({ range, rangeAddress, rawData, cleaningResult });
+  } catch (error) {
+    console.error("Error removing duplicates:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(removeButton, false);
+  }
+}
+
+/**
+ * Hides the duplicate review panel and forgets the pending groups
+ */
+function hideDuplicateReview() {
+  pendingDuplicates = null;
+  const duplicatePanel = document.getElementById("duplicatePanel");
+  if (duplicatePanel) {
+    duplicatePanel.hidden = true;
+  }
+}
+
+/**
+ * Renders duplicate groups as a checklist, each listing its rows
+ * @param {Array<Object>} groups - Groups from findDuplicateGroups
+ * @param {Array<Array<any>>} rawData - The data the groups refer to
+ */
+function renderDuplicateGroups(groups, rawData) {
+  const duplicatePanel = document.getElementById("duplicatePanel");
+  const summary = document.getElementById("duplicateSummary");
+  const list = document.getElementById("duplicateList");
+  if (!duplicatePanel || !summary || !list) {
+    return;
+  }
+  
+  const duplicateRows = groups.reduce((total, group) => total + group.rows.length - 1, 0);
+  summary.textContent = `${groups.length} group(s) found, ${duplicateRows} row(s) would be removed`;
+  list.innerHTML = "";
+  
+  groups.forEach((group, index) => {
+    const item = document.createElement("li");
+    item.className = "duplicate-group";
+    
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
+    
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "checkbox";
+    checkbox.checked = true;
+    
+    const text = document.createElement("span");
+    text.textContent = `Group ${index + 1}: rows ${group.rows.map((row) => row + 1).join(", ")}`;
+    
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    item.appendChild(label);
+    
+    group.rows.forEach((row) => {
+      const rowText = document.createElement("div");
+      rowText.className = "duplicate-row";
+      rowText.textContent = `${row + 1}: ${rawData[row].map(formatPreviewValue).join(" | ")}`;
+      item.appendChild(rowText);
+    });
+    
+    list.appendChild(item);
+  });
+  
+  if (groups.length === 0) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = "No duplicates found.";
+    list.appendChild(item);
+  }
+  
+  duplicatePanel.hidden = false;
+}
+
+/**
+ * Shows the parameter hint for the selected rule type, disabling the input for rules without one
+ */
+function updateRuleParameter() {
+  const ruleType = document.getElementById("ruleType");
+  const ruleParameter = document.getElementById("ruleParameter");
+  if (!ruleType || !ruleParameter) {
+    return;
+  }
+  
+  const definition = ValidationRules.VALIDATION_RULE_TYPES[ruleType.value];
+  ruleParameter.disabled = !definition || !definition.parameter;
+  ruleParameter.placeholder = definition && definition.parameter ? definition.parameter : "";
+  if (ruleParameter.disabled) {
+    ruleParameter.value = "";
+  }
+}
+
+/**
+ * Handler for the "Add Rule" button click
+ * Column letters are used as-is; header names are resolved against the current selection's header row
+ */
+async function handleAddRule() {
+  const columnInput = document.getElementById("ruleColumn");
+  const ruleType = document.getElementById("ruleType");
+  const ruleParameter = document.getElementById("ruleParameter");
+  const columnText = columnInput ? columnInput.value.trim() : "";
+  
+  hideStatus();
+  
+  try {
+    if (!columnText) {
+      throw new Error("Enter the column the rule applies to.");
+    }
+    
+    // Only header names need the data; plain column letters work without a selection
+    let headerRow = [];
+    if (!/^[A-Za-z]{1,3}$/.test(columnText)) {
+      const { rawData } = await readSelection();
+      const headerRowIndex = getHeaderRowIndex(rawData);
+      headerRow = headerRowIndex === -1 ? [] : rawData[headerRowIndex];
+      hideStatus();
+    }
+    
+    const [column] = DataCleaner.parseColumnList(columnText, headerRow);
+    const rule = ValidationRules.createValidationRule(ruleType.value, column, ruleParameter ? ruleParameter.value : "");
+    rule.columnName = columnText;
+    validationRules.push(rule);
+    renderValidationRules();
+    
+    columnInput.value = "";
+    if (ruleParameter) {
+      ruleParameter.value = "";
+    }
+  } catch (error) {
+    console.error("Error adding rule:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Renders the configured validation rules, each with a remove button
+ */
+function renderValidationRules() {
+  const list = document.getElementById("ruleList");
+  if (!list) {
+    return;
+  }
+  
+  list.innerHTML = "";
+  validationRules.forEach((rule, index) => {
+    const item = document.createElement("li");
+    item.className = "rule-item";
+    
+    const text = document.createElement("span");
+    text.textContent = `${rule.columnName}: ${ValidationRules.describeValidationRule(rule)}`;
+    
+    const removeButton = document.createElement("button");
+    removeButton.className = "step-move-button";
+    removeButton.textContent = "✕";
+    removeButton.title = "Remove rule";
+    removeButton.addEventListener("click", () => {
+      validationRules.splice(index, 1);
+      renderValidationRules();
+    });
+    
+    item.appendChild(text);
+    item.appendChild(removeButton);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Handler for the "Validate Selection" button click
+ * Checks the selection against the rules, flags violating cells and lists them; values are not changed
+ */
+async function handleValidateSelection() {
+  const validateButton = document.getElementById("validateButton");
+  
+  setBusy(validateButton, true);
+  hideStatus();
+  
+  try {
+    if (validationRules.length === 0) {
+      throw new Error("Add at least one validation rule first.");
+    }
+    
+    await discardPendingPreview();
+    await clearValidationFlags();
+    const { range, rangeAddress, rawData } = await readSelection();
+    
+    showStatus("Validating data...", "info");
+    const violations = ValidationRules.validateData(rawData, validationRules, { headerRowIndex: getHeaderRowIndex(rawData) });
+    
+    // A cell can break several rules but only needs one flag
+    const flaggedCells = new Map();
+    violations.forEach(({ row, column }) => {
+      flaggedCells.set(`${row}:${column}`, { row, column, color: VIOLATION_COLOR });
+    });
+    const cells = Array.from(flaggedCells.values()).slice(0, ExcelUtils.MAX_HIGHLIGHT_CELLS);
+    
+    if (cells.length > 0) {
+      showStatus("Flagging violations in the workbook...", "info");
+      pendingFlags = { range, previousFills: await ExcelUtils.highlightCells(range, cells) };
+    }
+    
+    renderViolations(violations, rangeAddress, range);
+    updateClearFlagsButton();
+    
+    if (flaggedCells.size > cells.length) {
+      showStatus(`Only the first ${cells.length} of ${flaggedCells.size} cells were flagged in the workbook.`, "info");
+    } else {
+      hideStatus();
+    }
+  } catch (error) {
+    console.error("Error validating data:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(validateButton, false);
+  }
+}
+
+/**
+ * Handler for the "Find Outliers" button click
+ * Checks every row of the numeric and date columns, flags outliers in the workbook and lists them
+ */
+async function handleFindOutliers() {
+  const findOutliersButton = document.getElementById("findOutliersButton");
+  const outlierMethod = document.getElementById("outlierMethod");
+  const outlierThreshold = document.getElementById("outlierThreshold");
+  
+  setBusy(findOutliersButton, true);
+  hideStatus();
+  
+  try {
+    await discardPendingPreview();
+    await clearValidationFlags();
+    const { range, rangeAddress, rawData } = await readSelection();
+    
+    showStatus("Looking for outliers...", "info");
+    const dateStep = pipelineSteps.find((step) => step.op === "normalizeDates");
+    const { columns, outliers } = OutlierDetector.detectOutliers(rawData, {
+      method: outlierMethod ? outlierMethod.value : undefined,
+      threshold: outlierThreshold && outlierThreshold.value !== "" ? Number(outlierThreshold.value) : undefined,
+      headerRowIndex: getHeaderRowIndex(rawData),
+      dayFirst: dateStep ? dateStep.options.dayFirst : false
+    });
+    
+    const cells = outliers
+      .slice(0, ExcelUtils.MAX_HIGHLIGHT_CELLS)
+      .map(({ row, column }) => ({ row, column, color: OUTLIER_COLOR }));
+    
+    if (cells.length > 0) {
+      showStatus("Flagging outliers in the workbook...", "info");
+      pendingFlags = { range, previousFills: await ExcelUtils.highlightCells(range, cells) };
+    }
+    
+    renderOutliers(outliers, columns.length, rangeAddress, range);
+    updateClearFlagsButton();
+    
+    if (outliers.length > cells.length) {
+      showStatus(`Only the first ${cells.length} of ${outliers.length} outliers were flagged in the workbook.`, "info");
+    } else {
+      hideStatus();
+    }
+  } catch (error) {
+    console.error("Error finding outliers:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(findOutliersButton, false);
+  }
+}
+
+/**
+ * Handler for the "Clear Flags" buttons (validation and outliers)
+ */
+async function handleClearFlags() {
+  try {
+    await clearValidationFlags();
+    ["violationPanel", "outlierPanel"].forEach((id) => {
+      const panel = document.getElementById(id);
+      if (panel) {
+        panel.hidden = true;
+      }
+    });
+  } catch (error) {
+    console.error("Error clearing flags:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Removes any validation or outlier flags from the workbook, putting back the original fills
+ */
+async function clearValidationFlags() {
+  const flags = pendingFlags;
+  pendingFlags = null;
+  updateClearFlagsButton();
+  
+  if (flags) {
+    await ExcelUtils.clearHighlights(flags.range, flags.previousFills);
+  }
+}
+
+/**
+ * Enables the "Clear Flags" buttons while validation or outlier flags are shown in the workbook
+ */
+function updateClearFlagsButton() {
+  ["clearFlagsButton", "clearOutliersButton"].forEach((id) => {
+    const button = document.getElementById(id);
+    if (button) {
+      button.disabled = !pendingFlags;
+    }
+  });
+}
+
+/**
+ * Creates a list entry for a flagged cell; clicking it (or pressing Enter) selects the cell
+ * @param {string} text - The entry text
+ * @param {string} className - Class names of the entry
+ * @param {Excel.Range} range - The range the cell belongs to (proxy object from Excel.run)
+ * @param {number} row - Zero-based row offset within the range
+ * @param {number} column - Zero-based column offset within the range
+ * @returns {HTMLLIElement} The entry
+ */
+function createCellEntry(text, className, range, row, column) {
+  const item = document.createElement("li");
+  item.className = className;
+  item.tabIndex = 0;
+  item.textContent = text;
+  
+  const select = () => {
+    ExcelUtils.selectCell(range, row, column).catch((error) => {
+      console.error("Error selecting cell:", error);
+      showStatus(`Error: ${error.message}`, "error");
+    });
+  };
+  item.addEventListener("click", select);
+  item.addEventListener("keydown", (event) => {
+    if (event.key === "Enter") {
+      select();
+    }
+  });
+  
+  return item;
+}
+
+/**
+ * Renders the violations into the violation panel; clicking one selects the offending cell
+ * @param {Array<Object>} violations - Violations from validateData
+ * @param {string} rangeAddress - Address of the validated range
+ * @param {Excel.Range} range - The validated range (proxy object from Excel.run)
+ */
+function renderViolations(violations, rangeAddress, range) {
+  const violationPanel = document.getElementById("violationPanel");
+  const summary = document.getElementById("violationSummary");
+  const list = document.getElementById("violationList");
+  if (!violationPanel || !summary || !list) {
+    return;
+  }
+  
+  summary.textContent = `${rangeAddress}: ${violations.length} violation(s) found`;
+  list.innerHTML = "";
+  
+  violations.slice(0, MAX_PREVIEW_ENTRIES).forEach(({ row, column, value, message }) => {
+    const text = `R${row + 1}C${column + 1}: ${formatPreviewValue(value)} (${message})`;
+    list.appendChild(createCellEntry(text, "diff-entry violation", range, row, column));
+  });
+  
+  if (violations.length > MAX_PREVIEW_ENTRIES) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = `...and ${violations.length - MAX_PREVIEW_ENTRIES} more`;
+    list.appendChild(item);
+  }
+  
+  if (violations.length === 0) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = "All values pass the rules.";
+    list.appendChild(item);
+  }
+  
+  violationPanel.hidden = false;
+}
+
+/**
+ * Renders the outliers into the outlier panel; clicking one selects the cell
+ * @param {Array<Object>} outliers - Outliers from detectOutliers
+ * @param {number} columnCount - Number of numeric and date columns checked
+ * @param {string} rangeAddress - Address of the checked range
+ * @param {Excel.Range} range - The checked range (proxy object from Excel.run)
+ */
+function renderOutliers(outliers, columnCount, rangeAddress, range) {
+  const outlierPanel = document.getElementById("outlierPanel");
+  const summary = document.getElementById("outlierSummary");
+  const list = document.getElementById("outlierList");
+  if (!outlierPanel || !summary || !list) {
+    return;
+  }
+  
+  summary.textContent = `${rangeAddress}: ${outliers.length} outlier(s) in ${columnCount} numeric or date column(s)`;
+  list.innerHTML = "";
+  
+  outliers.slice(0, MAX_PREVIEW_ENTRIES).forEach(({ row, column, value, message }) => {
+    const text = `R${row + 1}C${column + 1}: ${formatPreviewValue(value)} (${message})`;
+    list.appendChild(createCellEntry(text, "diff-entry outlier", range, row, column));
+  });
+  
+  if (outliers.length > MAX_PREVIEW_ENTRIES) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = `...and ${outliers.length - MAX_PREVIEW_ENTRIES} more`;
+    list.appendChild(item);
+  }
+  
+  if (outliers.length === 0) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = columnCount === 0
+      ? "No numeric or date columns with enough values to check."
+      : "No outliers found.";
+    list.appendChild(item);
+  }
+  
+  outlierPanel.hidden = false;
+}
+
+/**
+ * Fills the AI provider fields from the workbook settings and keeps the analyzer in sync with them
+ */
+function initializeAIProviderSettings() {
+  const providerSelect = document.getElementById("aiProvider");
+  if (!providerSelect) {
+    return;
+  }
+  
+  Object.keys(AIProviders.AI_PROVIDERS).forEach((id) => {
+    const option = document.createElement("option");
+    option.value = id;
+    option.textContent = AIProviders.AI_PROVIDERS[id].label;
+    providerSelect.appendChild(option);
+  });
+  
+  const saved = ExcelUtils.getDocumentSetting(AI_PROVIDER_SETTING_KEY, null);
+  const current = saved || AIAnalyzer.getProviderSettings();
+  providerSelect.value = AIProviders.AI_PROVIDERS[current.provider] ? current.provider : "openai";
+  if (saved) {
+    ["endpoint", "model", "apiVersion"].forEach((field) => {
+      const input = document.getElementById(AI_PROVIDER_FIELDS[field]);
+      if (input) {
+        input.value = saved[field] || "";
+      }
+    });
+  }
+  
+  updateAIProviderFields();
+  applyAIProviderSettings();
+  
+  providerSelect.addEventListener("change", () => {
+    ["endpoint", "model", "apiVersion"].forEach((field) => {
+      const input = document.getElementById(AI_PROVIDER_FIELDS[field]);
+      if (input) {
+        input.value = "";
+      }
+    });
+    updateAIProviderFields();
+    handleAIProviderChange();
+  });
+  
+  Object.values(AI_PROVIDER_FIELDS).forEach((id) => {
+    const input = document.getElementById(id);
+    if (input) {
+      input.addEventListener("change", handleAIProviderChange);
+    }
+  });
+}
+
+/**
+ * Shows the chosen provider's defaults as placeholders and enables only the fields it uses
+ */
+function updateAIProviderFields() {
+  const providerSelect = document.getElementById("aiProvider");
+  const provider = AIProviders.AI_PROVIDERS[providerSelect.value];
+  const defaults = AIAnalyzer.getProviderSettings();
+  const usesConfig = defaults.provider === providerSelect.value;
+  
+  const endpointInput = document.getElementById("aiEndpoint");
+  const modelInput = document.getElementById("aiModel");
+  const apiVersionInput = document.getElementById("aiApiVersion");
+  const apiKeyInput = document.getElementById("aiApiKey");
+  
+  if (endpointInput) {
+    endpointInput.placeholder = (usesConfig ? defaults.endpoint : provider.defaultEndpoint) ||
+      (providerSelect.value === "azure" ? "https://my-resource.openai.azure.com" : "");
+  }
+  if (modelInput) {
+    modelInput.placeholder = providerSelect.value === "azure"
+      ? "Deployment name"
+      : (usesConfig ? defaults.model : provider.defaultModel) || "";
+  }
+  if (apiVersionInput) {
+    apiVersionInput.disabled = providerSelect.value !== "azure";
+    apiVersionInput.placeholder = provider.defaultApiVersion || "";
+  }
+  if (apiKeyInput) {
+    apiKeyInput.placeholder = provider.needsApiKey
+      ? (usesConfig && defaults.apiKey ? "Configured" : "Required")
+      : "Not needed";
+  }
+}
+
+/**
+ * Reads the AI provider fields
+ * @returns {Object} { provider, endpoint, model, apiVersion, apiKey } with empty fields as null
+ */
+function readAIProviderSettings() {
+  const providerSelect = document.getElementById("aiProvider");
+  const settings = { provider: providerSelect ? providerSelect.value : "openai" };
+  Object.keys(AI_PROVIDER_FIELDS).forEach((field) => {
+    const input = document.getElementById(AI_PROVIDER_FIELDS[field]);
+    settings[field] = input && !input.disabled && input.value.trim() ? input.value.trim() : null;
+  });
+  return settings;
+}
+
+/**
+ * Passes the AI provider fields on to the analyzer
+ * @returns {Object} The settings that were applied
+ */
+function applyAIProviderSettings() {
+  const settings = readAIProviderSettings();
+  AIAnalyzer.configureAIProvider(settings);
+  return settings;
+}
+
+/**
+ * Handler for changes to the AI provider fields
+ * Saves everything except the API key in the workbook, so keys never end up in shared files
+ */
+async function handleAIProviderChange() {
+  try {
+    const { apiKey, ...saved } = applyAIProviderSettings();
+    await ExcelUtils.saveDocumentSetting(AI_PROVIDER_SETTING_KEY, saved);
+  } catch (error) {
+    console.error("Error saving AI provider settings:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Fills the sampling fields from the workbook settings and wires up the payload preview
+ */
+function initializeAIPrivacySettings() {
+  const strategySelect = document.getElementById("aiSampleStrategy");
+  if (!strategySelect) {
+    return;
+  }
+  
+  Object.keys(AIPrivacy.SAMPLING_STRATEGIES).forEach((strategy) => {
+    const option = document.createElement("option");
+    option.value = strategy;
+    option.textContent = AIPrivacy.SAMPLING_STRATEGIES[strategy].label;
+    strategySelect.appendChild(option);
+  });
+  
+  const saved = ExcelUtils.getDocumentSetting(AI_PRIVACY_SETTING_KEY, {});
+  strategySelect.value = AIPrivacy.SAMPLING_STRATEGIES[saved.strategy] ? saved.strategy : AIAnalyzer.getPrivacySettings().strategy;
+  ["sampleSize", "seed", "stratifyColumn"].forEach((field) => {
+    const input = document.getElementById(AI_PRIVACY_FIELDS[field]);
+    if (input && saved[field] !== undefined && saved[field] !== null) {
+      input.value = saved[field];
+    }
+  });
+  privacyColumnModes = saved.columnModes || {};
+  updateAIPrivacyFields();
+  
+  strategySelect.addEventListener("change", () => {
+    updateAIPrivacyFields();
+    handleAIPrivacyChange();
+  });
+  ["sampleSize", "seed", "stratifyColumn"].forEach((field) => {
+    const input = document.getElementById(AI_PRIVACY_FIELDS[field]);
+    if (input) {
+      input.addEventListener("change", handleAIPrivacyChange);
+    }
+  });
+  
+  const previewPayloadButton = document.getElementById("previewPayloadButton");
+  const closePayloadButton = document.getElementById("closePayloadButton");
+  
+  if (previewPayloadButton) {
+    previewPayloadButton.addEventListener("click", handlePreviewPayload);
+  }
+  
+  if (closePayloadButton) {
+    closePayloadButton.addEventListener("click", hidePayloadPreview);
+  }
+}
+
+/**
+ * Enables the "Stratify by" field only for stratified sampling
+ */
+function updateAIPrivacyFields() {
+  const strategySelect = document.getElementById("aiSampleStrategy");
+  const stratifyInput = document.getElementById("aiStratifyColumn");
+  if (strategySelect && stratifyInput) {
+    stratifyInput.disabled = strategySelect.value !== "stratified";
+  }
+}
+
+/**
+ * Reads the sampling fields and the column choices into analyzer privacy settings
+ * @param {Array<any>} headerRow - Header values used to resolve the stratify column (optional)
+ * @returns {Object} { strategy, sampleSize, seed, stratifyColumn, columnModes }
+ * @throws {Error} If the sample size, seed or stratify column is invalid
+ */
+function readAIPrivacySettings(headerRow = []) {
+  const strategySelect = document.getElementById("aiSampleStrategy");
+  const sizeInput = document.getElementById("aiSampleSize");
+  const seedInput = document.getElementById("aiSampleSeed");
+  const stratifyInput = document.getElementById("aiStratifyColumn");
+  const strategy = strategySelect ? strategySelect.value : undefined;
+  
+  let sampleSize;
+  if (sizeInput && sizeInput.value.trim()) {
+    sampleSize = Number(sizeInput.value);
+    if (!Number.isInteger(sampleSize) || sampleSize < 1 || sampleSize > MAX_AI_SAMPLE_SIZE) {
+      throw new Error(`The number of rows to send must be a whole number from 1 to ${MAX_AI_SAMPLE_SIZE}.`);
+    }
+  }
+  
+  let seed;
+  if (seedInput && seedInput.value.trim()) {
+    seed = Number(seedInput.value);
+    if (!Number.isInteger(seed)) {
+      throw new Error("The sample seed must be a whole number.");
+    }
+  }
+  
+  let stratifyColumn;
+  if (strategy === "stratified") {
+    const columns = DataCleaner.parseColumnList(stratifyInput ? stratifyInput.value : "", headerRow);
+    if (columns.length !== 1) {
+      throw new Error("Enter one column to stratify the sample by.");
+    }
+    stratifyColumn = columns[0];
+  }
+  
+  return { strategy, sampleSize, seed, stratifyColumn, columnModes: { ...privacyColumnModes } };
+}
+
 /**
- * Initializes the UI event handlers
+ * Passes the sampling fields and column choices on to the analyzer
+ * @param {Array<any>} headerRow - Header values used to resolve the stratify column (optional)
+ * @throws {Error} If a field is invalid
  */
-function initializeUI() {
-  const cleanButton = document.getElementById("cleanButton");
-  const aiToggle = document.getElementById("aiToggle");
+function applyAIPrivacySettings(headerRow = []) {
+  AIAnalyzer.configureAIPrivacy(readAIPrivacySettings(headerRow));
+}
+
+/**
+ * Handler for changes to the sampling fields and column choices
+ * Saves them in the workbook and refreshes the payload preview if it is open
+ */
+async function handleAIPrivacyChange() {
+  const fields = {};
+  Object.keys(AI_PRIVACY_FIELDS).forEach((field) => {
+    const input = document.getElementById(AI_PRIVACY_FIELDS[field]);
+    fields[field] = input && input.value.trim() ? input.value.trim() : null;
+  });
   
-  if (cleanButton) {
-    cleanButton.addEventListener("click", handleCleanData);
+  try {
+    await ExcelUtils.saveDocumentSetting(AI_PRIVACY_SETTING_KEY, { ...fields, columnModes: privacyColumnModes });
+  } catch (error) {
+    console.error("Error saving AI privacy settings:", error);
+    showStatus(`Error: ${error.message}`, "error");
+    return;
   }
   
-  // AI toggle doesn't need an event handler - it's checked when cleaning
+  if (pendingPayloadPreview) {
+    renderPayloadPreview();
+  }
 }
 
 /**
- * Main handler for the "Clean Selected Data" button click
- * 
- * Office.js Workflow:
- * 1. Gets the selected range (requires user to select cells first)
- * 2. Reads data using Excel.run batch context
- * 3. Cleans data using pure JavaScript functions (no Excel API)
- * 4. Writes cleaned data back to Excel
- * 5. Applies formatting (header row styling, column auto-fit)
- * 6. Optionally calls AI API for insights (gracefully degrades if unavailable)
+ * Handler for the "Preview What Is Sent" button click
+ * Shows the exact request an AI action would send for the selection; nothing is sent.
+ * Insights are about the cleaned data, so that preview runs the pipeline as a dry run first.
  */
-async function handleCleanData() {
-  const cleanButton = document.getElementById("cleanButton");
-  const aiToggle = document.getElementById("aiToggle");
-  const statusMessage = document.getElementById("statusMessage");
+async function handlePreviewPayload() {
+  const previewPayloadButton = document.getElementById("previewPayloadButton");
+  const kindSelect = document.getElementById("aiPreviewKind");
+  const kind = kindSelect ? kindSelect.value : "suggestions";
   
-  // Disable button and show loading state
-  cleanButton.disabled = true;
-  cleanButton.classList.add("loading");
+  setBusy(previewPayloadButton, true);
+  hidePayloadPreview();
+  hideStatus();
+  
+  try {
+    if (kind === "analysis") {
+      const { rangeAddress, cleaningResult } = await prepareCleaning();
+      pendingPayloadPreview = {
+        kind,
+        rangeAddress,
+        data: cleaningResult.cleanedData,
+        headerRowIndex: cleaningResult.headerRowIndex
+      };
+    } else {
+      const { rangeAddress, rawData } = await readSelection();
+      pendingPayloadPreview = { kind, rangeAddress, data: rawData, headerRowIndex: getHeaderRowIndex(rawData) };
+    }
+    hideStatus();
+    renderPayloadPreview();
+  } catch (error) {
+    console.error("Error previewing AI payload:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(previewPayloadButton, false);
+  }
+}
+
+/**
+ * Renders the previewed request: a privacy choice per column and the messages as they will be sent
+ */
+function renderPayloadPreview() {
+  const payloadPanel = document.getElementById("payloadPanel");
+  const summary = document.getElementById("payloadSummary");
+  const columnList = document.getElementById("payloadColumns");
+  const payloadText = document.getElementById("payloadText");
+  if (!pendingPayloadPreview || !payloadPanel || !summary || !columnList || !payloadText) {
+    return;
+  }
+  
+  const { kind, rangeAddress, data, headerRowIndex } = pendingPayloadPreview;
+  const headerRow = headerRowIndex === -1 ? [] : data[headerRowIndex] || [];
+  
+  let preview;
+  try {
+    applyAIPrivacySettings(headerRow);
+    preview = AIAnalyzer.previewAIRequest(data, { kind, headerRowIndex });
+  } catch (error) {
+    console.error("Error previewing AI payload:", error);
+    showStatus(`Error: ${error.message}`, "error");
+    payloadPanel.hidden = true;
+    return;
+  }
+  
+  const { request, payload, provider } = preview;
+  const sentRows = payload.rowIndices.length;
+  const hiddenCount = payload.modes.filter((mode) => mode !== "keep").length;
+  summary.textContent = `${rangeAddress}: ${sentRows} row(s) and ${payload.columns.length} column(s) will be sent` +
+    (hiddenCount > 0 ? `; ${hiddenCount} column(s) masked, pseudonymized or left out` : "");
+  
+  columnList.innerHTML = "";
+  payload.modes.forEach((mode, column) => {
+    const detected = payload.piiColumns.find((entry) => entry.column === column);
+    const header = headerRow[column];
+    const name = typeof header === "string" && header.trim() ? ` (${header.trim()})` : "";
+    
+    const item = document.createElement("li");
+    item.className = "rule-item";
+    
+    const text = document.createElement("span");
+    text.textContent = `${DataCleaner.columnIndexToLetter(column)}${name}` +
+      (detected ? ` - looks like ${AIPrivacy.PII_KINDS[detected.kind].label.toLowerCase()}` : "");
+    
+    const choices = Object.keys(AIPrivacy.PRIVACY_MODES).map((value) => [value, AIPrivacy.PRIVACY_MODES[value].label]);
+    const select = createOptionSelect("What is sent for this column", choices, mode, (value) => {
+      privacyColumnModes[column] = value;
+      handleAIPrivacyChange();
+    });
+    
+    item.appendChild(text);
+    item.appendChild(select);
+    columnList.appendChild(item);
+  });
+  
+  const target = AIProviders.AI_PROVIDERS[provider.provider] ? AIProviders.AI_PROVIDERS[provider.provider].label : provider.provider;
+  const lines = [`${target}: ${provider.endpoint || "(no endpoint)"}${provider.model ? `, model ${provider.model}` : ""}`];
+  request.messages.forEach((message) => {
+    lines.push("", `[${message.role}]`, message.content);
+  });
+  payloadText.textContent = lines.join("\n");
+  payloadPanel.hidden = false;
+}
+
+/**
+ * Hides the payload preview and forgets the previewed data
+ */
+function hidePayloadPreview() {
+  pendingPayloadPreview = null;
+  const payloadPanel = document.getElementById("payloadPanel");
+  if (payloadPanel) {
+    payloadPanel.hidden = true;
+  }
+}
+
+/**
+ * Builds the cache, cancellation and retry options shared by the AI requests
+ * Retries are shown on the progress bar while the request waits.
+ * @param {AbortSignal} signal - Signal from startProgress
+ * @returns {Object} { signal, useCache, onRetry }
+ */
+function getAIRequestOptions(signal) {
+  const useCacheToggle = document.getElementById("aiUseCache");
+  return {
+    signal,
+    useCache: !useCacheToggle || useCacheToggle.checked,
+    onRetry: ({ attempt, delay, reason }) => {
+      updateProgress(`AI request failed (${reason}), retry ${attempt} in ${Math.ceil(delay / 1000)} s`, 0);
+    }
+  };
+}
+
+/**
+ * Creates a response cache for the analyzer that keeps recent replies in the document settings
+ * @returns {Object} { get(key), set(key, content) }
+ */
+function createDocumentResponseCache() {
+  return {
+    get(key) {
+      const entry = ExcelUtils.getDocumentSetting(AI_RESPONSE_CACHE_SETTING_KEY, []).find((candidate) => candidate.key === key);
+      return entry ? entry.content : null;
+    },
+    async set(key, content) {
+      const entries = ExcelUtils.getDocumentSetting(AI_RESPONSE_CACHE_SETTING_KEY, []).filter((entry) => entry.key !== key);
+      entries.unshift({ key, content, savedAt: new Date().toISOString() });
+      await ExcelUtils.saveDocumentSetting(AI_RESPONSE_CACHE_SETTING_KEY, entries.slice(0, MAX_CACHED_AI_RESPONSES));
+    }
+  };
+}
+
+/**
+ * Handler for the "Forget Saved Answers" button click
+ */
+async function handleClearAICache() {
+  try {
+    await ExcelUtils.saveDocumentSetting(AI_RESPONSE_CACHE_SETTING_KEY, null);
+    showStatus("Saved AI answers have been removed from the workbook.", "success");
+  } catch (error) {
+    console.error("Error clearing the AI response cache:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  }
+}
+
+/**
+ * Handler for the "Suggest Cleaning Steps" button click
+ * Asks the AI for cleaning actions and lists the ones the cleaner can run as a checklist
+ */
+async function handleSuggestCleaning() {
+  const suggestButton = document.getElementById("suggestButton");
+  
+  setBusy(suggestButton, true);
+  hideSuggestions();
   hideStatus();
   
   try {
-    // Step 1: Get selected range
-    showStatus("Reading selected range...", "info");
-    const range = await getSelectedRange();
-    const rangeAddress = await getRangeAddress(range);
+    const { rawData } = await readSelection();
+    const headerRowIndex = getHeaderRowIndex(rawData);
+    const headerRow = headerRowIndex === -1 ? [] : rawData[headerRowIndex];
+    applyAIPrivacySettings(headerRow);
     
-    // Step 2: Read data from Excel
-    showStatus("Reading data from Excel...", "info");
-    const rawData = await readRangeData(range);
+    showStatus("Asking AI for cleaning suggestions (this may take a moment)...", "info");
+    const signal = startProgress("Waiting for AI suggestions");
+    const { suggestions, rejected } = await AIAnalyzer.suggestCleaningSteps(rawData, { headerRowIndex, ...getAIRequestOptions(signal) });
     
-    if (!rawData || rawData.length === 0) {
-      throw new Error("Selected range contains no data.");
+    pendingSuggestions = { suggestions, headerRow };
+    renderSuggestions(suggestions, rejected);
+    hideStatus();
+  } catch (error) {
+    if (error.name === "AbortError") {
+      showStatus("AI suggestions were cancelled.", "info");
+      return;
     }
+    console.error("Error getting AI suggestions:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    endProgress();
+    setBusy(suggestButton, false);
+  }
+}
+
+/**
+ * Renders suggestions as a checklist, all checked, with the AI's reason under each
+ * @param {Array<Object>} suggestions - Suggestions from suggestCleaningSteps
+ * @param {Array<Object>} rejected - { suggestion, reason } for each suggestion that was ignored
+ */
+function renderSuggestions(suggestions, rejected) {
+  const suggestionPanel = document.getElementById("suggestionPanel");
+  const summary = document.getElementById("suggestionSummary");
+  const list = document.getElementById("suggestionList");
+  const applySuggestionsButton = document.getElementById("applySuggestionsButton");
+  if (!suggestionPanel || !summary || !list) {
+    return;
+  }
+  
+  summary.textContent = `${suggestions.length} suggestion(s)`;
+  list.innerHTML = "";
+  
+  suggestions.forEach((suggestion, index) => {
+    const item = document.createElement("li");
+    item.className = "duplicate-group";
     
-    // Step 3: Clean the data
-    showStatus("Cleaning data...", "info");
-    const cleaningResult = cleanData(rawData);
-    const { cleanedData, headerRowIndex, originalRowCount, cleanedRowCount } = cleaningResult;
+    const label = document.createElement("label");
+    label.className = "checkbox-label";
     
-    // Step 4: Write cleaned data back to Excel
-    showStatus("Writing cleaned data to Excel...", "info");
-    await writeRangeData(range, cleanedData);
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.className = "checkbox";
+    checkbox.checked = true;
+    checkbox.dataset.index = String(index);
     
-    // Step 5: Format header row
-    showStatus("Formatting header row...", "info");
-    await formatHeaderRow(range, headerRowIndex);
-    
-    // Step 6: Auto-fit columns
-    showStatus("Auto-fitting columns...", "info");
-    await autoFitColumns(range);
-    
-    // Step 7: Optional AI analysis
-    const aiEnabled = aiToggle && aiToggle.checked;
-    let aiInsights = null;
-    
-    if (aiEnabled) {
-      showStatus("Analyzing data with AI (this may take a moment)...", "info");
-      try {
-        aiInsights = await analyzeData(cleanedData, true);
-      } catch (error) {
-        console.warn("AI analysis failed:", error);
-        // Continue without AI insights
-      }
+    const text = document.createElement("span");
+    text.className = "checkbox-text";
+    text.textContent = AIAnalyzer.describeSuggestion(suggestion, pendingSuggestions.headerRow);
+    
+    label.appendChild(checkbox);
+    label.appendChild(text);
+    item.appendChild(label);
+    
+    if (suggestion.reason) {
+      const reason = document.createElement("div");
+      reason.className = "suggestion-reason";
+      reason.textContent = suggestion.reason;
+      item.appendChild(reason);
     }
     
-    // Step 8: Show success message
-    const rowDiff = originalRowCount - cleanedRowCount;
-    let successMessage = `Data cleaned successfully!\n\n`;
-    successMessage += `Range: ${rangeAddress}\n`;
-    successMessage += `Original rows: ${originalRowCount}\n`;
-    successMessage += `Cleaned rows: ${cleanedRowCount}`;
+    list.appendChild(item);
+  });
+  
+  if (suggestions.length === 0) {
+    const item = document.createElement("li");
+    item.className = "diff-entry more";
+    item.textContent = "The AI had no suggestions the cleaner can apply.";
+    list.appendChild(item);
+  }
+  
+  renderRejectedSuggestions(rejected);
+  
+  if (applySuggestionsButton) {
+    applySuggestionsButton.disabled = suggestions.length === 0;
+  }
+  suggestionPanel.hidden = false;
+}
+
+/**
+ * Lists the suggestions that were ignored, and why, in a collapsed section under the checklist
+ * @param {Array<Object>} rejected - { suggestion, reason } for each ignored suggestion
+ */
+function renderRejectedSuggestions(rejected) {
+  const section = document.getElementById("rejectedSuggestions");
+  const summary = document.getElementById("rejectedSuggestionSummary");
+  const list = document.getElementById("rejectedSuggestionList");
+  if (!section || !summary || !list) {
+    return;
+  }
+  
+  summary.textContent = `${rejected.length} suggestion(s) ignored`;
+  list.innerHTML = "";
+  rejected.forEach(({ suggestion, reason }) => {
+    // The suggestion is the AI's raw entry, so the operation may be missing or not a string
+    const op = suggestion && typeof suggestion.op === "string" ? suggestion.op : "Unknown operation";
+    const item = document.createElement("li");
+    item.className = "diff-entry";
+    item.textContent = `${op}: ${reason}`;
+    list.appendChild(item);
+  });
+  
+  section.open = false;
+  section.hidden = rejected.length === 0;
+}
+
+/**
+ * Hides the suggestion checklist and forgets the suggestions
+ */
+function hideSuggestions() {
+  pendingSuggestions = null;
+  const suggestionPanel = document.getElementById("suggestionPanel");
+  if (suggestionPanel) {
+    suggestionPanel.hidden = true;
+  }
+}
+
+/**
+ * Handler for the "Apply Selected" button click
+ * Folds the checked suggestions into the cleaning settings and pipeline, then previews the
+ * clean so the changes can be reviewed before they are written
+ */
+async function handleApplySuggestions() {
+  const list = document.getElementById("suggestionList");
+  if (!pendingSuggestions || !list) {
+    return;
+  }
+  
+  const { suggestions } = pendingSuggestions;
+  const selected = Array.from(list.querySelectorAll("input[type=checkbox]:checked"))
+    .map((checkbox) => suggestions[Number(checkbox.dataset.index)]);
+  
+  if (selected.length === 0) {
+    showStatus("Select at least one suggestion to apply.", "info");
+    return;
+  }
+  
+  selected.forEach(applySuggestion);
+  renderPipelineSteps();
+  hideSuggestions();
+  
+  await handlePreviewChanges();
+}
+
+/**
+ * Applies one suggestion to the task pane settings and enables its pipeline step
+ * Casing, contact and duplicate settings go into their inputs, since those are read back
+ * into the pipeline when cleaning; the other steps take the options directly.
+ * @param {Object} suggestion - A suggestion from suggestCleaningSteps
+ */
+function applySuggestion(suggestion) {
+  const { op, column, options } = suggestion;
+  const step = pipelineSteps.find((candidate) => candidate.op === op);
+  if (!step) {
+    return;
+  }
+  
+  const wasEnabled = step.enabled;
+  step.enabled = true;
+  const letter = column === null ? null : DataCleaner.columnIndexToLetter(column);
+  
+  switch (op) {
+    case "normalizeCasing":
+      appendToInput("casingColumns", `${letter}: ${options.mode}`);
+      break;
+    case "normalizeContacts":
+      appendToInput("contactColumns", `${letter}: ${options.fieldType}`);
+      break;
+    case "removeDuplicateRows":
+      if (letter) {
+        appendToInput("duplicateKeyColumns", letter);
+      }
+      break;
+    case "normalizeDates":
+      step.options.dayFirst = options.dayFirst;
+      // A step that was already on keeps detecting date columns; a newly enabled one only touches this column
+      if (!wasEnabled) {
+        step.options.columns = [column];
+      } else if (step.options.columns && !step.options.columns.includes(column)) {
+        step.options.columns.push(column);
+      }
+      break;
+    case "convertTypes":
+      step.options.columnTypes = { ...step.options.columnTypes, [column]: options.type };
+      break;
+    case "mapValues":
+      step.options.mappings = (step.options.mappings || [])
+        .filter((mapping) => !(mapping.column === column && mapping.from.toLowerCase() === options.from.toLowerCase()))
+        .concat({ column, from: options.from, to: options.to });
+      break;
+    case "replaceEmptyCells":
+      step.options.replacement = options.replacement;
+      break;
+    default:
+      break;
+  }
+}
+
+/**
+ * Adds an entry to a comma-separated text input, e.g. "A: upper" to the casing columns
+ * @param {string} id - The input element id
+ * @param {string} entry - The entry to add
+ */
+function appendToInput(id, entry) {
+  const input = document.getElementById(id);
+  if (input) {
+    input.value = input.value.trim() ? `${input.value.trim()}, ${entry}` : entry;
+  }
+}
+
+/**
+ * Handler for the "Profile Selection" button click
+ * Profiles every column of the selection below the header row; nothing is changed
+ */
+async function handleProfileSelection() {
+  const profileButton = document.getElementById("profileButton");
+  
+  setBusy(profileButton, true);
+  hideStatus();
+  
+  try {
+    const { range, rangeAddress, rawData } = await readSelection();
+    
+    showStatus("Profiling data...", "info");
+    const profile = DataProfiler.profileData(rawData, { headerRowIndex: getHeaderRowIndex(rawData) });
+    currentProfile = { range, profile };
     
-    if (rowDiff > 0) {
-      successMessage += `\nRemoved: ${rowDiff} duplicate or empty row(s)`;
+    renderProfile(profile, rangeAddress);
+    hideStatus();
+  } catch (error) {
+    console.error("Error profiling data:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(profileButton, false);
+    updateExportProfileButton();
+  }
+}
+
+/**
+ * Handler for the "Export to Sheet" button click
+ * Writes the last profile to a new worksheet named after the source (e.g. "Sales Profile")
+ */
+async function handleExportProfile() {
+  const exportProfileButton = document.getElementById("exportProfileButton");
+  
+  setBusy(exportProfileButton, true);
+  hideStatus();
+  
+  try {
+    if (!currentProfile) {
+      throw new Error("Profile a selection first.");
     }
     
-    if (aiInsights) {
-      successMessage += `\n\nAI Insights:\n${aiInsights}`;
-    } else if (aiEnabled) {
-      successMessage += `\n\nAI analysis was requested but is not available. Check API key configuration.`;
+    showStatus("Exporting profile...", "info");
+    const output = await ExcelUtils.createOutputSheet(currentProfile.range, { suffix: "Profile" });
+    const writtenRange = await ExcelUtils.writeRangeData(output.range, DataProfiler.buildProfileTable(currentProfile.profile));
+    await ExcelUtils.formatHeaderRow(writtenRange);
+    await ExcelUtils.autoFitColumns(writtenRange);
+    
+    showStatus(`Profile exported to "${output.sheetName}".`, "success");
+  } catch (error) {
+    console.error("Error exporting profile:", error);
+    showStatus(`Error: ${error.message}`, "error");
+  } finally {
+    setBusy(exportProfileButton, false);
+    updateExportProfileButton();
+  }
+}
+
+/**
+ * Enables the "Export to Sheet" button once a profile is shown
+ */
+function updateExportProfileButton() {
+  const exportProfileButton = document.getElementById("exportProfileButton");
+  if (exportProfileButton) {
+    exportProfileButton.disabled = !currentProfile;
+  }
+}
+
+/**
+ * Renders a profile into the profile panel, one entry per column
+ * @param {Object} profile - A profile from profileData
+ * @param {string} rangeAddress - Address of the profiled range
+ */
+function renderProfile(profile, rangeAddress) {
+  const profilePanel = document.getElementById("profilePanel");
+  const summary = document.getElementById("profileSummary");
+  const list = document.getElementById("profileList");
+  if (!profilePanel || !summary || !list) {
+    return;
+  }
+  
+  summary.textContent = `${rangeAddress}: ${profile.rowCount} row(s), ${profile.columns.length} column(s)`;
+  list.innerHTML = "";
+  
+  profile.columns.forEach((column) => {
+    const lines = [
+      `${Math.round(column.blankPercent * 100)}% blank, ${column.distinctCount} distinct`,
+      `Types: ${DataProfiler.describeTypeCounts(column) || "none"}`
+    ];
+    if (column.topValues.length > 0) {
+      lines.push(`Top: ${column.topValues.map(({ value, count }) => `${formatPreviewValue(value)} (${count})`).join(", ")}`);
+    }
+    if (column.numeric) {
+      const { min, max, mean } = column.numeric;
+      lines.push(`Min ${DataProfiler.roundProfileNumber(min)}, max ${DataProfiler.roundProfileNumber(max)}, mean ${DataProfiler.roundProfileNumber(mean)}`);
     }
+    if (column.text) {
+      const { minLength, maxLength, meanLength, patterns } = column.text;
+      lines.push(`Length ${minLength}–${maxLength}, mean ${DataProfiler.roundProfileNumber(meanLength)}`);
+      lines.push(`Patterns: ${patterns.map(({ pattern, count }) => `${pattern} (${count})`).join(", ")}`);
+    }
+    
+    const item = document.createElement("li");
+    item.className = "profile-column";
     
-    showStatus(successMessage, "success");
+    const heading = document.createElement("div");
+    heading.className = "profile-heading";
+    const name = column.header || `Column ${column.column + 1}`;
+    heading.textContent = `${name}: ${column.type} (${Math.round(column.confidence * 100)}%)`;
+    item.appendChild(heading);
     
+    lines.forEach((line) => {
+      const stat = document.createElement("div");
+      stat.className = "profile-stat";
+      stat.textContent = line;
+      item.appendChild(stat);
+    });
+    
+    list.appendChild(item);
+  });
+  
+  profilePanel.hidden = false;
+}
+
+/**
+ * Lists the inferred type and confidence of each column, e.g. "- Amount: currency (95%)"
+ * @param {Array<Array<any>>} rawData - The data before cleaning
+ * @param {number} headerRowIndex - Header row index, or -1 if the data has no header
+ * @returns {string} One line per column
+ */
+function describeColumnTypes(rawData, headerRowIndex) {
+  const profiles = DataCleaner.profileColumns(rawData, headerRowIndex);
+  return profiles
+    .map((profile) => {
+      const name = isEmptyValue(profile.header) ? `Column ${profile.column + 1}` : String(profile.header).trim();
+      return `- ${name}: ${profile.type} (${Math.round(profile.confidence * 100)}%)`;
+    })
+    .join("\n");
+}
+
+/**
+ * Lists the first cleaning issues, e.g. 'R5C2: "abc" (Not a valid currency value)'
+ * @param {Array<Object>} issues - Issues from cleanData
+ * @returns {string} One line per issue, truncated to MAX_LISTED_ISSUES
+ */
+function describeIssues(issues) {
+  const lines = issues
+    .slice(0, MAX_LISTED_ISSUES)
+    .map(({ row, column, value, message }) => `- R${row + 1}C${column + 1}: ${formatPreviewValue(value)} (${message})`);
+  
+  if (issues.length > MAX_LISTED_ISSUES) {
+    lines.push(`- ...and ${issues.length - MAX_LISTED_ISSUES} more`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Checks whether a header or cell value is blank
+ * @param {any} value - The value
+ * @returns {boolean} True for null, undefined and whitespace-only strings
+ */
+function isEmptyValue(value) {
+  return value === null || value === undefined || String(value).trim() === "";
+}
+
+/**
+ * Disables a button and shows its loading state, or restores it
+ * @param {HTMLButtonElement} button - The button
+ * @param {boolean} busy - Whether an operation is running
+ */
+function setBusy(button, busy) {
+  if (!button) {
+    return;
+  }
+  button.disabled = busy;
+  button.classList.toggle("loading", busy);
+}
+
+/**
+ * Handler for the "Restore Original" button click
+ * Puts the ranges from the last clean back exactly as they were, including removed rows
+ */
+async function handleRestoreOriginal() {
+  const restoreButton = document.getElementById("restoreButton");
+  
+  restoreButton.disabled = true;
+  hideStatus();
+  
+  try {
+    await clearValidationFlags();
+    showStatus("Restoring original data...", "info");
+    // The ribbon commands may have cleaned (or undone) something since the task pane last looked
+    await ExcelUtils.refreshDocumentSettings();
+    const addresses = await ExcelUtils.restoreRangeSnapshot();
+    showStatus(`Original data restored.\n\n${addresses.join(", ")}`, "success");
   } catch (error) {
-    console.error("Error cleaning data:", error);
+    console.error("Error restoring data:", error);
     showStatus(`Error: ${error.message}`, "error");
   } finally {
-    // Re-enable button
-    cleanButton.disabled = false;
-    cleanButton.classList.remove("loading");
+    updateRestoreButton();
+  }
+}
+
+/**
+ * Enables the "Restore Original" button only when the document holds a snapshot
+ */
+function updateRestoreButton() {
+  const restoreButton = document.getElementById("restoreButton");
+  if (restoreButton) {
+    restoreButton.disabled = !ExcelUtils.hasRangeSnapshot();
+  }
+}
+
+/**
+ * Shows the progress bar for a read or write that can be cancelled
+ * @param {string} label - What is being done, e.g. "Reading selection"
+ * @returns {AbortSignal} Signal that is aborted when the user clicks "Cancel"
+ */
+function startProgress(label) {
+  activeOperation = new AbortController();
+  
+  const cancelButton = document.getElementById("cancelButton");
+  if (cancelButton) {
+    cancelButton.disabled = false;
+  }
+  updateProgress(label, 0);
+  
+  const progressPanel = document.getElementById("progressPanel");
+  if (progressPanel) {
+    progressPanel.hidden = false;
+  }
+  return activeOperation.signal;
+}
+
+/**
+ * Updates the progress bar
+ * @param {string} label - What is being done
+ * @param {number} fraction - Portion completed, from 0 to 1
+ */
+function updateProgress(label, fraction) {
+  const progressLabel = document.getElementById("progressLabel");
+  const progressPercent = document.getElementById("progressPercent");
+  const progressFill = document.getElementById("progressFill");
+  const percent = `${Math.round(Math.min(Math.max(fraction, 0), 1) * 100)}%`;
+  
+  if (progressLabel) {
+    progressLabel.textContent = label;
+  }
+  if (progressPercent) {
+    progressPercent.textContent = percent;
+  }
+  if (progressFill) {
+    progressFill.style.width = percent;
+  }
+}
+
+/**
+ * Hides the progress bar once the read or write has finished
+ */
+function endProgress() {
+  activeOperation = null;
+  const progressPanel = document.getElementById("progressPanel");
+  if (progressPanel) {
+    progressPanel.hidden = true;
+  }
+}
+
+/**
+ * Handler for the "Cancel" button on the progress bar
+ * The running read or write stops before its next batch.
+ */
+function handleCancelOperation() {
+  const cancelButton = document.getElementById("cancelButton");
+  if (activeOperation) {
+    activeOperation.abort();
+  }
+  if (cancelButton) {
+    cancelButton.disabled = true;
   }
 }
 
@@ -158,27 +3130,25 @@ function hideStatus() {
   }
 }
 
-// Import utility functions from global namespaces (set by script tags)
-// Use safe destructuring with fallbacks
+// Utility modules, from the global namespaces set by the script tags
+// Call through these rather than aliasing their functions: a top-level alias would
+// re-declare the module's own function in the page's shared script scope
 const ExcelUtils = window.ExcelUtils || {};
 const DataCleaner = window.DataCleaner || {};
+const ContactNormalizers = window.ContactNormalizers || {};
+const ValidationRules = window.ValidationRules || {};
+const DataProfiler = window.DataProfiler || {};
+const OutlierDetector = window.OutlierDetector || {};
+const RecipeStore = window.RecipeStore || {};
+const AIProviders = window.AIProviders || {};
+const AIPrivacy = window.AIPrivacy || {};
 const AIAnalyzer = window.AIAnalyzer || {};
 
-const getSelectedRange = ExcelUtils.getSelectedRange;
-const readRangeData = ExcelUtils.readRangeData;
-const writeRangeData = ExcelUtils.writeRangeData;
-const formatHeaderRow = ExcelUtils.formatHeaderRow;
-const autoFitColumns = ExcelUtils.autoFitColumns;
-const getRangeAddress = ExcelUtils.getRangeAddress;
-
-const cleanData = DataCleaner.cleanData;
-const analyzeData = AIAnalyzer.analyzeData;
-
 // Validate that required functions are available
-if (!getSelectedRange || !readRangeData || !writeRangeData) {
+if (!ExcelUtils.getSelectedRange || !ExcelUtils.readRangeData || !ExcelUtils.writeRangeData) {
   console.error("ExcelUtils not loaded. Check script tags in HTML.");
 }
 
-if (!cleanData) {
+if (!DataCleaner.cleanData) {
   console.error("DataCleaner not loaded. Check script tags in HTML.");
 }
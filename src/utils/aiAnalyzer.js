@@ -19,9 +19,23 @@ function getConfigValue(key, defaultValue) {
   return defaultValue;
 }
 
-const AI_API_ENDPOINT = getConfigValue("AI_API_ENDPOINT", "https://api.openai.com/v1/chat/completions");
-const AI_MODEL = getConfigValue("AI_MODEL", "gpt-3.5-turbo");
-const AI_SAMPLE_SIZE = 20; // Number of rows to send for analysis
+// AI_PROVIDER is one of the AIProviders.AI_PROVIDERS keys; a null endpoint or model uses the provider's default
+const AI_PROVIDER = getConfigValue("AI_PROVIDER", "openai");
+const AI_API_ENDPOINT = getConfigValue("AI_API_ENDPOINT", null);
+const AI_MODEL = getConfigValue("AI_MODEL", null);
+const AI_API_VERSION = getConfigValue("AI_API_VERSION", null); // Azure OpenAI only
+const ANALYSIS_SAMPLE_SIZE = 20; // Default number of rows to send for analysis
+const AI_TIMEOUT_MS = Number(getConfigValue("AI_TIMEOUT_MS", 30000)); // Per attempt
+const AI_MAX_RETRIES = Number(getConfigValue("AI_MAX_RETRIES", 2));
+
+// Provider settings chosen in the task pane; they take precedence over window.config and the environment
+let providerOverrides = {};
+
+// Sampling and column privacy settings chosen in the task pane (see AIPrivacy.preparePayload)
+let privacyOverrides = {};
+
+// Where replies are kept between runs ({ get(key), set(key, content) }), or null for no caching
+let responseCache = null;
 
 /**
  * Retrieves the API key from environment variables or configuration
@@ -46,6 +60,180 @@ function getApiKey() {
   return null;
 }
 
+/**
+ * Resolves the AIProviders module in both browser (script tag) and Node.js environments
+ * @returns {Object} The AIProviders exports
+ */
+function getAIProviders() {
+  if (typeof window !== "undefined" && window.AIProviders) {
+    return window.AIProviders;
+  }
+  return require("./aiProviders");
+}
+
+/**
+ * Sets the provider settings chosen in the task pane
+ * Empty values fall back to window.config, the environment, then the provider's defaults.
+ * @param {Object} settings - { provider, endpoint, model, apiKey, apiVersion }
+ */
+function configureAIProvider(settings = {}) {
+  providerOverrides = { ...settings };
+}
+
+/**
+ * Gets the complete provider settings used for requests
+ * The configured endpoint and model only apply to the configured provider, so switching
+ * providers in the task pane doesn't send requests to the other provider's endpoint.
+ * @returns {Object} { provider, endpoint, model, apiKey, apiVersion }
+ */
+function getProviderSettings() {
+  const provider = providerOverrides.provider || AI_PROVIDER;
+  const isConfiguredProvider = provider === AI_PROVIDER;
+  
+  return getAIProviders().resolveProviderSettings({
+    provider,
+    endpoint: providerOverrides.endpoint || (isConfiguredProvider ? AI_API_ENDPOINT : null),
+    model: providerOverrides.model || (isConfiguredProvider ? AI_MODEL : null),
+    apiVersion: providerOverrides.apiVersion || AI_API_VERSION,
+    apiKey: providerOverrides.apiKey || getApiKey()
+  });
+}
+
+/**
+ * Resolves the AIPrivacy module in both browser (script tag) and Node.js environments
+ * @returns {Object} The AIPrivacy exports
+ */
+function getAIPrivacy() {
+  if (typeof window !== "undefined" && window.AIPrivacy) {
+    return window.AIPrivacy;
+  }
+  return require("./aiPrivacy");
+}
+
+/**
+ * Sets how rows are sampled and which columns are masked, pseudonymized or left out
+ * @param {Object} settings - { strategy, sampleSize, seed, stratifyColumn, columnModes }
+ */
+function configureAIPrivacy(settings = {}) {
+  privacyOverrides = { ...settings };
+}
+
+/**
+ * Gets the complete sampling and privacy settings used for requests
+ * Rows are sampled at random with a fixed seed unless the task pane chose otherwise, so the
+ * same data always sends the same rows.
+ * @returns {Object} { strategy, sampleSize, seed, stratifyColumn, columnModes }
+ */
+function getPrivacySettings() {
+  return {
+    strategy: privacyOverrides.strategy || "random",
+    sampleSize: privacyOverrides.sampleSize || ANALYSIS_SAMPLE_SIZE,
+    seed: privacyOverrides.seed !== undefined && privacyOverrides.seed !== null
+      ? privacyOverrides.seed
+      : getAIPrivacy().DEFAULT_SAMPLE_SEED,
+    stratifyColumn: privacyOverrides.stratifyColumn,
+    columnModes: privacyOverrides.columnModes || {}
+  };
+}
+
+/**
+ * Checks whether AI requests can be sent (an endpoint is set, and an API key where the provider needs one)
+ * @returns {boolean} True if the provider is ready
+ */
+function isAIConfigured() {
+  return getAIProviders().isProviderConfigured(getProviderSettings());
+}
+
+/**
+ * Says which provider setting is missing, for telling the user why AI requests can't be sent
+ * @returns {string|null} The message (see getProviderSetupError), or null if the provider is ready
+ */
+function getAISetupError() {
+  return getAIProviders().getProviderSetupError(getProviderSettings());
+}
+
+/**
+ * Sets where replies are cached, so unchanged requests aren't sent again
+ * @param {Object|null} cache - { get(key), set(key, content) }, both may return promises;
+ *   get resolves to the cached reply text or null
+ */
+function configureAIResponseCache(cache) {
+  responseCache = cache;
+}
+
+/**
+ * Hashes text to a short key (cyrb53, a fast non-cryptographic 53-bit hash)
+ * @param {string} text - The text
+ * @returns {string} The hash in hexadecimal
+ */
+function hashText(text) {
+  let h1 = 0xdeadbeef;
+  let h2 = 0x41c6ce57;
+  for (let i = 0; i < text.length; i++) {
+    const code = text.charCodeAt(i);
+    h1 = Math.imul(h1 ^ code, 2654435761);
+    h2 = Math.imul(h2 ^ code, 1597334677);
+  }
+  h1 = Math.imul(h1 ^ (h1 >>> 16), 2246822507) ^ Math.imul(h2 ^ (h2 >>> 13), 3266489909);
+  h2 = Math.imul(h2 ^ (h2 >>> 16), 2246822507) ^ Math.imul(h1 ^ (h1 >>> 13), 3266489909);
+  return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+}
+
+/**
+ * Builds the cache key of a request: the provider, endpoint and model plus everything sent
+ * The API key is left out, so changing it doesn't throw away cached replies.
+ * @param {Object} settings - Provider settings
+ * @param {Object} request - Provider-neutral request
+ * @returns {string} The cache key
+ */
+function getResponseCacheKey(settings, request) {
+  const { provider, endpoint, model, apiVersion } = settings;
+  return hashText(JSON.stringify([provider, endpoint, model, apiVersion, request]));
+}
+
+/**
+ * Sends a chat request, answering from the response cache when the same request was sent before
+ * Cache failures are logged and otherwise ignored; they never fail the request.
+ * @param {Object} settings - Provider settings
+ * @param {Object} request - Provider-neutral request
+ * @param {Object} options - Request options
+ * @param {boolean} options.useCache - Read cached replies (default: true); replies are cached either way
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Function} options.onRetry - Called with { attempt, delay, reason } before each retry
+ * @returns {Promise<string>} The reply text
+ * @throws {Error} If the request fails, or with name "AbortError" if it is cancelled
+ */
+async function sendCachedChatRequest(settings, request, options = {}) {
+  const key = getResponseCacheKey(settings, request);
+  
+  if (responseCache && options.useCache !== false) {
+    try {
+      const cached = await responseCache.get(key);
+      if (cached) {
+        return cached;
+      }
+    } catch (error) {
+      console.warn("Could not read the AI response cache:", error);
+    }
+  }
+  
+  const content = await getAIProviders().sendChatRequest(settings, request, {
+    timeoutMs: AI_TIMEOUT_MS,
+    retries: AI_MAX_RETRIES,
+    signal: options.signal,
+    onRetry: options.onRetry
+  });
+  
+  if (responseCache) {
+    try {
+      await responseCache.set(key, content);
+    } catch (error) {
+      console.warn("Could not save to the AI response cache:", error);
+    }
+  }
+  return content;
+}
+
 /**
  * Formats data sample for AI analysis
  * Converts 2D array to a readable text format
@@ -63,12 +251,11 @@ function formatDataForAI(sampleData) {
 }
 
 /**
- * Calls the AI API to analyze the data sample
+ * Builds the provider-neutral request asking for insights about a data sample
  * @param {Array<Array<any>>} sampleData - Sample data to analyze
- * @param {string} apiKey - API key for authentication
- * @returns {Promise<Object>} AI analysis response
+ * @returns {Object} { messages, maxTokens, temperature }
  */
-async function callAIApi(sampleData, apiKey) {
+function buildAnalysisRequest(sampleData) {
   const formattedData = formatDataForAI(sampleData);
   
   const prompt = `Analyze the following spreadsheet data sample and provide insights:
@@ -81,8 +268,7 @@ ${formattedData}
 
 Please provide concise, actionable insights.`;
 
-  const requestBody = {
-    model: AI_MODEL,
+  return {
     messages: [
       {
         role: "system",
@@ -93,27 +279,21 @@ Please provide concise, actionable insights.`;
         content: prompt
       }
     ],
-    max_tokens: 500,
+    maxTokens: 500,
     temperature: 0.3
   };
+}
 
+/**
+ * Calls the configured AI provider to analyze the data sample
+ * @param {Array<Array<any>>} sampleData - Sample data to analyze, already sampled and masked
+ * @param {Object} settings - Provider settings (default: getProviderSettings())
+ * @param {Object} options - Cache, cancellation and retry options (see sendCachedChatRequest)
+ * @returns {Promise<string>} The reply text
+ */
+async function callAIApi(sampleData, settings = getProviderSettings(), options = {}) {
   try {
-    const response = await fetch(AI_API_ENDPOINT, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "Authorization": `Bearer ${apiKey}`
-      },
-      body: JSON.stringify(requestBody)
-    });
-
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`AI API error: ${response.status} - ${errorText}`);
-    }
-
-    const data = await response.json();
-    return data;
+    return await sendCachedChatRequest(settings, buildAnalysisRequest(sampleData), options);
   } catch (error) {
     console.error("AI API call failed:", error);
     throw error;
@@ -121,77 +301,468 @@ Please provide concise, actionable insights.`;
 }
 
 /**
- * Parses the AI API response to extract insights
- * @param {Object} apiResponse - The response from the AI API
+ * Parses the AI reply to extract insights
+ * @param {string} content - The reply text from callAIApi
  * @returns {string} Formatted insights text
  */
-function parseAIResponse(apiResponse) {
-  if (!apiResponse || !apiResponse.choices || apiResponse.choices.length === 0) {
+function parseAIResponse(content) {
+  if (!content || !content.trim()) {
     return "No insights available from AI analysis.";
   }
+  
+  return content.trim();
+}
 
-  const content = apiResponse.choices[0].message?.content;
-  if (!content) {
-    return "AI response format unexpected.";
-  }
+/**
+ * Samples the data and masks its personal data with the current privacy settings
+ * @param {Array<Array<any>>} data - The data to send
+ * @param {Object} options - Payload options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @returns {Object} The payload from AIPrivacy.preparePayload
+ */
+function prepareAIPayload(data, options = {}) {
+  return getAIPrivacy().preparePayload(data, {
+    ...getPrivacySettings(),
+    headerRowIndex: options.headerRowIndex !== undefined ? options.headerRowIndex : 0
+  });
+}
 
-  return content.trim();
+/**
+ * Builds exactly what an AI request would send, without sending it
+ * analyzeData and suggestCleaningSteps build their requests the same way, so with unchanged
+ * settings and data the preview matches what goes out.
+ * @param {Array<Array<any>>} data - The data the request is about
+ * @param {Object} options - Preview options
+ * @param {string} options.kind - "analysis" or "suggestions" (default: "analysis")
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @returns {Object} { request, payload, provider } where provider holds the provider, endpoint
+ *   and model (never the API key)
+ */
+function previewAIRequest(data, options = {}) {
+  const payload = prepareAIPayload(data, options);
+  const request = options.kind === "suggestions"
+    ? buildSuggestionRequest(payload.rows)
+    : buildAnalysisRequest(payload.rows);
+  const { provider, endpoint, model } = getProviderSettings();
+  return { request, payload, provider: { provider, endpoint, model } };
 }
 
 /**
  * Main AI analysis function
  * Analyzes a sample of cleaned data and returns insights
+ * Only the sample from prepareAIPayload is sent, with personal data masked.
  * @param {Array<Array<any>>} cleanedData - The cleaned data to analyze
  * @param {boolean} enabled - Whether AI analysis is enabled
+ * @param {Object} options - Analysis options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @param {boolean} options.useCache - Reuse a cached reply for an unchanged sample (default: true)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Function} options.onRetry - Called with { attempt, delay, reason } before each retry
  * @returns {Promise<string|null>} AI insights as a string, or null if disabled/failed
+ * @throws {Error} With name "AbortError" if the request is cancelled; other failures return null
  */
-async function analyzeData(cleanedData, enabled = false) {
+async function analyzeData(cleanedData, enabled = false, options = {}) {
   // Early return if AI is disabled
   if (!enabled) {
     return null;
   }
-
-  // Check for API key
-  const apiKey = getApiKey();
-  if (!apiKey) {
-    console.warn("AI analysis requested but no API key configured.");
+  
+  // Check the endpoint and API key (local providers don't need a key)
+  if (!isAIConfigured()) {
+    console.warn(`AI analysis requested but not available: ${getAISetupError()}`);
     return null;
   }
-
+  
   // Validate data
   if (!cleanedData || cleanedData.length === 0) {
     console.warn("No data provided for AI analysis.");
     return null;
   }
-
+  
   try {
-    // Extract sample (first N rows)
-    const sampleData = cleanedData.slice(0, AI_SAMPLE_SIZE);
+    // Sample the rows and mask personal data
+    const payload = prepareAIPayload(cleanedData, options);
     
     // Call AI API
-    const apiResponse = await callAIApi(sampleData, apiKey);
+    const content = await callAIApi(payload.rows, getProviderSettings(), options);
     
     // Parse and return insights
-    const insights = parseAIResponse(apiResponse);
+    const insights = parseAIResponse(content);
     return insights;
   } catch (error) {
+    // Cancelling is the user's choice, not a failure, so the caller gets to tell them apart
+    if (error.name === "AbortError") {
+      throw error;
+    }
     // Gracefully handle errors - don't throw, just log and return null
     console.error("AI analysis failed:", error.message);
     return null;
   }
 }
 
+/**
+ * Cleaning actions the AI may suggest, keyed by pipeline operation
+ * column: whether the action targets one column ("required"), may name one ("optional")
+ * or applies to the whole range (false). fields: the options the action takes, each with
+ * its kind ("boolean", "string") or list of allowed values, and a short hint for the prompt.
+ */
+const SUGGESTION_ACTIONS = {
+  trimWhitespace: { column: false, fields: {}, hint: "trim leading and trailing spaces everywhere" },
+  convertTypes: { column: "required", fields: { type: "columnTypes" }, hint: "convert a column to a type" },
+  normalizeDates: { column: "required", fields: { dayFirst: "boolean" }, hint: "parse a column's dates, dayFirst true for D/M/Y" },
+  normalizeContacts: { column: "required", fields: { fieldType: "contactTypes" }, hint: "normalize emails, phone numbers or URLs" },
+  normalizeCasing: { column: "required", fields: { mode: "casingModes" }, hint: "change a column's casing" },
+  mapValues: { column: "required", fields: { from: "string", to: "string" }, hint: "replace one exact value with another, e.g. NY with New York" },
+  removeDuplicateRows: { column: "optional", fields: {}, hint: "remove duplicate rows, compared on one column if given" },
+  removeEmptyRows: { column: false, fields: {}, hint: "remove fully empty rows" },
+  replaceEmptyCells: { column: false, fields: { replacement: "string" }, hint: "fill empty cells with text" }
+};
+
+// Upper bound on the suggestions shown, so a runaway response can't flood the task pane
+const MAX_SUGGESTIONS = 25;
+
+/**
+ * Resolves the DataCleaner module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataCleaner exports
+ */
+function getDataCleanerForSuggestions() {
+  if (typeof window !== "undefined" && window.DataCleaner) {
+    return window.DataCleaner;
+  }
+  return require("./dataCleaner");
+}
+
+/**
+ * Resolves the ContactNormalizers module in both browser (script tag) and Node.js environments
+ * @returns {Object} The ContactNormalizers exports
+ */
+function getContactNormalizersForSuggestions() {
+  if (typeof window !== "undefined" && window.ContactNormalizers) {
+    return window.ContactNormalizers;
+  }
+  return require("./contactNormalizers");
+}
+
+/**
+ * Lists the allowed values of a suggestion field kind, or null for free-form kinds
+ * @param {string} kind - A field kind from SUGGESTION_ACTIONS
+ * @returns {Array<string>|null} The allowed values
+ */
+function getAllowedFieldValues(kind) {
+  switch (kind) {
+    case "columnTypes":
+      return getDataCleanerForSuggestions().COLUMN_TYPES;
+    case "casingModes":
+      return getDataCleanerForSuggestions().CASING_MODES;
+    case "contactTypes":
+      return getContactNormalizersForSuggestions().CONTACT_FIELD_TYPES;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Builds the prompt describing the data and the JSON the model must answer with
+ * @param {Array<Array<any>>} sampleData - Sample rows, header first when there is one
+ * @returns {string} The prompt
+ */
+function buildSuggestionPrompt(sampleData) {
+  const actions = Object.keys(SUGGESTION_ACTIONS).map((op) => {
+    const action = SUGGESTION_ACTIONS[op];
+    const fields = Object.keys(action.fields).map((field) => {
+      const allowed = getAllowedFieldValues(action.fields[field]);
+      return `${field}: ${allowed ? allowed.join(" | ") : action.fields[field]}`;
+    });
+    const column = action.column === false ? "" : ` (column ${action.column})`;
+    return `- ${op}${column}: ${action.hint}${fields.length > 0 ? `; options { ${fields.join(", ")} }` : ""}`;
+  });
+  
+  return `Suggest cleaning actions for the following spreadsheet data sample.
+Only use these actions:
+${actions.join("\n")}
+
+Answer with JSON only, in this shape:
+{"suggestions": [{"op": "normalizeDates", "column": "C", "options": {"dayFirst": true}, "reason": "Dates are written D/M/Y"}]}
+Columns are letters relative to the sample (A is its first column). Suggest only what the sample clearly needs.
+
+Data sample:
+${formatDataForAI(sampleData)}`;
+}
+
+/**
+ * Reads the JSON object out of a model reply, which may wrap it in a Markdown code fence
+ * @param {string} content - The reply text
+ * @returns {Object} The parsed object
+ * @throws {Error} If the reply holds no valid JSON object
+ */
+function extractJsonObject(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const text = fenced ? fenced[1] : content;
+  const start = text.indexOf("{");
+  const end = text.lastIndexOf("}");
+  
+  try {
+    if (start === -1 || end < start) {
+      throw new Error("no object found");
+    }
+    return JSON.parse(text.slice(start, end + 1));
+  } catch (error) {
+    throw new Error(`AI response is not valid JSON (${error.message}).`);
+  }
+}
+
+/**
+ * Checks one raw suggestion against SUGGESTION_ACTIONS and the cleaner's operations
+ * @param {Object} raw - A suggestion as returned by the model
+ * @param {Array<any>} headerRow - Header values used to resolve column names
+ * @param {number} columnCount - Number of columns in the data
+ * @returns {Object} { op, column, options, reason } with column as a zero-based index (or null)
+ * @throws {Error} Describing why the suggestion can't be applied
+ */
+function validateSuggestion(raw, headerRow, columnCount) {
+  const dataCleaner = getDataCleanerForSuggestions();
+  if (!raw || typeof raw !== "object") {
+    throw new Error("Not an object");
+  }
+  
+  const action = SUGGESTION_ACTIONS[raw.op];
+  if (!action || !dataCleaner.CLEANING_OPERATIONS[raw.op]) {
+    throw new Error(`Unsupported operation "${raw.op}"`);
+  }
+  
+  let column = null;
+  const hasColumn = raw.column !== undefined && raw.column !== null && String(raw.column).trim() !== "";
+  if (hasColumn && action.column !== false) {
+    const columns = dataCleaner.parseColumnList(String(raw.column), headerRow);
+    if (columns.length !== 1 || columns[0] >= columnCount) {
+      throw new Error(`Column "${raw.column}" is not in the data`);
+    }
+    column = columns[0];
+  } else if (action.column === "required") {
+    throw new Error("Missing column");
+  }
+  
+  const rawOptions = raw.options && typeof raw.options === "object" ? raw.options : {};
+  const options = {};
+  Object.keys(action.fields).forEach((field) => {
+    const kind = action.fields[field];
+    const value = rawOptions[field];
+    const allowed = getAllowedFieldValues(kind);
+    
+    if (kind === "boolean") {
+      options[field] = value === true || value === "true";
+    } else if (allowed) {
+      const match = allowed.find((candidate) => candidate.toLowerCase() === String(value).toLowerCase());
+      if (!match) {
+        throw new Error(`Invalid ${field} "${value}"`);
+      }
+      options[field] = match;
+    } else {
+      if (value === undefined || value === null || typeof value === "object") {
+        throw new Error(`Missing ${field}`);
+      }
+      options[field] = String(value);
+    }
+  });
+  
+  if (raw.op === "mapValues" && options.from.trim() === "") {
+    throw new Error("Missing value to replace");
+  }
+  
+  const reason = typeof raw.reason === "string" ? raw.reason.trim() : "";
+  return { op: raw.op, column, options, reason };
+}
+
+/**
+ * Parses and validates the suggestions in an AI reply
+ * Suggestions the cleaner can't run (unknown operations, missing columns, invalid options)
+ * are returned separately instead of failing the whole response; repeats are dropped.
+ * @param {string} content - The reply text
+ * @param {Object} options - Validation options
+ * @param {Array<any>} options.headerRow - Header values used to resolve column names (default: none)
+ * @param {number} options.columnCount - Number of columns in the data
+ * @returns {Object} { suggestions, rejected } where suggestions lists valid
+ *   { op, column, options, reason } and rejected lists { suggestion, reason }
+ * @throws {Error} If the response holds no suggestions list
+ */
+function parseSuggestions(content, options = {}) {
+  const headerRow = options.headerRow || [];
+  if (!content) {
+    throw new Error("AI response format unexpected.");
+  }
+  
+  const parsed = extractJsonObject(content);
+  if (!Array.isArray(parsed.suggestions)) {
+    throw new Error("AI response has no suggestions list.");
+  }
+  
+  const suggestions = [];
+  const rejected = [];
+  const seen = new Set();
+  
+  parsed.suggestions.slice(0, MAX_SUGGESTIONS).forEach((raw) => {
+    try {
+      const suggestion = validateSuggestion(raw, headerRow, options.columnCount);
+      const key = JSON.stringify([suggestion.op, suggestion.column, suggestion.options]);
+      if (!seen.has(key)) {
+        seen.add(key);
+        suggestions.push(suggestion);
+      }
+    } catch (error) {
+      rejected.push({ suggestion: raw, reason: error.message });
+    }
+  });
+  
+  return { suggestions, rejected };
+}
+
+/**
+ * Describes a validated suggestion for the checklist, e.g. 'Column C (State): map "NY" to "New York"'
+ * @param {Object} suggestion - A suggestion from parseSuggestions
+ * @param {Array<any>} headerRow - Header values used to name the column (optional)
+ * @returns {string} The description
+ */
+function describeSuggestion(suggestion, headerRow = []) {
+  const { op, column, options } = suggestion;
+  let action;
+  switch (op) {
+    case "convertTypes":
+      action = `convert to ${options.type}`;
+      break;
+    case "normalizeDates":
+      action = `normalize dates (${options.dayFirst ? "day" : "month"} first)`;
+      break;
+    case "normalizeContacts":
+      action = `normalize as ${options.fieldType}`;
+      break;
+    case "normalizeCasing":
+      action = `set casing to ${options.mode}`;
+      break;
+    case "mapValues":
+      action = `map "${options.from}" to "${options.to}"`;
+      break;
+    case "replaceEmptyCells":
+      action = `fill empty cells with "${options.replacement}"`;
+      break;
+    default:
+      action = getDataCleanerForSuggestions().CLEANING_OPERATIONS[op].label.toLowerCase();
+  }
+  
+  if (column === null) {
+    return action.charAt(0).toUpperCase() + action.slice(1);
+  }
+  
+  const letter = getDataCleanerForSuggestions().columnIndexToLetter(column);
+  const header = headerRow[column];
+  const name = typeof header === "string" && header.trim() ? ` (${header.trim()})` : "";
+  return `Column ${letter}${name}: ${action}`;
+}
+
+/**
+ * Builds the provider-neutral request asking for cleaning actions for a data sample
+ * @param {Array<Array<any>>} sampleData - Sample rows, header first when there is one
+ * @returns {Object} { messages, maxTokens, temperature, json }
+ */
+function buildSuggestionRequest(sampleData) {
+  return {
+    messages: [
+      {
+        role: "system",
+        content: "You are a data quality analyst. Reply only with JSON describing cleaning actions for spreadsheet data."
+      },
+      {
+        role: "user",
+        content: buildSuggestionPrompt(sampleData)
+      }
+    ],
+    maxTokens: 800,
+    temperature: 0.2,
+    json: true
+  };
+}
+
+/**
+ * Maps suggestions about payload columns back to the data's columns
+ * Value mappings for columns that were masked or pseudonymized are rejected, since the AI
+ * only saw the stand-ins and not the values it would be replacing.
+ * @param {Object} parsed - { suggestions, rejected } from parseSuggestions
+ * @param {Object} payload - The payload the suggestions were made for
+ * @returns {Object} { suggestions, rejected } with columns as indices into the data
+ */
+function mapSuggestionColumns(parsed, payload) {
+  const suggestions = [];
+  const rejected = parsed.rejected.slice();
+  
+  parsed.suggestions.forEach((suggestion) => {
+    const column = suggestion.column === null ? null : payload.columns[suggestion.column];
+    if (suggestion.op === "mapValues" && payload.modes[column] !== "keep") {
+      rejected.push({ suggestion, reason: "The column's values were masked before sending" });
+      return;
+    }
+    suggestions.push({ ...suggestion, column });
+  });
+  return { suggestions, rejected };
+}
+
+/**
+ * Asks the AI for cleaning actions that fit the data, validated against what the cleaner supports
+ * Unlike analyzeData, failures are thrown so the task pane can explain them. Only the sample
+ * from prepareAIPayload is sent, with personal data masked.
+ * @param {Array<Array<any>>} data - The data to look at
+ * @param {Object} options - Request options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @param {boolean} options.useCache - Reuse a cached reply for an unchanged sample (default: true)
+ * @param {AbortSignal} options.signal - Cancels the request
+ * @param {Function} options.onRetry - Called with { attempt, delay, reason } before each retry
+ * @returns {Promise<Object>} { suggestions, rejected } (see parseSuggestions) with columns as
+ *   indices into data
+ * @throws {Error} If the endpoint or API key is missing, the sampling settings are invalid, or the
+ *   request or response fails; with name "AbortError" if the request is cancelled
+ */
+async function suggestCleaningSteps(data, options = {}) {
+  const setupError = getAISetupError();
+  if (setupError) {
+    throw new Error(`AI suggestions are not available. ${setupError}`);
+  }
+  if (!data || data.length === 0) {
+    throw new Error("No data provided for AI suggestions.");
+  }
+  
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const payload = prepareAIPayload(data, { headerRowIndex });
+  const headerRow = headerRowIndex === -1 ? [] : payload.rows[0];
+  
+  const content = await sendCachedChatRequest(getProviderSettings(), buildSuggestionRequest(payload.rows), options);
+  const parsed = parseSuggestions(content, { headerRow, columnCount: payload.columns.length });
+  return mapSuggestionColumns(parsed, payload);
+}
+
 // Export functions for use in other modules
 // Browser environment: attach to window object
 if (typeof window !== "undefined") {
   window.AIAnalyzer = {
     analyzeData,
+    configureAIProvider,
+    getProviderSettings,
+    configureAIPrivacy,
+    getPrivacySettings,
+    configureAIResponseCache,
+    previewAIRequest,
+    isAIConfigured,
+    getAISetupError,
     getApiKey,
     callAIApi,
     parseAIResponse,
+    suggestCleaningSteps,
+    parseSuggestions,
+    describeSuggestion,
+    SUGGESTION_ACTIONS,
+    AI_PROVIDER,
     AI_API_ENDPOINT,
     AI_MODEL,
-    AI_SAMPLE_SIZE
+    AI_SAMPLE_SIZE: ANALYSIS_SAMPLE_SIZE,
+    AI_TIMEOUT_MS,
+    AI_MAX_RETRIES
   };
 }
 
@@ -199,11 +770,26 @@ if (typeof window !== "undefined") {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     analyzeData,
+    configureAIProvider,
+    getProviderSettings,
+    configureAIPrivacy,
+    getPrivacySettings,
+    configureAIResponseCache,
+    previewAIRequest,
+    isAIConfigured,
+    getAISetupError,
     getApiKey,
     callAIApi,
     parseAIResponse,
+    suggestCleaningSteps,
+    parseSuggestions,
+    describeSuggestion,
+    SUGGESTION_ACTIONS,
+    AI_PROVIDER,
     AI_API_ENDPOINT,
     AI_MODEL,
-    AI_SAMPLE_SIZE
+    AI_SAMPLE_SIZE: ANALYSIS_SAMPLE_SIZE,
+    AI_TIMEOUT_MS,
+    AI_MAX_RETRIES
   };
 }
@@ -0,0 +1,419 @@
+/**
+ * AI Privacy Module
+ * Prepares the rows sent to an AI provider: picks a reproducible, representative sample and
+ * masks, pseudonymizes or drops columns that look like personal data
+ * All functions work with 2D arrays (row-major) and have no Excel API dependencies
+ */
+
+/**
+ * Kinds of personal data recognized, with the token used when pseudonymizing
+ * headerPattern: matched against the column header as whole words ("Cancelled" holds no cell
+ * number); camelCase and snake_case headers are split into words first. valuePattern: matched
+ * against trimmed values; kinds without one (names, addresses) are only recognized by their header.
+ */
+const PII_KINDS = {
+  email: {
+    label: "Email",
+    token: "EMAIL",
+    headerPattern: /e-?mail/i,
+    valuePattern: /^[^\s@]+@[^\s@]+\.[^\s@]+$/
+  },
+  phone: {
+    label: "Phone",
+    token: "PHONE",
+    headerPattern: /\b(?:(?:tele|cell|mobile)?phone|mobile|cell|tel|fax)\b/i,
+    // 7-15 digits with a leading + or a separator between digits; plain decimals
+    // ("12345.67") and dates ("2024-01-15", "15.01.2024") are not phone numbers
+    valuePattern: /^(?!\d+\.\d+$)(?!\d{4}[-./]\d{1,2}[-./]\d{1,2}$)(?!\d{1,2}[-./]\d{1,2}[-./]\d{2,4}$)(?=(?:\D*\d){7,15}\D*$)(?=\+|.*\d[\s().-]+\d)\+?[\d\s().-]{7,20}$/
+  },
+  nationalId: {
+    label: "National ID",
+    token: "ID",
+    headerPattern: /\bssn\b|social security|national id|passport|tax id|\bnin\b/i,
+    valuePattern: /^\d{3}-\d{2}-\d{4}$/
+  },
+  accountNumber: {
+    label: "Account number",
+    token: "ACCOUNT",
+    headerPattern: /\b(?:account|acct)(?: ?(?:number|num|no)\b| ?#)|\b(?:bank account|iban|card|routing|sort code)\b/i,
+    valuePattern: /^(?:[A-Z]{2}\d{2}[A-Z\d ]{10,30}|(?:\d[ -]?){12,19})$/
+  },
+  name: {
+    label: "Name",
+    token: "NAME",
+    headerPattern: /^(?:(?:first|last|full|given|family|middle|sur|customer|contact|employee)[ _-]?)?name$/i
+  },
+  address: {
+    label: "Address",
+    token: "ADDRESS",
+    headerPattern: /\b(?:(?<!\b(?:ip|mac|web) )address|street|postcode|postal|zip(?:code)?)\b/i
+  },
+  birthDate: {
+    label: "Date of birth",
+    token: "DOB",
+    headerPattern: /birth|\bdob\b/i
+  }
+};
+
+/**
+ * What happens to a column before it is sent
+ * - keep: values are sent as they are
+ * - mask: values are replaced by their shape ("jo@x.io" becomes "AA@A.AA")
+ * - pseudonymize: each distinct value becomes a stable token such as "EMAIL_3"
+ * - exclude: the column is left out
+ */
+const PRIVACY_MODES = {
+  keep: { label: "Send as is" },
+  mask: { label: "Mask" },
+  pseudonymize: { label: "Pseudonymize" },
+  exclude: { label: "Leave out" }
+};
+
+/**
+ * How rows are picked for the sample
+ * - head: the first rows (the original behavior)
+ * - headTail: the first and last rows, half each
+ * - random: rows picked at random with the seed
+ * - stratified: rows picked at random from each value of one column, in proportion to its share
+ */
+const SAMPLING_STRATEGIES = {
+  head: { label: "First rows" },
+  headTail: { label: "First and last rows" },
+  random: { label: "Random rows" },
+  stratified: { label: "Random rows per value of a column" }
+};
+
+// Share of filled values that must match a kind's pattern for a column to count as that kind
+const PII_VALUE_SHARE = 0.5;
+
+// Order the value patterns are tried in, most specific first: a card number or an SSN
+// would also pass for a phone number
+const PII_VALUE_ORDER = ["email", "nationalId", "accountNumber", "phone"];
+
+// Seed used when none is given, so two runs over the same data send the same rows
+const DEFAULT_SAMPLE_SEED = 42;
+
+/**
+ * Resolves the DataProfiler module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataProfiler exports
+ */
+function getDataProfilerForPrivacy() {
+  if (typeof window !== "undefined" && window.DataProfiler) {
+    return window.DataProfiler;
+  }
+  return require("./dataProfiler");
+}
+
+/**
+ * Checks if a cell is blank (null, undefined, or a whitespace-only string)
+ * @param {any} value - The cell value
+ * @returns {boolean} True if the cell is blank
+ */
+function isBlankPrivacyValue(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim().length === 0);
+}
+
+/**
+ * Finds the kind of personal data a column holds
+ * The header is checked first against every kind; otherwise most filled text values must match
+ * one kind's pattern, tried in PII_VALUE_ORDER. Number cells are left out, since amounts and
+ * counts are stored as numbers.
+ * @param {any} header - The column header (may be empty)
+ * @param {Array<any>} values - The column's cell values (header excluded)
+ * @returns {Object|null} { kind, source } where source is "header" or "values"; null if none found
+ */
+function detectPiiKind(header, values) {
+  const headerText = isBlankPrivacyValue(header)
+    ? ""
+    : String(header).trim().replace(/([a-z0-9])([A-Z])/g, "$1 $2").replace(/_+/g, " ");
+  const headerKind = Object.keys(PII_KINDS).find((kind) => headerText && PII_KINDS[kind].headerPattern.test(headerText));
+  if (headerKind) {
+    return { kind: headerKind, source: "header" };
+  }
+  
+  const filled = values
+    .filter((value) => typeof value !== "number" && !isBlankPrivacyValue(value))
+    .map((value) => String(value).trim());
+  if (filled.length === 0) {
+    return null;
+  }
+  const valueKind = PII_VALUE_ORDER.find((kind) => {
+    const pattern = PII_KINDS[kind].valuePattern;
+    return filled.filter((value) => pattern.test(value)).length / filled.length >= PII_VALUE_SHARE;
+  });
+  return valueKind ? { kind: valueKind, source: "values" } : null;
+}
+
+/**
+ * Finds the columns that look like personal data
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Detection options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @returns {Array<Object>} { column, kind, source } for each column found, in column order
+ */
+function detectPiiColumns(data, options = {}) {
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const headerRow = headerRowIndex === -1 ? [] : data[headerRowIndex] || [];
+  const bodyRows = data.slice(headerRowIndex + 1);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  
+  const found = [];
+  for (let column = 0; column < columnCount; column++) {
+    const detected = detectPiiKind(headerRow[column], bodyRows.map((row) => row[column]));
+    if (detected) {
+      found.push({ column, ...detected });
+    }
+  }
+  return found;
+}
+
+/**
+ * Creates a seeded pseudo-random number generator (mulberry32)
+ * @param {number} seed - Any integer; the same seed gives the same sequence
+ * @returns {Function} Returns the next number in [0, 1) on each call
+ */
+function createSeededRandom(seed) {
+  let state = Math.floor(Number(seed)) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Picks count items from a list at random, keeping them in list order
+ * @param {Array<number>} items - The items
+ * @param {number} count - Number to pick
+ * @param {Function} random - A generator from createSeededRandom
+ * @returns {Array<number>} The picked items
+ */
+function pickRandom(items, count, random) {
+  const pool = items.slice();
+  // Partial Fisher-Yates shuffle: only the first count positions are settled
+  for (let i = 0; i < Math.min(count, pool.length); i++) {
+    const j = i + Math.floor(random() * (pool.length - i));
+    [pool[i], pool[j]] = [pool[j], pool[i]];
+  }
+  return pool.slice(0, count).sort((a, b) => a - b);
+}
+
+/**
+ * Picks which rows go into the sample
+ * @param {number} rowCount - Number of rows to pick from
+ * @param {Object} options - Sampling options
+ * @param {string} options.strategy - One of the SAMPLING_STRATEGIES keys (default: "head")
+ * @param {number} options.size - Rows to pick (default: all)
+ * @param {number} options.seed - Seed for the random strategies (default: DEFAULT_SAMPLE_SEED)
+ * @param {Array<any>} options.strata - Stratum key of each row; required for "stratified"
+ * @returns {Array<number>} Zero-based row indices in ascending order
+ * @throws {Error} If the strategy is unknown or stratified sampling has no strata
+ */
+function sampleRowIndices(rowCount, options = {}) {
+  const strategy = options.strategy || "head";
+  if (!SAMPLING_STRATEGIES[strategy]) {
+    throw new Error(`Unknown sampling strategy: "${strategy}".`);
+  }
+  
+  const size = Math.min(options.size !== undefined ? options.size : rowCount, rowCount);
+  const all = Array.from({ length: rowCount }, (_, index) => index);
+  if (size >= rowCount) {
+    return all;
+  }
+  const random = createSeededRandom(options.seed !== undefined ? options.seed : DEFAULT_SAMPLE_SEED);
+  
+  switch (strategy) {
+    case "head":
+      return all.slice(0, size);
+    
+    case "headTail": {
+      const headCount = Math.ceil(size / 2);
+      return all.slice(0, headCount).concat(all.slice(rowCount - (size - headCount)));
+    }
+    
+    case "random":
+      return pickRandom(all, size, random);
+    
+    case "stratified": {
+      if (!Array.isArray(options.strata)) {
+        throw new Error("Stratified sampling needs a column to stratify by.");
+      }
+      const groups = new Map();
+      all.forEach((index) => {
+        const key = isBlankPrivacyValue(options.strata[index]) ? "" : String(options.strata[index]).trim().toLowerCase();
+        if (!groups.has(key)) {
+          groups.set(key, []);
+        }
+        groups.get(key).push(index);
+      });
+      
+      // Every value gets one row while the size allows, then the rest goes by share (largest remainder)
+      const strata = Array.from(groups.values());
+      const quotas = strata.map(() => 0);
+      let remaining = size;
+      strata
+        .map((rows, index) => ({ index, count: rows.length }))
+        .sort((a, b) => b.count - a.count)
+        .forEach(({ index }) => {
+          if (remaining > 0) {
+            quotas[index] = 1;
+            remaining--;
+          }
+        });
+      const shares = strata.map((rows, index) => {
+        const exact = (rows.length / rowCount) * remaining;
+        return { index, whole: Math.floor(exact), fraction: exact - Math.floor(exact) };
+      });
+      shares.forEach(({ index, whole }) => {
+        quotas[index] += whole;
+        remaining -= whole;
+      });
+      shares
+        .sort((a, b) => b.fraction - a.fraction)
+        .forEach(({ index }) => {
+          if (remaining > 0 && quotas[index] < strata[index].length) {
+            quotas[index]++;
+            remaining--;
+          }
+        });
+      
+      return strata
+        .flatMap((rows, index) => pickRandom(rows, Math.min(quotas[index], rows.length), random))
+        .sort((a, b) => a - b);
+    }
+    
+    default:
+      return all.slice(0, size);
+  }
+}
+
+/**
+ * Resolves the mode of every column: explicit choices win, detected personal data is masked
+ * @param {number} columnCount - Number of columns
+ * @param {Array<Object>} piiColumns - Columns from detectPiiColumns
+ * @param {Object} columnModes - Column index to PRIVACY_MODES key, for columns the user chose
+ * @returns {Array<string>} The mode of each column
+ */
+function resolveColumnModes(columnCount, piiColumns, columnModes = {}) {
+  return Array.from({ length: columnCount }, (_, column) => {
+    const chosen = columnModes[column];
+    if (chosen && PRIVACY_MODES[chosen]) {
+      return chosen;
+    }
+    return piiColumns.some((entry) => entry.column === column) ? "mask" : "keep";
+  });
+}
+
+/**
+ * Prepares the rows to send: samples the body rows, then masks, pseudonymizes or drops columns
+ * The header row (if any) is kept as the first row, without the excluded columns.
+ * Pseudonyms are numbered in order of first appearance in the sample, so the same options
+ * over the same data always give the same payload.
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Payload options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @param {number} options.sampleSize - Body rows to send (default: 20)
+ * @param {string} options.strategy - One of the SAMPLING_STRATEGIES keys (default: "head")
+ * @param {number} options.seed - Seed for the random strategies (default: DEFAULT_SAMPLE_SEED)
+ * @param {number} options.stratifyColumn - Column index for stratified sampling
+ * @param {Object} options.columnModes - Column index to PRIVACY_MODES key; unset columns are
+ *   masked if they look like personal data and sent as is otherwise
+ * @returns {Object} { rows, columns, rowIndices, modes, piiColumns } where columns maps each
+ *   payload column to its column in data, rowIndices lists the sampled rows' indices in data
+ *   and modes holds each data column's resolved mode
+ * @throws {Error} If the sampling options are invalid
+ */
+function preparePayload(data, options = {}) {
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const headerRow = headerRowIndex === -1 ? null : data[headerRowIndex] || [];
+  const firstRow = headerRowIndex + 1;
+  const bodyRows = data.slice(firstRow);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  
+  const strategy = options.strategy || "head";
+  let strata;
+  if (strategy === "stratified") {
+    if (!Number.isInteger(options.stratifyColumn) || options.stratifyColumn < 0 || options.stratifyColumn >= columnCount) {
+      throw new Error("Choose a column in the data to stratify the sample by.");
+    }
+    strata = bodyRows.map((row) => row[options.stratifyColumn]);
+  }
+  
+  const sampled = sampleRowIndices(bodyRows.length, {
+    strategy,
+    size: options.sampleSize !== undefined ? options.sampleSize : 20,
+    seed: options.seed,
+    strata
+  });
+  
+  const piiColumns = detectPiiColumns(data, { headerRowIndex });
+  const modes = resolveColumnModes(columnCount, piiColumns, options.columnModes);
+  const columns = modes.map((mode, column) => column).filter((column) => modes[column] !== "exclude");
+  
+  const pseudonyms = columns.map(() => new Map());
+  const tokens = columns.map((column) => {
+    const entry = piiColumns.find((candidate) => candidate.column === column);
+    return entry ? PII_KINDS[entry.kind].token : "VALUE";
+  });
+  const getPatternMask = getDataProfilerForPrivacy().getPatternMask;
+  
+  const rows = sampled.map((index) => columns.map((column, position) => {
+    const value = bodyRows[index][column];
+    if (isBlankPrivacyValue(value) || modes[column] === "keep") {
+      return value === undefined ? "" : value;
+    }
+    if (modes[column] === "mask") {
+      return getPatternMask(value);
+    }
+    const key = String(value).trim().toLowerCase();
+    if (!pseudonyms[position].has(key)) {
+      pseudonyms[position].set(key, `${tokens[position]}_${pseudonyms[position].size + 1}`);
+    }
+    return pseudonyms[position].get(key);
+  }));
+  
+  if (headerRow) {
+    rows.unshift(columns.map((column) => (headerRow[column] === undefined ? "" : headerRow[column])));
+  }
+  
+  return {
+    rows,
+    columns,
+    rowIndices: sampled.map((index) => firstRow + index),
+    modes,
+    piiColumns
+  };
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.AIPrivacy = {
+    preparePayload,
+    detectPiiColumns,
+    sampleRowIndices,
+    createSeededRandom,
+    resolveColumnModes,
+    PII_KINDS,
+    PRIVACY_MODES,
+    SAMPLING_STRATEGIES,
+    DEFAULT_SAMPLE_SEED
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    preparePayload,
+    detectPiiColumns,
+    sampleRowIndices,
+    createSeededRandom,
+    resolveColumnModes,
+    PII_KINDS,
+    PRIVACY_MODES,
+    SAMPLING_STRATEGIES,
+    DEFAULT_SAMPLE_SEED
+  };
+}
@@ -0,0 +1,433 @@
+/**
+ * AI Providers Module
+ * Adapters that turn a provider-neutral chat request into each backend's HTTP request and
+ * read the reply text back out of its response
+ * Supported: OpenAI-compatible APIs, Azure OpenAI and local servers such as Ollama
+ */
+
+// Statuses worth retrying: request timeouts, rate limits and transient server errors
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// Defaults for sendChatRequest; callers can pass their own
+const DEFAULT_TIMEOUT_MS = 30000;
+const DEFAULT_MAX_RETRIES = 2;
+
+// Backoff doubles from the base delay; a Retry-After longer than the maximum isn't waited for
+const RETRY_BASE_DELAY_MS = 1000;
+const MAX_RETRY_DELAY_MS = 30000;
+
+/**
+ * Provider adapters, keyed by the id stored in the settings
+ * Each adapter describes its defaults and implements:
+ * - buildRequest(settings, request): { url, init } for fetch
+ * - readContent(body): the reply text from the parsed JSON response, or null
+ */
+const AI_PROVIDERS = {
+  openai: {
+    label: "OpenAI-compatible",
+    defaultEndpoint: "https://api.openai.com/v1/chat/completions",
+    defaultModel: "gpt-3.5-turbo",
+    needsApiKey: true,
+    buildRequest(settings, request) {
+      const body = {
+        model: settings.model,
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature
+      };
+      if (request.json) {
+        body.response_format = { type: "json_object" };
+      }
+      
+      return {
+        url: settings.endpoint,
+        init: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "Authorization": `Bearer ${settings.apiKey}`
+          },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+    readContent(body) {
+      return readChatCompletionContent(body);
+    }
+  },
+  
+  azure: {
+    label: "Azure OpenAI",
+    defaultEndpoint: "",
+    defaultModel: "",
+    defaultApiVersion: "2024-06-01",
+    needsApiKey: true,
+    buildRequest(settings, request) {
+      if (!settings.endpoint) {
+        throw new Error("Enter the Azure OpenAI resource endpoint, e.g. https://my-resource.openai.azure.com.");
+      }
+      if (!settings.model) {
+        throw new Error("Enter the Azure OpenAI deployment name as the model.");
+      }
+      
+      // The deployment picks the model, so the body carries none
+      const base = settings.endpoint.replace(/\/+$/, "");
+      const deployment = encodeURIComponent(settings.model);
+      const apiVersion = encodeURIComponent(settings.apiVersion);
+      const body = {
+        messages: request.messages,
+        max_tokens: request.maxTokens,
+        temperature: request.temperature
+      };
+      if (request.json) {
+        body.response_format = { type: "json_object" };
+      }
+      
+      return {
+        url: `${base}/openai/deployments/${deployment}/chat/completions?api-version=${apiVersion}`,
+        init: {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            "api-key": settings.apiKey
+          },
+          body: JSON.stringify(body)
+        }
+      };
+    },
+    readContent(body) {
+      return readChatCompletionContent(body);
+    }
+  },
+  
+  ollama: {
+    label: "Local server (Ollama)",
+    defaultEndpoint: "http://localhost:11434",
+    defaultModel: "llama3",
+    needsApiKey: false,
+    buildRequest(settings, request) {
+      const base = settings.endpoint.replace(/\/+$/, "").replace(/\/api\/chat$/, "");
+      const body = {
+        model: settings.model,
+        messages: request.messages,
+        stream: false,
+        options: {
+          temperature: request.temperature,
+          num_predict: request.maxTokens
+        }
+      };
+      if (request.json) {
+        body.format = "json";
+      }
+      
+      const headers = { "Content-Type": "application/json" };
+      // A reverse proxy in front of the server may still want a key
+      if (settings.apiKey) {
+        headers.Authorization = `Bearer ${settings.apiKey}`;
+      }
+      
+      return {
+        url: `${base}/api/chat`,
+        init: { method: "POST", headers, body: JSON.stringify(body) }
+      };
+    },
+    readContent(body) {
+      return body && body.message && typeof body.message.content === "string" ? body.message.content : null;
+    }
+  }
+};
+
+/**
+ * Reads the reply text from an OpenAI-style chat completion response
+ * @param {Object} body - The parsed response
+ * @returns {string|null} The first choice's message content, or null if missing
+ */
+function readChatCompletionContent(body) {
+  if (!body || !Array.isArray(body.choices) || body.choices.length === 0) {
+    return null;
+  }
+  const message = body.choices[0].message;
+  return message && typeof message.content === "string" ? message.content : null;
+}
+
+/**
+ * Looks up a provider adapter
+ * @param {string} id - One of the AI_PROVIDERS keys
+ * @returns {Object} The adapter
+ * @throws {Error} If the provider is unknown
+ */
+function getAIProvider(id) {
+  const provider = AI_PROVIDERS[id];
+  if (!provider) {
+    throw new Error(`Unknown AI provider: "${id}".`);
+  }
+  return provider;
+}
+
+/**
+ * Fills in the provider's defaults for any setting left empty
+ * @param {Object} settings - { provider, endpoint, model, apiKey, apiVersion }
+ * @returns {Object} Complete settings
+ * @throws {Error} If the provider is unknown
+ */
+function resolveProviderSettings(settings = {}) {
+  const id = settings.provider || "openai";
+  const provider = getAIProvider(id);
+  return {
+    provider: id,
+    endpoint: settings.endpoint || provider.defaultEndpoint,
+    model: settings.model || provider.defaultModel,
+    apiKey: settings.apiKey || null,
+    apiVersion: settings.apiVersion || provider.defaultApiVersion || null
+  };
+}
+
+/**
+ * Says which setting the provider still needs before a request can be sent
+ * @param {Object} settings - Provider settings
+ * @returns {string|null} e.g. "Azure OpenAI needs an endpoint. Enter it in the Endpoint box.", or
+ *   null if the settings are complete
+ */
+function getProviderSetupError(settings = {}) {
+  const resolved = resolveProviderSettings(settings);
+  const provider = getAIProvider(resolved.provider);
+  if (!resolved.endpoint) {
+    return `${provider.label} needs an endpoint. Enter it in the Endpoint box.`;
+  }
+  if (provider.needsApiKey && !resolved.apiKey) {
+    return `${provider.label} needs an API key. Check API key configuration.`;
+  }
+  return null;
+}
+
+/**
+ * Checks whether the settings are enough to call the provider (an endpoint, and an API key
+ * where one is needed)
+ * @param {Object} settings - Provider settings
+ * @returns {boolean} True if a request can be sent
+ */
+function isProviderConfigured(settings = {}) {
+  return getProviderSetupError(settings) === null;
+}
+
+/**
+ * Creates the error thrown when the caller cancels a request
+ * @returns {Error} Error with name "AbortError"
+ */
+function createAbortError() {
+  const error = new Error("The AI request was cancelled.");
+  error.name = "AbortError";
+  return error;
+}
+
+/**
+ * Works out how long to wait before the next attempt
+ * @param {number} attempt - Zero-based number of the attempt that failed
+ * @param {string|null} retryAfter - The response's Retry-After header (seconds or an HTTP date)
+ * @returns {number} Milliseconds to wait; more than MAX_RETRY_DELAY_MS if the server asked for longer
+ */
+function getRetryDelay(attempt, retryAfter) {
+  if (retryAfter) {
+    const seconds = Number(retryAfter);
+    if (Number.isFinite(seconds) && seconds >= 0) {
+      return seconds * 1000;
+    }
+    const date = Date.parse(retryAfter);
+    if (!Number.isNaN(date)) {
+      return Math.max(date - Date.now(), 0);
+    }
+  }
+  
+  // Exponential backoff with up to 25% jitter, so parallel clients don't retry in step
+  const delay = RETRY_BASE_DELAY_MS * 2 ** attempt;
+  return Math.min(delay + Math.random() * delay * 0.25, MAX_RETRY_DELAY_MS);
+}
+
+/**
+ * Waits before a retry, stopping early if the caller cancels
+ * @param {number} ms - Milliseconds to wait
+ * @param {AbortSignal} signal - Signal from the caller's AbortController (optional)
+ * @returns {Promise<void>}
+ * @throws {Error} With name "AbortError" if the signal is aborted while waiting
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal && signal.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = setTimeout(() => {
+      if (signal) {
+        signal.removeEventListener("abort", onAbort);
+      }
+      resolve();
+    }, ms);
+    if (signal) {
+      signal.addEventListener("abort", onAbort, { once: true });
+    }
+  });
+}
+
+/**
+ * Makes one attempt at a request, reading the whole body within the timeout
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {number} timeoutMs - Milliseconds before the attempt is abandoned
+ * @param {AbortSignal} signal - Signal from the caller's AbortController (optional)
+ * @returns {Promise<Object>} { response, text } on any HTTP status, or { failure } if no response arrived
+ * @throws {Error} With name "AbortError" if the caller cancels
+ */
+async function attemptRequest(url, init, timeoutMs, signal) {
+  const controller = new AbortController();
+  let timedOut = false;
+  const timer = setTimeout(() => {
+    timedOut = true;
+    controller.abort();
+  }, timeoutMs);
+  const onAbort = () => controller.abort();
+  if (signal) {
+    signal.addEventListener("abort", onAbort, { once: true });
+  }
+  
+  try {
+    const response = await fetch(url, { ...init, signal: controller.signal });
+    const text = await response.text();
+    return { response, text };
+  } catch (error) {
+    if (signal && signal.aborted) {
+      throw createAbortError();
+    }
+    return {
+      failure: timedOut
+        ? `timed out after ${timeoutMs / 1000} s`
+        : `could not reach the server (${error.message})`
+    };
+  } finally {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener("abort", onAbort);
+    }
+  }
+}
+
+/**
+ * Sends a request, retrying timeouts, network failures and retryable statuses with backoff
+ * Each attempt is abandoned after the timeout. A Retry-After header sets the wait before the
+ * next attempt; if it asks for longer than MAX_RETRY_DELAY_MS the request fails instead.
+ * @param {string} url - Request URL
+ * @param {Object} init - fetch options
+ * @param {Object} options - Retry options
+ * @param {number} options.timeoutMs - Milliseconds per attempt (default: DEFAULT_TIMEOUT_MS)
+ * @param {number} options.retries - Retries after the first attempt (default: DEFAULT_MAX_RETRIES)
+ * @param {AbortSignal} options.signal - Cancels the request, including any wait between attempts
+ * @param {Function} options.onRetry - Called with { attempt, delay, reason } before each wait
+ * @returns {Promise<string>} The body of the successful response
+ * @throws {Error} If every attempt fails or the status isn't retryable, or with name "AbortError"
+ *   if the signal is aborted
+ */
+async function requestWithRetry(url, init, options = {}) {
+  const timeoutMs = options.timeoutMs || DEFAULT_TIMEOUT_MS;
+  const retries = options.retries !== undefined ? options.retries : DEFAULT_MAX_RETRIES;
+  
+  for (let attempt = 0; ; attempt++) {
+    if (options.signal && options.signal.aborted) {
+      throw createAbortError();
+    }
+    
+    const { response, text, failure } = await attemptRequest(url, init, timeoutMs, options.signal);
+    if (response && response.ok) {
+      return text;
+    }
+    
+    const retryable = !response || RETRYABLE_STATUSES.includes(response.status);
+    const message = response ? `AI API error: ${response.status} - ${text}` : `AI request ${failure}.`;
+    if (!retryable || attempt >= retries) {
+      throw new Error(attempt > 0 ? `${message} (gave up after ${attempt + 1} attempts)` : message);
+    }
+    
+    const delay = getRetryDelay(attempt, response ? response.headers.get("Retry-After") : null);
+    if (delay > MAX_RETRY_DELAY_MS) {
+      throw new Error(`${message} (the server asked to wait ${Math.ceil(delay / 1000)} s before retrying)`);
+    }
+    
+    if (options.onRetry) {
+      options.onRetry({ attempt: attempt + 1, delay, reason: response ? `status ${response.status}` : failure });
+    }
+    await waitForRetry(delay, options.signal);
+  }
+}
+
+/**
+ * Sends a chat request through the configured provider and returns the reply text
+ * @param {Object} settings - { provider, endpoint, model, apiKey, apiVersion }
+ * @param {Object} request - Provider-neutral request
+ * @param {Array<Object>} request.messages - { role, content } chat messages
+ * @param {number} request.maxTokens - Maximum reply length in tokens
+ * @param {number} request.temperature - Sampling temperature
+ * @param {boolean} request.json - Ask the provider for a JSON reply
+ * @param {Object} options - Timeout, retry and cancellation options (see requestWithRetry)
+ * @returns {Promise<string>} The reply text
+ * @throws {Error} If the endpoint or a needed API key is missing, the request fails or the response has no
+ *   reply text, or with name "AbortError" if the request is cancelled
+ */
+async function sendChatRequest(settings, request, options = {}) {
+  const resolved = resolveProviderSettings(settings);
+  const provider = getAIProvider(resolved.provider);
+  const setupError = getProviderSetupError(resolved);
+  if (setupError) {
+    throw new Error(setupError);
+  }
+  
+  const { url, init } = provider.buildRequest(resolved, request);
+  
+  const text = await requestWithRetry(url, init, options);
+  
+  let body;
+  try {
+    body = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`${provider.label} response is not valid JSON.`);
+  }
+  const content = provider.readContent(body);
+  if (content === null) {
+    throw new Error(`${provider.label} response format unexpected.`);
+  }
+  return content;
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.AIProviders = {
+    sendChatRequest,
+    requestWithRetry,
+    resolveProviderSettings,
+    getProviderSetupError,
+    isProviderConfigured,
+    getAIProvider,
+    AI_PROVIDERS,
+    RETRYABLE_STATUSES,
+    DEFAULT_TIMEOUT_MS,
+    DEFAULT_MAX_RETRIES
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    sendChatRequest,
+    requestWithRetry,
+    resolveProviderSettings,
+    getProviderSetupError,
+    isProviderConfigured,
+    getAIProvider,
+    AI_PROVIDERS,
+    RETRYABLE_STATUSES,
+    DEFAULT_TIMEOUT_MS,
+    DEFAULT_MAX_RETRIES
+  };
+}
@@ -0,0 +1,316 @@
+/**
+ * Contact Normalizers Module
+ * Provides pure functions for normalizing email addresses, phone numbers and URLs
+ * Values that can't be normalized are reported instead of changed
+ * All functions work with 2D arrays (row-major) and have no Excel API dependencies
+ */
+
+/**
+ * Contact field types that can be assigned to columns
+ */
+const CONTACT_FIELD_TYPES = ["email", "phone", "url"];
+
+/**
+ * Phone output formats: E.164 ("+15551234567") or the default country's national format
+ */
+const PHONE_FORMATS = ["e164", "national"];
+
+// Country calling code assumed for numbers written without one (North America)
+const DEFAULT_COUNTRY_CODE = "1";
+
+/**
+ * Country calling codes for two-letter country codes (ISO 3166-1 alpha-2, plus the common "UK")
+ * Covers the countries the add-in is mostly used in; other countries can give the calling code itself.
+ */
+const COUNTRY_CALLING_CODES = {
+  US: "1", CA: "1", GB: "44", UK: "44", IE: "353", AU: "61", NZ: "64",
+  DE: "49", FR: "33", ES: "34", IT: "39", NL: "31", BE: "32", CH: "41", AT: "43",
+  SE: "46", NO: "47", DK: "45", FI: "358", PL: "48", PT: "351",
+  IN: "91", CN: "86", JP: "81", KR: "82", SG: "65", HK: "852", AE: "971",
+  BR: "55", MX: "52", ZA: "27"
+};
+
+// E.164 allows at most 15 digits including the country code
+const MAX_PHONE_DIGITS = 15;
+const MIN_PHONE_DIGITS = 8;
+
+// Query parameters added by ad and email platforms that don't change what a URL points to
+const TRACKING_PARAMETERS = ["gclid", "dclid", "fbclid", "msclkid", "yclid", "igshid", "mc_cid", "mc_eid", "_hsenc", "_hsmi"];
+const TRACKING_PARAMETER_PREFIXES = ["utm_"];
+
+// RFC 5322 "dot-atom" local part and RFC 1035 domain labels; quoted local parts are not supported
+const EMAIL_LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+
+/**
+ * Checks that a lowercase host name has at least two valid labels and an alphabetic top-level domain
+ * @param {string} host - The host name
+ * @returns {boolean} True if the host name is valid
+ */
+function isValidHostName(host) {
+  const labels = host.split(".");
+  return labels.length >= 2 &&
+    labels.every((label) => label.length <= 63 && DOMAIN_LABEL_PATTERN.test(label)) &&
+    /^[a-z]{2,}$|^xn--[a-z0-9-]+$/.test(labels[labels.length - 1]);
+}
+
+/**
+ * Normalizes an email address: trims it, drops a "mailto:" prefix or display name, and lowercases it
+ * "John Doe <John.Doe@Example.Com>" becomes "john.doe@example.com".
+ * @param {any} value - The cell value
+ * @returns {Object} { value } with the normalized address, or { error } if the syntax is invalid
+ */
+function normalizeEmail(value) {
+  let text = String(value).trim();
+  
+  const bracketed = text.match(/<([^<>]+)>\s*$/);
+  if (bracketed) {
+    text = bracketed[1].trim();
+  }
+  text = text.replace(/^mailto:/i, "").toLowerCase();
+  
+  const at = text.lastIndexOf("@");
+  const localPart = text.slice(0, at);
+  const domain = text.slice(at + 1);
+  
+  if (at <= 0 || localPart.length > 64 || !EMAIL_LOCAL_PART_PATTERN.test(localPart) || !isValidHostName(domain)) {
+    return { error: "Not a valid email address" };
+  }
+  return { value: text };
+}
+
+/**
+ * Formats national digits of a default-country number, e.g. "(555) 123-4567" for North America
+ * Other countries are written as the trunk prefix "0" followed by the digits.
+ * @param {string} nationalDigits - The number without its country code
+ * @param {string} countryCode - The country calling code
+ * @returns {string} The national format
+ */
+function formatNationalPhone(nationalDigits, countryCode) {
+  if (countryCode === "1") {
+    return `(${nationalDigits.slice(0, 3)}) ${nationalDigits.slice(3, 6)}-${nationalDigits.slice(6)}`;
+  }
+  return `0${nationalDigits}`;
+}
+
+/**
+ * Normalizes a phone number to E.164 or the default country's national format
+ * Numbers starting with "+" or "00" keep their own country code; others get the default one,
+ * after dropping a national trunk prefix ("1" in North America, "0" elsewhere). Extensions
+ * ("x12", "ext. 12") are kept and written as " ext. 12". Numbers from other countries are
+ * always written in E.164, since their national format isn't known.
+ * @param {any} value - The cell value
+ * @param {Object} options - Normalization options
+ * @param {string} options.defaultCountryCode - Country calling code without "+" (default: "1")
+ * @param {string} options.format - One of PHONE_FORMATS (default: "e164")
+ * @returns {Object} { value } with the normalized number, or { error } if it isn't a usable number
+ */
+function normalizePhone(value, options = {}) {
+  const countryCode = String(options.defaultCountryCode || DEFAULT_COUNTRY_CODE).replace(/^\+/, "");
+  const format = options.format || "e164";
+  
+  let text = String(value).trim();
+  let extension = "";
+  const extensionMatch = text.match(/\s*(?:ext\.?|extension|x|#)\s*(\d{1,6})$/i);
+  if (extensionMatch) {
+    extension = extensionMatch[1];
+    text = text.slice(0, extensionMatch.index);
+  }
+  
+  if (!/^[+\d\s().\-/]+$/.test(text)) {
+    return { error: "Not a valid phone number" };
+  }
+  
+  let digits = text.replace(/\D/g, "");
+  let international = text.startsWith("+");
+  if (!international && digits.startsWith("00")) {
+    digits = digits.slice(2);
+    international = true;
+  }
+  
+  if (!international) {
+    if (countryCode === "1") {
+      if (digits.length === 11 && digits.startsWith("1")) {
+        digits = digits.slice(1);
+      }
+      if (digits.length !== 10) {
+        return { error: "Not a 10-digit phone number" };
+      }
+    } else if (digits.startsWith("0")) {
+      digits = digits.slice(1);
+    }
+    digits = countryCode + digits;
+  }
+  
+  if (digits.length < MIN_PHONE_DIGITS || digits.length > MAX_PHONE_DIGITS || digits.startsWith("0")) {
+    return { error: "Not a valid phone number" };
+  }
+  if (countryCode === "1" && digits.startsWith("1") && digits.length !== 11) {
+    return { error: "Not a 10-digit phone number" };
+  }
+  
+  const suffix = extension ? ` ext. ${extension}` : "";
+  if (format === "national" && digits.startsWith(countryCode)) {
+    return { value: formatNationalPhone(digits.slice(countryCode.length), countryCode) + suffix };
+  }
+  return { value: `+${digits}${suffix}` };
+}
+
+/**
+ * Turns a country given as a calling code ("44", "+44") or a two-letter code ("GB") into its calling code
+ * @param {any} country - The country; empty means DEFAULT_COUNTRY_CODE
+ * @returns {string} Country calling code without "+"
+ * @throws {Error} If the country is not recognized
+ */
+function resolveCountryCode(country) {
+  const text = country === null || country === undefined ? "" : String(country).trim();
+  if (!text) {
+    return DEFAULT_COUNTRY_CODE;
+  }
+  
+  const digits = text.replace(/^\+/, "");
+  if (/^\d{1,3}$/.test(digits)) {
+    return digits;
+  }
+  
+  const callingCode = COUNTRY_CALLING_CODES[text.toUpperCase()];
+  if (!callingCode) {
+    throw new Error(`Unknown country "${text}". Use a calling code such as 44, or one of: ${Object.keys(COUNTRY_CALLING_CODES).join(", ")}.`);
+  }
+  return callingCode;
+}
+
+/**
+ * Checks if a query parameter is a known tracking parameter
+ * @param {string} name - The parameter name
+ * @returns {boolean} True if the parameter only tracks the visit
+ */
+function isTrackingParameter(name) {
+  const lower = name.toLowerCase();
+  return TRACKING_PARAMETERS.includes(lower) || TRACKING_PARAMETER_PREFIXES.some((prefix) => lower.startsWith(prefix));
+}
+
+/**
+ * Normalizes a web address: adds "https://" when no scheme is given, lowercases the
+ * scheme and host, and removes tracking parameters such as utm_source and gclid
+ * @param {any} value - The cell value
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.stripTracking - Remove tracking parameters (default: true)
+ * @returns {Object} { value } with the normalized URL, or { error } if it isn't a web address
+ */
+function normalizeUrl(value, options = {}) {
+  const stripTracking = options.stripTracking !== false;
+  const text = String(value).trim();
+  
+  if (/\s/.test(text)) {
+    return { error: "Not a valid URL" };
+  }
+  
+  const hasScheme = /^[a-z][a-z0-9+.-]*:\/\//i.test(text);
+  let url;
+  try {
+    url = new URL(hasScheme ? text : `https://${text}`);
+  } catch (error) {
+    return { error: "Not a valid URL" };
+  }
+  
+  if ((url.protocol !== "http:" && url.protocol !== "https:") || !isValidHostName(url.hostname)) {
+    return { error: "Not a valid URL" };
+  }
+  
+  if (stripTracking) {
+    Array.from(url.searchParams.keys())
+      .filter(isTrackingParameter)
+      .forEach((name) => url.searchParams.delete(name));
+  }
+  
+  // URL adds a slash after a bare host and keeps an empty "?"; leave both as typed
+  let normalized = url.toString().replace(/\?(?=#|$)/, "");
+  const hadPath = /^(?:[a-z][a-z0-9+.-]*:\/\/)?[^/?#]+\//i.test(text);
+  if (!hadPath && url.pathname === "/") {
+    normalized = normalized.replace(/^(https?:\/\/[^/?#]+)\//, "$1");
+  }
+  return { value: normalized };
+}
+
+/**
+ * Normalizes the contact columns of the data
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Normalization options
+ * @param {Object} options.columnTypes - Column index to one of CONTACT_FIELD_TYPES
+ * @param {string} options.defaultCountryCode - Country calling code for phone numbers (default: "1")
+ * @param {string} options.phoneFormat - One of PHONE_FORMATS (default: "e164")
+ * @param {boolean} options.stripTracking - Remove URL tracking parameters (default: true)
+ * @returns {Object} { data, columnFormats, issues } where issues lists values left unchanged
+ *   because they could not be normalized
+ */
+function normalizeContactFields(data, options = {}) {
+  const columnTypes = options.columnTypes || {};
+  const normalizers = {
+    email: (value) => normalizeEmail(value),
+    phone: (value) => normalizePhone(value, { defaultCountryCode: options.defaultCountryCode, format: options.phoneFormat }),
+    url: (value) => normalizeUrl(value, { stripTracking: options.stripTracking })
+  };
+  
+  const result = data.map((row) => row.slice());
+  const columnFormats = {};
+  const issues = [];
+  
+  Object.keys(columnTypes).forEach((key) => {
+    const column = Number(key);
+    const normalize = normalizers[columnTypes[key]];
+    if (!normalize) {
+      throw new Error(`Unknown contact field type: "${columnTypes[key]}".`);
+    }
+    
+    result.forEach((row, rowIndex) => {
+      const value = row[column];
+      if (value === null || value === undefined || String(value).trim() === "") {
+        return;
+      }
+      
+      const normalized = normalize(value);
+      if (normalized.error) {
+        issues.push({ row: rowIndex, column, value, message: normalized.error });
+      } else {
+        row[column] = normalized.value;
+      }
+    });
+    
+    // Keep "+15551234567" as text instead of letting Excel read it as a number
+    if (columnTypes[key] === "phone") {
+      columnFormats[column] = "@";
+    }
+  });
+  
+  return { data: result, columnFormats, issues };
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.ContactNormalizers = {
+    normalizeEmail,
+    normalizePhone,
+    normalizeUrl,
+    normalizeContactFields,
+    resolveCountryCode,
+    CONTACT_FIELD_TYPES,
+    PHONE_FORMATS,
+    COUNTRY_CALLING_CODES
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    normalizeEmail,
+    normalizePhone,
+    normalizeUrl,
+    normalizeContactFields,
+    resolveCountryCode,
+    CONTACT_FIELD_TYPES,
+    PHONE_FORMATS,
+    COUNTRY_CALLING_CODES
+  };
+}
@@ -8,6 +8,97 @@
 const EMPTY_CELL_REPLACEMENT = "N/A";
 const AI_SAMPLE_SIZE = 20;
 
+// Column types the profiler can infer, from most to least specific
+const COLUMN_TYPES = ["boolean", "date", "percent", "currency", "integer", "number", "text"];
+
+// Minimum share of non-empty cells that must match a type before typed cleaning converts a column
+const DEFAULT_TYPE_CONFIDENCE = 0.8;
+
+// Text values recognized as booleans (compared case-insensitively)
+const BOOLEAN_TRUE_VALUES = ["true", "yes", "y"];
+const BOOLEAN_FALSE_VALUES = ["false", "no", "n"];
+
+// Currency symbols recognized before or after a number
+const CURRENCY_SYMBOLS = ["$", "€", "£", "¥", "₹"];
+
+// Month names and abbreviations recognized in text dates (index + 1 is the month number)
+const MONTH_NAMES = [
+  "january", "february", "march", "april", "may", "june",
+  "july", "august", "september", "october", "november", "december"
+];
+
+// Excel serial day 0 is 1899-12-30, which keeps serials correct for dates after February 1900
+const EXCEL_EPOCH_MS = Date.UTC(1899, 11, 30);
+const MS_PER_DAY = 86400000;
+
+// Largest Excel serial date (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+// Two-digit years below this are read as 20xx, others as 19xx (Excel's own cutoff)
+const TWO_DIGIT_YEAR_PIVOT = 30;
+
+// Share of non-empty cells that must parse as text dates for a column to count as date-like
+const DEFAULT_DATE_CONFIDENCE = 0.6;
+
+// Ways duplicate rows can be matched, from strictest to loosest
+const DUPLICATE_MATCH_MODES = ["exact", "fingerprint", "phonetic", "fuzzy"];
+
+// Ways a group of duplicate rows can be reduced to one row
+const DUPLICATE_KEEP_STRATEGIES = ["first", "last", "merge"];
+
+// Default minimum similarity (0-1) for fuzzy duplicate matching
+const DEFAULT_FUZZY_THRESHOLD = 0.85;
+
+// Number of non-empty rows from the top that are considered as header candidates
+const HEADER_SCAN_ROWS = 10;
+
+// Number of non-empty rows below a header candidate whose column types are checked
+const HEADER_CHECK_ROWS = 5;
+
+// Header name styles supported by standardizeHeaders
+const HEADER_STYLES = ["none", "snake", "camel", "title"];
+
+// Cleaning log counters and the operations that feed them
+const CLEANING_LOG_COUNTERS = {
+  trimWhitespace: "cellsTrimmed",
+  normalizeCasing: "cellsRecased",
+  removeDuplicateRows: "duplicatesRemoved",
+  removeEmptyRows: "emptyRowsRemoved",
+  replaceEmptyCells: "blanksFilled"
+};
+
+// What happens to formula cells: left exactly as they are, or replaced by their cleaned values
+const FORMULA_MODES = ["skip", "convert"];
+
+// What happens to error values such as #N/A: left alone, reported, emptied or replaced
+const ERROR_POLICIES = ["keep", "flag", "blank", "replace"];
+
+// Error values Excel shows in cells, used when the value types are not known
+const EXCEL_ERROR_VALUES = [
+  "#NULL!", "#DIV/0!", "#VALUE!", "#REF!", "#NAME?", "#NUM!", "#N/A",
+  "#GETTING_DATA", "#SPILL!", "#CALC!", "#FIELD!", "#BLOCKED!", "#CONNECT!", "#BUSY!", "#UNKNOWN!"
+];
+
+// Casing modes that can be chosen per column
+const CASING_MODES = ["none", "upper", "lower", "sentence", "title", "smartTitle"];
+
+// Words smart Title Case keeps lowercase unless they start or end the text
+const TITLE_SMALL_WORDS = [
+  "a", "an", "and", "as", "at", "but", "by", "for", "from", "in", "into",
+  "nor", "of", "on", "or", "per", "the", "to", "via", "vs", "with"
+];
+
+/**
+ * Surnames written Mac + capitalized stem ("MacDonald"), by their lowercase stem
+ * Mac is too common a start of other words ("Mack", "Macy", "machine") to capitalize the
+ * letter after it everywhere; other Mac names can be added to the exception list.
+ */
+const MAC_NAME_STEMS = [
+  "allister", "arthur", "aulay", "bride", "cormack", "donald", "dougall", "ewan", "farlane",
+  "gillivray", "gregor", "innes", "intyre", "iver", "kay", "kenzie", "kinnon", "lachlan",
+  "laren", "lean", "leod", "mahon", "millan", "namara", "neil", "pherson", "quarrie", "rae", "tavish"
+];
+
 /**
  * Converts text to Title Case
  * @param {string} text - The text to convert
@@ -34,15 +125,177 @@ function trimWhitespace(cell) {
 }
 
 /**
- * Normalizes text casing to Title Case for all string cells
+ * Parses a user-edited exception list into a lookup table
+ * Entries are separated by commas or new lines and written exactly as they should appear
+ * ("iPhone, USA, McDonald").
+ * @param {string} text - The exception list
+ * @returns {Object} Lowercase word to its exact spelling
+ */
+function parseCasingExceptions(text) {
+  const exceptions = {};
+  String(text || "")
+    .split(/[,\n]/)
+    .map((entry) => entry.trim())
+    .filter((entry) => entry.length > 0)
+    .forEach((entry) => {
+      exceptions[entry.toLowerCase()] = entry;
+    });
+  return exceptions;
+}
+
+/**
+ * Capitalizes a single word, handling Mc, Mac and O' name prefixes ("mcdonald" -> "McDonald")
+ * Mac is only treated as a prefix for the surnames in MAC_NAME_STEMS.
+ * @param {string} word - A lowercase word
+ * @returns {string} The capitalized word
+ */
+function capitalizeWord(word) {
+  const mac = word.match(/^mac(\p{L}+)$/u);
+  if (mac && MAC_NAME_STEMS.includes(mac[1])) {
+    return "Mac" + mac[1].charAt(0).toUpperCase() + mac[1].slice(1);
+  }
+  
+  const prefix = word.match(/^(mc|o['’])(\p{L})/u);
+  if (prefix && word.length > prefix[0].length) {
+    const head = prefix[1].charAt(0).toUpperCase() + prefix[1].slice(1);
+    return head + prefix[2].toUpperCase() + word.slice(prefix[0].length);
+  }
+  return word.charAt(0).toUpperCase() + word.slice(1);
+}
+
+/**
+ * Converts text to smart Title Case
+ * In text that isn't all capitals, all-caps acronyms of 2 to 4 letters ("USA", "IBM") are kept.
+ * Shouted text ("JOHN SMITH", "LOS ANGELES") is converted word by word, so acronyms there need
+ * an exception. An all-caps word that is the whole cell is kept, unless it is a Mc/Mac/O'
+ * name. Deliberate mixed case ("iPhone")
+ * is kept when the rest of the text is not all one case, small words ("of", "and") stay
+ * lowercase inside the text, and exceptions always win. Lowercase acronyms can't be told
+ * from words, so they need an exception ("IBM").
+ * @param {string} text - The text to convert
+ * @param {Object} exceptions - Lowercase word to exact spelling (see parseCasingExceptions)
+ * @returns {string} Smart title case text
+ */
+function toSmartTitleCase(text, exceptions = {}) {
+  const uniformCase = text === text.toUpperCase() || text === text.toLowerCase();
+  const shouted = text === text.toUpperCase() && text !== text.toLowerCase();
+  const wordPattern = /[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu;
+  const words = text.match(wordPattern) || [];
+  let position = 0;
+  
+  return text.replace(wordPattern, (word, offset) => {
+    const index = position++;
+    const lower = word.toLowerCase();
+    const capitalized = capitalizeWord(lower);
+    const isAllCaps = word !== lower && word === word.toUpperCase();
+    const isEdge = index === 0 || index === words.length - 1 || /[:.!?]\s*$/.test(text.slice(0, offset));
+    
+    if (exceptions[lower]) {
+      return exceptions[lower];
+    }
+    if (isAllCaps && !shouted && /^\p{Lu}{2,4}$/u.test(word) && !TITLE_SMALL_WORDS.includes(lower)) {
+      return word;
+    }
+    if (isAllCaps && capitalized !== lower.charAt(0).toUpperCase() + lower.slice(1)) {
+      // "MACDONALD" or "O'NEIL" is a name, not an acronym
+      return capitalized;
+    }
+    if (isAllCaps && words.length === 1) {
+      return word;
+    }
+    if (!uniformCase && word.length > 1 && word !== lower && word !== capitalized) {
+      // Intentional mixed case such as iPhone or MacDonald
+      return word;
+    }
+    if (!isEdge && TITLE_SMALL_WORDS.includes(lower)) {
+      return lower;
+    }
+    return capitalized;
+  });
+}
+
+/**
+ * Converts text to Sentence case (first letter of each sentence capitalized)
+ * @param {string} text - The text to convert
+ * @param {Object} exceptions - Lowercase word to exact spelling (see parseCasingExceptions)
+ * @returns {string} Sentence case text
+ */
+function toSentenceCase(text, exceptions = {}) {
+  const sentence = text
+    .toLowerCase()
+    .replace(/(^\s*|[.!?]\s+)(\p{L})/gu, (match, lead, letter) => lead + letter.toUpperCase());
+  return applyCasingExceptions(sentence, exceptions);
+}
+
+/**
+ * Replaces whole words found in the exception list with their exact spelling
+ * @param {string} text - The text
+ * @param {Object} exceptions - Lowercase word to exact spelling
+ * @returns {string} The text with exceptions applied
+ */
+function applyCasingExceptions(text, exceptions) {
+  if (Object.keys(exceptions).length === 0) {
+    return text;
+  }
+  return text.replace(/[\p{L}\p{N}]+(?:['’][\p{L}\p{N}]+)*/gu, (word) => exceptions[word.toLowerCase()] || word);
+}
+
+/**
+ * Applies a casing mode to a text value
+ * @param {string} text - The text to convert
+ * @param {string} mode - One of CASING_MODES
+ * @param {Object} exceptions - Lowercase word to exact spelling (see parseCasingExceptions)
+ * @returns {string} The converted text
+ * @throws {Error} If the mode is unknown
+ */
+function applyCasing(text, mode, exceptions = {}) {
+  switch (mode) {
+    case "none":
+      return text;
+    case "upper":
+      return text.toUpperCase();
+    case "lower":
+      return text.toLowerCase();
+    case "sentence":
+      return toSentenceCase(text, exceptions);
+    case "title":
+      return applyCasingExceptions(toTitleCase(text), exceptions);
+    case "smartTitle":
+      return toSmartTitleCase(text, exceptions);
+    default:
+      throw new Error(`Unknown casing mode: "${mode}".`);
+  }
+}
+
+/**
+ * Checks if a text value looks like an email address or web address, which casing would damage
+ * @param {string} text - The text to check
+ * @returns {boolean} True for values such as "John.Doe@Example.com" or "www.Example.com/Page"
+ */
+function looksLikeEmailOrUrl(text) {
+  const trimmed = text.trim();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed) || /^(https?:\/\/|www\.)\S+$/i.test(trimmed);
+}
+
+/**
+ * Normalizes text casing for all string cells
+ * Email addresses, web addresses and error values such as #DIV/0! are left alone.
  * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Casing options
+ * @param {string} options.mode - Default casing mode, one of CASING_MODES (default: "title")
+ * @param {Object} options.columnModes - Column index to casing mode, overriding the default
+ * @param {Object} options.exceptions - Lowercase word to exact spelling (see parseCasingExceptions)
  * @returns {Array<Array<any>>} Data with normalized casing
  */
-function normalizeCasing(data) {
+function normalizeCasing(data, options = {}) {
+  const mode = options.mode || "title";
+  const columnModes = options.columnModes || {};
+  const exceptions = options.exceptions || {};
+  
   return data.map((row) => 
-    row.map((cell) => {
-      if (typeof cell === "string" && cell.length > 0) {
-        return toTitleCase(cell);
+    row.map((cell, column) => {
+      if (typeof cell === "string" && cell.length > 0 && !looksLikeEmailOrUrl(cell) && !isErrorValue(cell)) {
+        return applyCasing(cell, columnModes[column] || mode, exceptions);
       }
       return cell;
     })
@@ -50,43 +303,397 @@ function normalizeCasing(data) {
 }
 
 /**
- * Removes duplicate rows from the data
- * Rows are compared as strings for exact matching
+ * Finds the indices of the rows to keep when removing duplicates
+ * The first occurrence of each row is kept; rows are compared as strings for exact matching
  * @param {Array<Array<any>>} data - 2D array of data
- * @returns {Array<Array<any>>} Data with duplicate rows removed
+ * @returns {Array<number>} Zero-based indices of the unique rows, in original order
  */
-function removeDuplicateRows(data) {
+function getUniqueRowIndices(data) {
   const seen = new Set();
-  const uniqueRows = [];
+  const keptRows = [];
   
-  for (const row of data) {
+  data.forEach((row, index) => {
     // Convert row to string for comparison
     const rowString = JSON.stringify(row);
     
     if (!seen.has(rowString)) {
       seen.add(rowString);
-      uniqueRows.push(row);
+      keptRows.push(index);
     }
+  });
+  
+  return keptRows;
+}
+
+/**
+ * Removes duplicate rows from the data
+ * Rows are compared as strings for exact matching
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @returns {Array<Array<any>>} Data with duplicate rows removed
+ */
+function removeDuplicateRows(data) {
+  return getUniqueRowIndices(data).map((index) => data[index]);
+}
+
+/**
+ * Converts a column letter to a zero-based index ("A" -> 0, "AB" -> 27)
+ * @param {string} letters - Column letters
+ * @returns {number} Zero-based column index
+ */
+function columnLetterToIndex(letters) {
+  return letters
+    .toUpperCase()
+    .split("")
+    .reduce((index, letter) => index * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+}
+
+/**
+ * Converts a zero-based column index to letters (0 -> "A", 27 -> "AB")
+ * @param {number} index - Zero-based column index
+ * @returns {string} Column letters
+ */
+function columnIndexToLetter(index) {
+  let letters = "";
+  let remaining = index + 1;
+  while (remaining > 0) {
+    const offset = (remaining - 1) % 26;
+    letters = String.fromCharCode(65 + offset) + letters;
+    remaining = Math.floor((remaining - 1) / 26);
+  }
+  return letters;
+}
+
+/**
+ * Parses a comma-separated list of columns into zero-based indices
+ * Columns can be given as letters relative to the data ("A, C"), one-based numbers ("1, 3")
+ * or header names ("Email, Last Name").
+ * @param {string} spec - The column list
+ * @param {Array<any>} headerRow - Header values used to resolve names (optional)
+ * @returns {Array<number>} Zero-based column indices
+ * @throws {Error} If a column cannot be resolved
+ */
+function parseColumnList(spec, headerRow = []) {
+  if (!spec || !String(spec).trim()) {
+    return [];
   }
   
-  return uniqueRows;
+  return String(spec)
+    .split(",")
+    .map((token) => token.trim())
+    .filter((token) => token.length > 0)
+    .map((token) => {
+      const headerIndex = headerRow.findIndex(
+        (header) => typeof header === "string" && header.trim().toLowerCase() === token.toLowerCase()
+      );
+      if (headerIndex !== -1) {
+        return headerIndex;
+      }
+      if (/^[A-Za-z]{1,3}$/.test(token)) {
+        return columnLetterToIndex(token);
+      }
+      if (/^\d+$/.test(token) && Number(token) > 0) {
+        return Number(token) - 1;
+      }
+      throw new Error(`Unknown column "${token}".`);
+    });
 }
 
 /**
- * Checks if a row is completely empty (all cells are empty, null, or undefined)
+ * Parses per-column settings such as "A: upper, Email: none" into a lookup table
+ * Columns are resolved like parseColumnList; values must be one of the allowed values.
+ * @param {string} spec - Comma-separated "column: value" pairs
+ * @param {Array<any>} headerRow - Header values used to resolve names (optional)
+ * @param {Array<string>} allowedValues - Accepted values (compared case-insensitively)
+ * @returns {Object} Zero-based column index to value (as spelled in allowedValues)
+ * @throws {Error} If a pair is malformed, a column cannot be resolved or a value is not allowed
+ */
+function parseColumnAssignments(spec, headerRow = [], allowedValues = []) {
+  const assignments = {};
+  
+  String(spec || "")
+    .split(",")
+    .map((pair) => pair.trim())
+    .filter((pair) => pair.length > 0)
+    .forEach((pair) => {
+      const separator = pair.lastIndexOf(":");
+      if (separator === -1) {
+        throw new Error(`Expected "column: value" but got "${pair}".`);
+      }
+      
+      const [column] = parseColumnList(pair.slice(0, separator), headerRow);
+      const rawValue = pair.slice(separator + 1).trim();
+      const value = allowedValues.find((allowed) => allowed.toLowerCase() === rawValue.toLowerCase());
+      
+      if (column === undefined) {
+        throw new Error(`Missing column in "${pair}".`);
+      }
+      if (!value) {
+        throw new Error(`Unknown value "${rawValue}" in "${pair}". Use one of: ${allowedValues.join(", ")}.`);
+      }
+      assignments[column] = value;
+    });
+  
+  return assignments;
+}
+
+/**
+ * Builds a normalized fingerprint of a value for loose matching
+ * Accents, punctuation, case and word order are ignored: "Smith, John." and "john smith"
+ * share the fingerprint "john smith".
+ * @param {any} value - The cell value
+ * @returns {string} The fingerprint
+ */
+function fingerprint(value) {
+  if (isEmptyCell(value)) {
+    return "";
+  }
+  
+  const tokens = String(value)
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]/gu, " ")
+    .split(/\s+/)
+    .filter((token) => token.length > 0);
+  
+  return Array.from(new Set(tokens)).sort().join(" ");
+}
+
+/**
+ * Computes the American Soundex code of a word ("Robert" and "Rupert" -> "R163")
+ * @param {string} word - A single word
+ * @returns {string} The four-character code, or "" if the word has no letters
+ */
+function soundex(word) {
+  const letters = String(word).toUpperCase().replace(/[^A-Z]/g, "");
+  if (!letters) {
+    return "";
+  }
+  
+  const codes = {
+    B: "1", F: "1", P: "1", V: "1",
+    C: "2", G: "2", J: "2", K: "2", Q: "2", S: "2", X: "2", Z: "2",
+    D: "3", T: "3",
+    L: "4",
+    M: "5", N: "5",
+    R: "6"
+  };
+  
+  let result = letters[0];
+  let previous = codes[letters[0]] || "";
+  
+  for (let i = 1; i < letters.length && result.length < 4; i++) {
+    const letter = letters[i];
+    const code = codes[letter] || "";
+    
+    if (code && code !== previous) {
+      result += code;
+    }
+    // H and W don't separate letters with the same code; vowels do
+    if (letter !== "H" && letter !== "W") {
+      previous = code;
+    }
+  }
+  
+  return result.padEnd(4, "0");
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Number of single-character insertions, deletions or substitutions
+ */
+function levenshteinDistance(a, b) {
+  if (a === b) {
+    return 0;
+  }
+  if (a.length === 0) {
+    return b.length;
+  }
+  if (b.length === 0) {
+    return a.length;
+  }
+  
+  let previousRow = Array.from({ length: b.length + 1 }, (_, index) => index);
+  
+  for (let i = 1; i <= a.length; i++) {
+    const currentRow = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      currentRow.push(Math.min(previousRow[j] + 1, currentRow[j - 1] + 1, previousRow[j - 1] + cost));
+    }
+    previousRow = currentRow;
+  }
+  
+  return previousRow[b.length];
+}
+
+/**
+ * Computes a similarity ratio between two strings from their edit distance
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for identical strings, down to 0 for completely different ones
+ */
+function stringSimilarity(a, b) {
+  const longest = Math.max(a.length, b.length);
+  return longest === 0 ? 1 : 1 - levenshteinDistance(a, b) / longest;
+}
+
+/**
+ * Builds the comparison key of a row for duplicate detection
  * @param {Array<any>} row - A single row of data
- * @returns {boolean} True if the row is completely empty
+ * @param {Array<number>} keyColumns - Columns to compare
+ * @param {string} match - One of DUPLICATE_MATCH_MODES
+ * @returns {string} The key; rows with equal keys are duplicates (except in fuzzy mode)
  */
-function isEmptyRow(row) {
-  return row.every((cell) => {
-    if (cell === null || cell === undefined) {
-      return true;
+function getDuplicateKey(row, keyColumns, match) {
+  const values = keyColumns.map((column) => row[column]);
+  
+  switch (match) {
+    case "fingerprint":
+    case "fuzzy":
+      return values.map(fingerprint).join("|");
+    case "phonetic":
+      return values
+        .map((value) => fingerprint(value).split(" ").map(soundex).join(" "))
+        .join("|");
+    default:
+      return JSON.stringify(values);
+  }
+}
+
+/**
+ * Finds groups of duplicate rows, optionally on key columns and with loose matching
+ * 
+ * Fuzzy matching compares fingerprints by edit distance. To stay fast on large sheets,
+ * rows are only compared with rows whose fingerprint starts with the same character.
+ * 
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Matching options
+ * @param {Array<number>} options.keyColumns - Columns to compare (default: all columns)
+ * @param {string} options.match - One of DUPLICATE_MATCH_MODES (default: "exact")
+ * @param {number} options.threshold - Minimum similarity for fuzzy matches, 0-1
+ *   (default: DEFAULT_FUZZY_THRESHOLD)
+ * @param {Array<number>} options.skipRows - Row indices never treated as duplicates (e.g. the header)
+ * @returns {Array<Object>} { rows, key } for each group of two or more rows, rows in ascending order
+ */
+function findDuplicateGroups(data, options = {}) {
+  const match = options.match || "exact";
+  const threshold = options.threshold !== undefined ? options.threshold : DEFAULT_FUZZY_THRESHOLD;
+  const skipRows = new Set(options.skipRows || []);
+  const hasKeyColumns = Boolean(options.keyColumns && options.keyColumns.length > 0);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const keyColumns = hasKeyColumns ? options.keyColumns : Array.from({ length: columnCount }, (_, index) => index);
+  
+  if (!DUPLICATE_MATCH_MODES.includes(match)) {
+    throw new Error(`Unknown duplicate match mode: "${match}".`);
+  }
+  
+  const groups = [];
+  const groupsByKey = new Map();
+  const fuzzyBlocks = new Map();
+  
+  data.forEach((row, index) => {
+    if (skipRows.has(index)) {
+      return;
     }
-    if (typeof cell === "string") {
-      return cell.trim().length === 0;
+    // Rows with nothing in their key columns aren't duplicates of each other
+    if (hasKeyColumns && keyColumns.every((column) => isEmptyCell(row[column]))) {
+      return;
+    }
+    
+    const key = getDuplicateKey(row, keyColumns, match);
+    let group = groupsByKey.get(key);
+    
+    // Fuzzy matching only compares keys within the same first-character block
+    const block = match === "fuzzy" ? fuzzyBlocks.get(key[0]) || [] : [];
+    if (!group && match === "fuzzy") {
+      group = block.find((candidate) => stringSimilarity(candidate.key, key) >= threshold);
+    }
+    
+    if (group) {
+      group.rows.push(index);
+    } else {
+      group = { key, rows: [index] };
+      groups.push(group);
+      groupsByKey.set(key, group);
+      if (match === "fuzzy") {
+        block.push(group);
+        fuzzyBlocks.set(key[0], block);
+      }
+    }
+  });
+  
+  return groups.filter((group) => group.rows.length > 1);
+}
+
+/**
+ * Reduces each duplicate group to a single row
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Array<Object>} groups - Groups from findDuplicateGroups
+ * @param {string} keep - "first" keeps the first row, "last" the last row, and "merge"
+ *   keeps the first row with its empty cells filled from the other rows (default: "first")
+ * @returns {Object} { data, keptRows } with the remaining rows in their original order
+ */
+function resolveDuplicateGroups(data, groups, keep = "first") {
+  if (!DUPLICATE_KEEP_STRATEGIES.includes(keep)) {
+    throw new Error(`Unknown duplicate keep strategy: "${keep}".`);
+  }
+  
+  const removed = new Set();
+  const replacements = new Map();
+  
+  groups.forEach(({ rows }) => {
+    const keptRow = keep === "last" ? rows[rows.length - 1] : rows[0];
+    rows.forEach((row) => {
+      if (row !== keptRow) {
+        removed.add(row);
+      }
+    });
+    
+    if (keep === "merge") {
+      const merged = data[keptRow].slice();
+      rows.forEach((row) => {
+        data[row].forEach((value, column) => {
+          if (isEmptyCell(merged[column]) && !isEmptyCell(value)) {
+            merged[column] = value;
+          }
+        });
+      });
+      replacements.set(keptRow, merged);
     }
-    return false;
   });
+  
+  const keptRows = data.map((_, index) => index).filter((index) => !removed.has(index));
+  return {
+    data: keptRows.map((index) => replacements.get(index) || data[index]),
+    keptRows
+  };
+}
+
+/**
+ * Checks if a cell is empty (null, undefined, or a whitespace-only string)
+ * @param {any} cell - The cell value
+ * @returns {boolean} True if the cell is empty
+ */
+function isEmptyCell(cell) {
+  if (cell === null || cell === undefined) {
+    return true;
+  }
+  if (typeof cell === "string") {
+    return cell.trim().length === 0;
+  }
+  return false;
+}
+
+/**
+ * Checks if a row is completely empty (all cells are empty, null, or undefined)
+ * @param {Array<any>} row - A single row of data
+ * @returns {boolean} True if the row is completely empty
+ */
+function isEmptyRow(row) {
+  return row.every(isEmptyCell);
 }
 
 /**
@@ -98,19 +705,35 @@ function removeEmptyRows(data) {
   return data.filter((row) => !isEmptyRow(row));
 }
 
+/**
+ * Finds the indices of the rows that are not completely empty
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @returns {Array<number>} Zero-based indices of the non-empty rows
+ */
+function getNonEmptyRowIndices(data) {
+  const keptRows = [];
+  data.forEach((row, index) => {
+    if (!isEmptyRow(row)) {
+      keptRows.push(index);
+    }
+  });
+  return keptRows;
+}
+
 /**
  * Replaces empty cells with a standard placeholder
  * @param {Array<Array<any>>} data - 2D array of data
+ * @param {any} replacement - Value to put in empty cells (default: EMPTY_CELL_REPLACEMENT)
  * @returns {Array<Array<any>>} Data with empty cells replaced
  */
-function replaceEmptyCells(data) {
+function replaceEmptyCells(data, replacement = EMPTY_CELL_REPLACEMENT) {
   return data.map((row) =>
     row.map((cell) => {
       if (cell === null || cell === undefined) {
-        return EMPTY_CELL_REPLACEMENT;
+        return replacement;
       }
       if (typeof cell === "string" && cell.trim().length === 0) {
-        return EMPTY_CELL_REPLACEMENT;
+        return replacement;
       }
       return cell;
     })
@@ -118,62 +741,1243 @@ function replaceEmptyCells(data) {
 }
 
 /**
- * Detects the header row index (first non-empty row)
+ * Replaces whole cell values in given columns, e.g. "NY" with "New York" in the State column
+ * Values are compared trimmed and case-insensitively; text containing the value is left alone.
  * @param {Array<Array<any>>} data - 2D array of data
- * @returns {number} Zero-based index of the header row, or 0 if not found
+ * @param {Array<Object>} mappings - { column, from, to } with a zero-based column index
+ * @returns {Array<Array<any>>} Data with the mapped values replaced
  */
-function detectHeaderRow(data) {
-  for (let i = 0; i < data.length; i++) {
-    if (!isEmptyRow(data[i])) {
-      return i;
+function mapValues(data, mappings = []) {
+  const lookups = new Map();
+  mappings.forEach(({ column, from, to }) => {
+    if (!lookups.has(column)) {
+      lookups.set(column, new Map());
     }
+    lookups.get(column).set(String(from).trim().toLowerCase(), to);
+  });
+  
+  return data.map((row) =>
+    row.map((cell, column) => {
+      const lookup = lookups.get(column);
+      if (!lookup || isEmptyCell(cell)) {
+        return cell;
+      }
+      const key = String(cell).trim().toLowerCase();
+      return lookup.has(key) ? lookup.get(key) : cell;
+    })
+  );
+}
+
+/**
+ * Checks if a cell's formula entry is a formula rather than a constant
+ * @param {any} formula - Entry from the range's formulas (constants appear as plain values)
+ * @returns {boolean} True for formulas such as "=SUM(R[-3]C:R[-1]C)"
+ */
+function isFormula(formula) {
+  return typeof formula === "string" && formula.startsWith("=");
+}
+
+/**
+ * Finds the formula cells of the data
+ * @param {Array<Array<any>>} formulas - 2D array of formulas matching the data (as read from Excel)
+ * @returns {Map<number, Set<number>>} Row index to the column indices holding formulas
+ */
+function getFormulaCells(formulas) {
+  const cells = new Map();
+  (formulas || []).forEach((row, rowIndex) => {
+    row.forEach((formula, column) => {
+      if (isFormula(formula)) {
+        if (!cells.has(rowIndex)) {
+          cells.set(rowIndex, new Set());
+        }
+        cells.get(rowIndex).add(column);
+      }
+    });
+  });
+  return cells;
+}
+
+/**
+ * Puts the original formulas back into cleaned data, for writing it to Excel
+ * Formulas follow their rows when rows are removed; R1C1 formulas keep relative references correct.
+ * @param {Array<Array<any>>} cleanedData - The cleaned data
+ * @param {Array<number>} rowOrigins - Original row index for each cleaned row (from cleanData)
+ * @param {Array<Array<any>>} formulas - 2D array of formulas of the original data
+ * @returns {Array<Array<any>>|null} The cleaned data with formulas in formula cells, or null
+ *   if none of the cleaned rows holds a formula
+ */
+function applyFormulaCells(cleanedData, rowOrigins, formulas) {
+  const formulaCells = getFormulaCells(formulas);
+  if (!rowOrigins.some((origin) => formulaCells.has(origin))) {
+    return null;
   }
-  return 0; // Default to first row if all are empty
+  
+  return cleanedData.map((row, rowIndex) => {
+    const columns = formulaCells.get(rowOrigins[rowIndex]);
+    if (!columns) {
+      return row;
+    }
+    return row.map((cell, column) => (columns.has(column) ? formulas[rowOrigins[rowIndex]][column] : cell));
+  });
 }
 
 /**
- * Trims whitespace from all cells in the data
- * @param {Array<Array<any>>} data - 2D array of data
- * @returns {Array<Array<any>>} Data with trimmed whitespace
+ * Picks what to write to Excel for a cleaning result
+ * R1C1 formulas only mean the same thing over the cells they were read from: on an output sheet
+ * their references would point at the output sheet's cells, so anywhere else gets the values.
+ * @param {Object} result - The cleanData result
+ * @param {boolean} inPlace - Whether the data is written back over the range it was read from
+ * @returns {Object} { data, formulas } - The 2D array to write, and whether it holds formulas
  */
-function trimAllWhitespace(data) {
-  return data.map((row) => row.map(trimWhitespace));
+function getOutputData(result, inPlace) {
+  if (inPlace && result.formulaData) {
+    return { data: result.formulaData, formulas: true };
+  }
+  return { data: result.cleanedData, formulas: false };
 }
 
 /**
- * Main data cleaning orchestration function
- * Applies all cleaning operations in the correct order
- * @param {Array<Array<any>>} data - 2D array of raw data
- * @returns {Object} Object containing cleaned data and metadata
- * @property {Array<Array<any>>} cleanedData - The cleaned data
- * @property {number} headerRowIndex - The detected header row index
- * @property {number} originalRowCount - Original number of rows
- * @property {number} cleanedRowCount - Number of rows after cleaning
+ * Checks if a cell holds an error value such as #N/A or #DIV/0!
+ * @param {any} value - The cell value
+ * @param {string} valueType - The cell's Excel value type, if known ("Error" for errors)
+ * @returns {boolean} True if the cell shows an error
  */
-function cleanData(data) {
-  if (!data || data.length === 0) {
-    throw new Error("No data provided to clean.");
+function isErrorValue(value, valueType) {
+  if (valueType !== undefined) {
+    return valueType === "Error";
   }
+  return typeof value === "string" && EXCEL_ERROR_VALUES.includes(value.trim().toUpperCase());
+}
+
+/**
+ * Handles error values in the data rows according to a policy
+ * Formula cells in protectedCells keep their formula; with any policy but "keep" they are reported.
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Error handling options
+ * @param {string} options.policy - One of ERROR_POLICIES (default: "keep")
+ * @param {any} options.replacement - Value for the "replace" policy (default: EMPTY_CELL_REPLACEMENT)
+ * @param {Array<Array<string>>} options.valueTypes - Excel value types matching the data; error
+ *   strings are recognized by EXCEL_ERROR_VALUES if omitted
+ * @param {number} options.headerRowIndex - Header row; only rows below it are handled (default: -1)
+ * @param {Map<number, Set<number>>} options.protectedCells - Cells to leave unchanged (see getFormulaCells)
+ * @returns {Object} { data, changed, issues } where issues lists the errors that were flagged or kept
+ * @throws {Error} If the policy is unknown
+ */
+function handleErrorValues(data, options = {}) {
+  const policy = options.policy || "keep";
+  const replacement = options.replacement !== undefined ? options.replacement : EMPTY_CELL_REPLACEMENT;
+  const valueTypes = options.valueTypes;
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : -1;
+  const protectedCells = options.protectedCells || new Map();
   
-  const originalRowCount = data.length;
+  if (!ERROR_POLICIES.includes(policy)) {
+    throw new Error(`Unknown error value policy: "${policy}".`);
+  }
+  
+  const result = data.map((row) => row.slice());
+  const issues = [];
+  let changed = 0;
+  
+  if (policy === "keep") {
+    return { data: result, changed, issues };
+  }
+  
+  for (let row = headerRowIndex + 1; row < result.length; row++) {
+    result[row].forEach((value, column) => {
+      const valueType = valueTypes && valueTypes[row] ? valueTypes[row][column] : undefined;
+      if (!isErrorValue(value, valueType)) {
+        return;
+      }
+      
+      if (protectedCells.has(row) && protectedCells.get(row).has(column)) {
+        issues.push({ row, column, value, message: "Formula returns an error (formula left unchanged)" });
+      } else if (policy === "flag") {
+        issues.push({ row, column, value, message: "Error value" });
+      } else {
+        result[row][column] = policy === "blank" ? "" : replacement;
+        changed++;
+      }
+    });
+  }
+  
+  return { data: result, changed, issues };
+}
+
+/**
+ * Checks whether a row looks like a header: mostly filled, and no filled cell holds a
+ * number or date (words such as "No" or "Y" are fine as header names)
+ * @param {Array<any>} row - A single row of data
+ * @param {number} columnCount - Width of the data
+ * @returns {boolean} True if the row could be a header
+ */
+function isHeaderCandidate(row, columnCount) {
+  const filled = row.filter((cell) => !isEmptyCell(cell));
+  return filled.length > 0 &&
+    filled.length >= columnCount / 2 &&
+    filled.every((cell) => typeof cell === "string" && ["text", "boolean"].includes(classifyCell(cell)));
+}
+
+/**
+ * Checks whether the rows below a header candidate hold typed data in a column the candidate names
+ * A column counts as typed when at least two of its filled cells below are numbers, dates or
+ * booleans and they outnumber its text cells. Blank cells count for neither. Columns left blank
+ * in the candidate don't count, so a title row over a narrow table isn't taken for its header.
+ * @param {Array<any>} candidate - The header candidate row
+ * @param {Array<Array<any>>} rows - The non-empty rows below the candidate
+ * @returns {boolean} True if any named column is typed
+ */
+function hasTypedColumnBelow(candidate, rows) {
+  for (let column = 0; column < candidate.length; column++) {
+    if (isEmptyCell(candidate[column])) {
+      continue;
+    }
+    
+    let typed = 0;
+    let text = 0;
+    rows.forEach((row) => {
+      const cellType = classifyCell(row[column]);
+      if (cellType === "text") {
+        text++;
+      } else if (cellType) {
+        typed++;
+      }
+    });
+    if (typed >= 2 && typed > text) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Detects the header row index
+ * The header is the first mostly-filled, text-only row with typed data (numbers, dates,
+ * booleans) in a column it names, over the HEADER_CHECK_ROWS rows below it. Title rows above a table
+ * are skipped because they only fill one or two cells. Without typed data below any
+ * candidate, the first text-only row is used, and failing that the first non-empty row.
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @returns {number} Zero-based index of the header row, or 0 if not found
+ */
+function detectHeaderRow(data) {
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const nonEmptyRows = [];
+  
+  for (let i = 0; i < data.length && nonEmptyRows.length < HEADER_SCAN_ROWS + HEADER_CHECK_ROWS; i++) {
+    if (!isEmptyRow(data[i])) {
+      nonEmptyRows.push(i);
+    }
+  }
+  
+  if (nonEmptyRows.length === 0) {
+    return 0; // Default to first row if all are empty
+  }
+  
+  let firstTextRow = -1;
+  for (let n = 0; n < nonEmptyRows.length && n < HEADER_SCAN_ROWS; n++) {
+    const index = nonEmptyRows[n];
+    if (!isHeaderCandidate(data[index], columnCount)) {
+      continue;
+    }
+    if (firstTextRow === -1) {
+      firstTextRow = index;
+    }
+    
+    const below = nonEmptyRows.slice(n + 1, n + 1 + HEADER_CHECK_ROWS).map((rowIndex) => data[rowIndex]);
+    if (hasTypedColumnBelow(data[index], below)) {
+      return index;
+    }
+  }
+  
+  return firstTextRow !== -1 ? firstTextRow : nonEmptyRows[0];
+}
+
+/**
+ * Splits a header name into lowercase words ("First Name", "first_name", "firstName" -> ["first", "name"])
+ * @param {any} name - The header value
+ * @returns {Array<string>} The words
+ */
+function splitHeaderWords(name) {
+  return String(name)
+    .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter((word) => word.length > 0);
+}
+
+/**
+ * Formats header words in the given style
+ * @param {Array<string>} words - Lowercase words
+ * @param {string} style - "snake", "camel" or "title"
+ * @returns {string} The formatted name
+ */
+function formatHeaderWords(words, style) {
+  const capitalize = (word) => word.charAt(0).toUpperCase() + word.slice(1);
+  
+  switch (style) {
+    case "snake":
+      return words.join("_");
+    case "camel":
+      return words.map((word, index) => (index === 0 ? word : capitalize(word))).join("");
+    default:
+      return words.map(capitalize).join(" ");
+  }
+}
+
+/**
+ * Standardizes header names: applies a naming style, fills in missing names
+ * ("Column 3") and makes duplicates unique ("Email", "Email 2")
+ * @param {Array<any>} headerRow - The header row values
+ * @param {string} style - One of HEADER_STYLES; "none" keeps the names as written
+ * @returns {Array<string>} The standardized header names
+ */
+function standardizeHeaders(headerRow, style = "none") {
+  if (!HEADER_STYLES.includes(style)) {
+    throw new Error(`Unknown header style: "${style}".`);
+  }
+  
+  const separators = { snake: "_", camel: "" };
+  const separator = style in separators ? separators[style] : " ";
+  const used = new Set();
+  
+  return headerRow.map((value, index) => {
+    let name;
+    if (isEmptyCell(value)) {
+      name = formatHeaderWords(["column", String(index + 1)], style);
+    } else if (style === "none") {
+      name = String(value).trim();
+    } else {
+      const words = splitHeaderWords(value);
+      name = words.length > 0 ? formatHeaderWords(words, style) : String(value).trim();
+    }
+    
+    let unique = name;
+    for (let suffix = 2; used.has(unique.toLowerCase()); suffix++) {
+      unique = `${name}${separator}${suffix}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+/**
+ * Trims whitespace from all cells in the data
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @returns {Array<Array<any>>} Data with trimmed whitespace
+ */
+function trimAllWhitespace(data) {
+  return data.map((row) => row.map(trimWhitespace));
+}
+
+/**
+ * Parses a number stored as text, such as "1,234.50", "$1,234.50", "(42)" or "12.5%"
+ * Values with leading zeros (e.g. "00123") are treated as identifiers, not numbers.
+ * @param {any} value - The cell value
+ * @returns {Object|null} { value, kind, symbol } where kind is "integer", "number",
+ *   "currency" or "percent", or null if the value is not number-like
+ */
+function parseNumberLike(value) {
+  if (typeof value === "number") {
+    if (!Number.isFinite(value)) {
+      return null;
+    }
+    return { value, kind: Number.isInteger(value) ? "integer" : "number", symbol: null };
+  }
+  
+  if (typeof value !== "string") {
+    return null;
+  }
+  
+  let text = value.trim();
+  let negative = false;
+  let symbol = null;
+  let percent = false;
+  
+  // Accounting-style negatives: (1,234.50)
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1).trim();
+  }
+  
+  if (/^[-+]/.test(text)) {
+    negative = negative !== (text[0] === "-");
+    text = text.slice(1).trim();
+  }
+  
+  if (text.endsWith("%")) {
+    percent = true;
+    text = text.slice(0, -1).trim();
+  }
+  
+  const leadingSymbol = CURRENCY_SYMBOLS.find((candidate) => text.startsWith(candidate));
+  const trailingSymbol = CURRENCY_SYMBOLS.find((candidate) => text.endsWith(candidate));
+  if (leadingSymbol || trailingSymbol) {
+    symbol = leadingSymbol || trailingSymbol;
+    text = leadingSymbol ? text.slice(symbol.length) : text.slice(0, -symbol.length);
+    text = text.trim();
+    
+    // "$-5" style negatives
+    if (text.startsWith("-")) {
+      negative = !negative;
+      text = text.slice(1);
+    }
+  }
+  
+  if (percent && symbol) {
+    return null;
+  }
+  
+  const grouped = /^\d{1,3}(,\d{3})+(\.\d+)?$/.test(text);
+  const plain = /^(\d+(\.\d*)?|\.\d+)([eE][-+]?\d+)?$/.test(text);
+  if (!grouped && !plain) {
+    return null;
+  }
+  
+  // Identifiers such as zip codes and account numbers keep their leading zeros
+  if (/^0\d/.test(text)) {
+    return null;
+  }
+  
+  let number = parseFloat(text.replace(/,/g, ""));
+  if (negative) {
+    number = -number;
+  }
+  
+  if (percent) {
+    return { value: number / 100, kind: "percent", symbol: null };
+  }
+  if (symbol) {
+    return { value: number, kind: "currency", symbol };
+  }
+  return { value: number, kind: Number.isInteger(number) ? "integer" : "number", symbol: null };
+}
+
+/**
+ * Parses a boolean stored as text, such as "yes", "Y" or "TRUE"
+ * @param {any} value - The cell value
+ * @returns {boolean|null} The boolean, or null if the value is not boolean-like
+ */
+function parseBooleanLike(value) {
+  if (typeof value === "boolean") {
+    return value;
+  }
+  if (typeof value !== "string") {
+    return null;
+  }
+  
+  const text = value.trim().toLowerCase();
+  if (BOOLEAN_TRUE_VALUES.includes(text)) {
+    return true;
+  }
+  if (BOOLEAN_FALSE_VALUES.includes(text)) {
+    return false;
+  }
+  return null;
+}
+
+/**
+ * Looks up a month by name or abbreviation ("Apr", "april", "Sept")
+ * @param {string} name - Month name
+ * @returns {number|null} Month number (1-12), or null if not recognized
+ */
+function parseMonthName(name) {
+  const text = name.toLowerCase();
+  if (text.length < 3) {
+    return null;
+  }
+  
+  const index = MONTH_NAMES.findIndex((month) => month.startsWith(text) || (text === "sept" && month === "september"));
+  return index === -1 ? null : index + 1;
+}
+
+/**
+ * Expands a two-digit year using TWO_DIGIT_YEAR_PIVOT
+ * @param {string} text - The year as written
+ * @returns {number} The four-digit year
+ */
+function expandYear(text) {
+  const year = Number(text);
+  if (text.length > 2) {
+    return year;
+  }
+  return year < TWO_DIGIT_YEAR_PIVOT ? 2000 + year : 1900 + year;
+}
+
+/**
+ * Converts a calendar date to an Excel serial number
+ * @param {number} year - Four-digit year
+ * @param {number} month - Month (1-12)
+ * @param {number} day - Day of month
+ * @param {number} timeFraction - Fraction of a day for the time part (default: 0)
+ * @returns {number|null} The serial, or null if the date does not exist (e.g. 31 April)
+ */
+function toExcelSerial(year, month, day, timeFraction = 0) {
+  const ms = Date.UTC(year, month - 1, day);
+  const check = new Date(ms);
+  
+  if (month < 1 || month > 12 || check.getUTCFullYear() !== year ||
+      check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day) {
+    return null;
+  }
+  
+  return (ms - EXCEL_EPOCH_MS) / MS_PER_DAY + timeFraction;
+}
+
+/**
+ * Formats an Excel serial as an ISO 8601 string
+ * @param {number} serial - Excel serial date
+ * @returns {string} "YYYY-MM-DD", with "THH:MM:SS" appended when the serial has a time part
+ */
+function excelSerialToIso(serial) {
+  const ms = Math.round(EXCEL_EPOCH_MS + serial * MS_PER_DAY);
+  const iso = new Date(ms).toISOString();
+  return serial % 1 === 0 ? iso.slice(0, 10) : iso.slice(0, 19);
+}
+
+/**
+ * Parses a date in any of the common spreadsheet formats
+ * Supported: ISO ("2024-04-03", with optional time), numeric ("03/04/2024", "3.4.24"),
+ * text months ("3 Apr 24", "April 3, 2024") and Excel serial numbers.
+ * Numeric dates whose day and month are both 12 or less use the dayFirst preference;
+ * otherwise the order is worked out from the values.
+ * @param {any} value - The cell value
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates as day/month (default: false)
+ * @param {boolean} options.allowSerial - Accept numbers as Excel serials (default: true)
+ * @returns {number|null} Excel serial date, or null if the value is not a date
+ */
+function parseDateValue(value, options = {}) {
+  const dayFirst = Boolean(options.dayFirst);
+  const allowSerial = options.allowSerial !== false;
+  
+  if (typeof value === "number") {
+    return allowSerial && value >= 1 && value <= MAX_EXCEL_SERIAL + 1 ? value : null;
+  }
+  
+  if (value instanceof Date) {
+    return isNaN(value.getTime()) ? null : (value.getTime() - EXCEL_EPOCH_MS) / MS_PER_DAY;
+  }
+  
+  if (typeof value !== "string") {
+    return null;
+  }
+  
+  const text = value.trim();
+  let match;
+  
+  // ISO: 2024-04-03, 2024/04/03, 2024-04-03T14:30:00
+  match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?Z?)?$/);
+  if (match) {
+    const [, year, month, day, hours = 0, minutes = 0, seconds = 0] = match;
+    const time = (Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds)) / 86400;
+    return toExcelSerial(Number(year), Number(month), Number(day), time);
+  }
+  
+  // Numeric: 03/04/2024, 3-4-24, 03.04.2024
+  match = text.match(/^(\d{1,2})([/.-])(\d{1,2})\2(\d{2}|\d{4})$/);
+  if (match) {
+    const first = Number(match[1]);
+    const second = Number(match[3]);
+    const year = expandYear(match[4]);
+    
+    let readDayFirst = dayFirst;
+    if (first > 12 && second <= 12) {
+      readDayFirst = true;
+    } else if (second > 12 && first <= 12) {
+      readDayFirst = false;
+    }
+    
+    return readDayFirst ? toExcelSerial(year, second, first) : toExcelSerial(year, first, second);
+  }
+  
+  // Day, month name, year: 3 Apr 24, 3-Apr-2024, 3rd April 2024
+  match = text.match(/^(\d{1,2})(?:st|nd|rd|th)?[\s/.-]+([a-z]+)\.?,?[\s/.-]+(\d{2}|\d{4})$/i);
+  if (match) {
+    const month = parseMonthName(match[2]);
+    return month ? toExcelSerial(expandYear(match[3]), month, Number(match[1])) : null;
+  }
+  
+  // Month name, day, year: Apr 3, 2024, April 3rd 24
+  match = text.match(/^([a-z]+)\.?[\s/.-]+(\d{1,2})(?:st|nd|rd|th)?,?[\s/.-]+(\d{2}|\d{4})$/i);
+  if (match) {
+    const month = parseMonthName(match[1]);
+    return month ? toExcelSerial(expandYear(match[3]), month, Number(match[2])) : null;
+  }
+  
+  return null;
+}
+
+/**
+ * Checks whether a text value looks like a date
+ * @param {any} value - The cell value
+ * @returns {boolean} True if the value is a string that parses as a date
+ */
+function looksLikeDate(value) {
+  return typeof value === "string" && parseDateValue(value) !== null;
+}
+
+/**
+ * Checks whether a column holds dates
+ * Numbers are only accepted as Excel serials once text dates show the column is date-like.
+ * @param {Array<any>} values - The column's cell values (header excluded)
+ * @param {Object} options - Detection options
+ * @param {boolean} options.dayFirst - Day/month preference for ambiguous values
+ * @param {number} options.minConfidence - Share of non-empty cells that must parse as dates
+ *   (default: DEFAULT_DATE_CONFIDENCE)
+ * @returns {boolean} True if the column is date-like
+ */
+function isDateColumn(values, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_DATE_CONFIDENCE;
+  let nonEmpty = 0;
+  let textDates = 0;
+  let serials = 0;
+  
+  values.forEach((value) => {
+    if (isEmptyCell(value)) {
+      return;
+    }
+    nonEmpty++;
+    
+    if (typeof value === "number") {
+      if (parseDateValue(value, options) !== null) {
+        serials++;
+      }
+    } else if (parseDateValue(value, { ...options, allowSerial: false }) !== null) {
+      textDates++;
+    }
+  });
+  
+  return textDates > 0 && (textDates + serials) / nonEmpty >= minConfidence;
+}
+
+/**
+ * Normalizes every date-like column below the header to a single representation
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Normalization options
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates as day/month (default: false)
+ * @param {string} options.output - "serial" for Excel date serials or "iso" for ISO strings (default: "serial")
+ * @param {string} options.numberFormat - Number format for serial output (default: "yyyy-mm-dd")
+ * @param {Array<number>} options.columns - Column indices to normalize; detected automatically if omitted
+ * @param {number} options.headerRowIndex - Header row to skip, or -1 if the data has none
+ *   (default: detected)
+ * @returns {Object} { data, columnFormats, issues } where issues lists values that could not be parsed
+ */
+function normalizeDates(data, options = {}) {
+  const output = options.output || "serial";
+  const numberFormat = options.numberFormat || "yyyy-mm-dd";
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : detectHeaderRow(data);
+  const bodyRows = data.slice(headerRowIndex + 1);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  
+  let columns = options.columns;
+  if (!columns) {
+    columns = [];
+    for (let column = 0; column < columnCount; column++) {
+      if (isDateColumn(bodyRows.map((row) => row[column]), options)) {
+        columns.push(column);
+      }
+    }
+  }
+  
+  const result = data.map((row) => row.slice());
+  const columnFormats = {};
+  const issues = [];
   
-  // Step 1: Trim whitespace from all cells
-  let cleaned = trimAllWhitespace(data);
+  columns.forEach((column) => {
+    for (let row = headerRowIndex + 1; row < result.length; row++) {
+      const value = result[row][column];
+      if (isEmptyCell(value)) {
+        continue;
+      }
+      
+      const serial = parseDateValue(value, options);
+      if (serial === null) {
+        issues.push({ row, column, value, message: "Not a recognized date" });
+        continue;
+      }
+      
+      result[row][column] = output === "iso" ? excelSerialToIso(serial) : serial;
+    }
+    
+    if (output !== "iso") {
+      columnFormats[column] = numberFormat;
+    }
+  });
+  
+  return { data: result, columnFormats, issues };
+}
+
+/**
+ * Classifies a single cell value into one of COLUMN_TYPES
+ * @param {any} value - The cell value
+ * @returns {string|null} The cell type, or null for empty cells
+ */
+function classifyCell(value) {
+  if (isEmptyCell(value)) {
+    return null;
+  }
+  if (parseBooleanLike(value) !== null) {
+    return "boolean";
+  }
+  if (looksLikeDate(value)) {
+    return "date";
+  }
+  
+  const number = parseNumberLike(value);
+  return number ? number.kind : "text";
+}
+
+/**
+ * Infers the type of a column from its values
+ * Integers also count towards "number", and plain numbers towards "currency" when the
+ * column holds currency values. Ties go to the more specific type.
+ * @param {Array<any>} values - The column's cell values (header excluded)
+ * @returns {Object} { type, confidence, counts } where confidence is the share of
+ *   non-empty cells matching the type (0-1) and counts maps cell types to their counts
+ */
+function inferColumnType(values) {
+  const counts = {};
+  let nonEmpty = 0;
+  
+  values.forEach((value) => {
+    const cellType = classifyCell(value);
+    if (cellType) {
+      counts[cellType] = (counts[cellType] || 0) + 1;
+      nonEmpty++;
+    }
+  });
+  
+  if (nonEmpty === 0) {
+    return { type: "text", confidence: 0, counts };
+  }
+  
+  const count = (type) => counts[type] || 0;
+  const scores = {
+    boolean: count("boolean"),
+    date: count("date"),
+    percent: count("percent"),
+    currency: count("currency") > 0 ? count("currency") + count("number") + count("integer") : 0,
+    integer: count("integer"),
+    number: count("number") + count("integer"),
+    text: count("text")
+  };
+  
+  // COLUMN_TYPES is ordered most specific first, so the first maximum wins ties
+  const type = COLUMN_TYPES.reduce((best, candidate) => (scores[candidate] > scores[best] ? candidate : best));
+  
+  return { type, confidence: scores[type] / nonEmpty, counts };
+}
+
+/**
+ * Profiles every column under the header row and infers its type
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {number} headerRowIndex - Zero-based index of the header row
+ * @returns {Array<Object>} { column, header, type, confidence, counts } for each column
+ */
+function profileColumns(data, headerRowIndex = 0) {
+  const headerRow = data[headerRowIndex] || [];
+  const bodyRows = data.slice(headerRowIndex + 1);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  
+  const profiles = [];
+  for (let column = 0; column < columnCount; column++) {
+    const inferred = inferColumnType(bodyRows.map((row) => row[column]));
+    profiles.push({
+      column,
+      header: headerRow[column] !== undefined ? headerRow[column] : null,
+      ...inferred
+    });
+  }
+  return profiles;
+}
+
+/**
+ * Converts a value to the given column type
+ * @param {any} value - The cell value
+ * @param {string} type - One of COLUMN_TYPES
+ * @returns {Object} { value, converted } where converted is false if the value did not fit the type
+ */
+function convertToType(value, type) {
+  if (isEmptyCell(value)) {
+    return { value, converted: true };
+  }
+  
+  switch (type) {
+    case "boolean": {
+      const parsed = parseBooleanLike(value);
+      return parsed === null ? { value, converted: false } : { value: parsed, converted: true };
+    }
+    case "integer":
+    case "number":
+    case "currency":
+    case "percent": {
+      const parsed = parseNumberLike(value);
+      return parsed ? { value: parsed.value, converted: true } : { value, converted: false };
+    }
+    default:
+      return { value, converted: true };
+  }
+}
+
+/**
+ * Picks the Excel number format for a typed column
+ * @param {string} type - One of COLUMN_TYPES
+ * @param {Array<any>} values - The column's original values, used to find the currency symbol
+ * @returns {string|null} An Excel number format, or null to leave the format alone
+ */
+function getNumberFormatForType(type, values) {
+  if (type === "percent") {
+    return "0.00%";
+  }
+  if (type === "currency") {
+    const parsed = values.map(parseNumberLike).find((result) => result && result.symbol);
+    const symbol = parsed ? parsed.symbol : "$";
+    return symbol === "$" ? "$#,##0.00" : `"${symbol}"#,##0.00`;
+  }
+  return null;
+}
+
+/**
+ * Converts each confidently-typed column below the header to real typed values
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Conversion options
+ * @param {number} options.minConfidence - Minimum inferred confidence to convert a column
+ *   (default: DEFAULT_TYPE_CONFIDENCE)
+ * @param {Object} options.columnTypes - Column index to type overrides, skipping inference
+ * @param {number} options.headerRowIndex - Header row to skip, or -1 if the data has none
+ *   (default: detected)
+ * @returns {Object} { data, columnFormats, issues } where issues lists values that did
+ *   not fit their column's type ({ row, column, value, message })
+ */
+function convertColumnTypes(data, options = {}) {
+  const minConfidence = options.minConfidence !== undefined ? options.minConfidence : DEFAULT_TYPE_CONFIDENCE;
+  const overrides = options.columnTypes || {};
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : detectHeaderRow(data);
+  const profiles = profileColumns(data, headerRowIndex);
+  
+  const result = data.map((row) => row.slice());
+  const columnFormats = {};
+  const issues = [];
+  
+  profiles.forEach((profile) => {
+    const column = profile.column;
+    const override = overrides[column];
+    const type = override || profile.type;
+    
+    if (type === "text" || (!override && profile.confidence < minConfidence)) {
+      return;
+    }
+    
+    for (let row = headerRowIndex + 1; row < result.length; row++) {
+      const value = result[row][column];
+      const converted = convertToType(value, type);
+      if (converted.converted) {
+        result[row][column] = converted.value;
+      } else {
+        issues.push({ row, column, value, message: `Not a valid ${type} value` });
+      }
+    }
+    
+    const format = getNumberFormatForType(type, data.slice(headerRowIndex + 1).map((row) => row[column]));
+    if (format) {
+      columnFormats[column] = format;
+    }
+  });
+  
+  return { data: result, columnFormats, issues };
+}
+
+/**
+ * Resolves the ContactNormalizers module in both browser (script tag) and Node.js environments
+ * @returns {Object} The ContactNormalizers exports
+ */
+function getContactNormalizers() {
+  if (typeof window !== "undefined" && window.ContactNormalizers) {
+    return window.ContactNormalizers;
+  }
+  return require("./contactNormalizers");
+}
+
+/**
+ * Counts the cells whose value differs between two arrays of the same shape
+ * @param {Array<Array<any>>} before - Data before an operation
+ * @param {Array<Array<any>>} after - Data after an operation
+ * @returns {number} Number of changed cells
+ */
+function countChangedCells(before, after) {
+  let changed = 0;
+  for (let r = 0; r < before.length; r++) {
+    for (let c = 0; c < before[r].length; c++) {
+      if (before[r][c] !== after[r][c]) {
+        changed++;
+      }
+    }
+  }
+  return changed;
+}
+
+/**
+ * Registry of the named cleaning operations the pipeline can run
+ * Operations only ever see the data rows below the header. Each operation takes the
+ * current data and its step options and returns the new data, the number of cells or
+ * rows it changed and, for row filters, the indices of the kept rows.
+ * Operations may also return columnFormats (column index to Excel number format) and
+ * issues ({ row, column, value, message }) for values they could not clean.
+ */
+const CLEANING_OPERATIONS = {
+  trimWhitespace: {
+    label: "Trim whitespace",
+    unit: "cell",
+    apply(data) {
+      const result = trimAllWhitespace(data);
+      return { data: result, changed: countChangedCells(data, result) };
+    }
+  },
+  convertTypes: {
+    label: "Convert column types",
+    unit: "cell",
+    apply(data, options) {
+      const result = convertColumnTypes(data, { ...options, headerRowIndex: -1 });
+      return {
+        data: result.data,
+        changed: countChangedCells(data, result.data),
+        columnFormats: result.columnFormats,
+        issues: result.issues
+      };
+    }
+  },
+  normalizeDates: {
+    label: "Normalize dates",
+    unit: "cell",
+    apply(data, options) {
+      const result = normalizeDates(data, { ...options, headerRowIndex: -1 });
+      return {
+        data: result.data,
+        changed: countChangedCells(data, result.data),
+        columnFormats: result.columnFormats,
+        issues: result.issues
+      };
+    }
+  },
+  normalizeContacts: {
+    label: "Normalize contact fields",
+    unit: "cell",
+    apply(data, options) {
+      const result = getContactNormalizers().normalizeContactFields(data, options);
+      return {
+        data: result.data,
+        changed: countChangedCells(data, result.data),
+        columnFormats: result.columnFormats,
+        issues: result.issues
+      };
+    }
+  },
+  normalizeCasing: {
+    label: "Normalize casing",
+    unit: "cell",
+    apply(data, options) {
+      const result = normalizeCasing(data, options);
+      return { data: result, changed: countChangedCells(data, result) };
+    }
+  },
+  mapValues: {
+    label: "Map values",
+    unit: "cell",
+    apply(data, options) {
+      const result = mapValues(data, options.mappings);
+      return { data: result, changed: countChangedCells(data, result) };
+    }
+  },
+  removeDuplicateRows: {
+    label: "Remove duplicate rows",
+    unit: "row",
+    apply(data, options) {
+      const match = options.match || "exact";
+      const keep = options.keep || "first";
+      const hasKeyColumns = Boolean(options.keyColumns && options.keyColumns.length > 0);
+      
+      // Whole-row exact matching keeping the first row is the original, cheapest check
+      if (match === "exact" && keep === "first" && !hasKeyColumns) {
+        const keptRows = getUniqueRowIndices(data);
+        return {
+          data: keptRows.map((index) => data[index]),
+          changed: data.length - keptRows.length,
+          keptRows
+        };
+      }
+      
+      const groups = findDuplicateGroups(data, options);
+      const result = resolveDuplicateGroups(data, groups, keep);
+      return {
+        data: result.data,
+        changed: data.length - result.keptRows.length,
+        keptRows: result.keptRows
+      };
+    }
+  },
+  removeEmptyRows: {
+    label: "Remove empty rows",
+    unit: "row",
+    apply(data) {
+      const keptRows = getNonEmptyRowIndices(data);
+      return {
+        data: keptRows.map((index) => data[index]),
+        changed: data.length - keptRows.length,
+        keptRows
+      };
+    }
+  },
+  replaceEmptyCells: {
+    label: "Fill empty cells",
+    unit: "cell",
+    apply(data, options) {
+      const replacement = options.replacement !== undefined ? options.replacement : EMPTY_CELL_REPLACEMENT;
+      const result = replaceEmptyCells(data, replacement);
+      return { data: result, changed: countChangedCells(data, result) };
+    }
+  }
+};
+
+/**
+ * Default pipeline, matching the original fixed cleaning order
+ */
+const DEFAULT_PIPELINE = [
+  { op: "trimWhitespace" },
+  { op: "normalizeCasing" },
+  { op: "removeDuplicateRows" },
+  { op: "removeEmptyRows" },
+  { op: "replaceEmptyCells", options: { replacement: EMPTY_CELL_REPLACEMENT } }
+];
+
+/**
+ * Every available operation in its recommended position, used to build pipeline editors
+ * Operations that are not part of DEFAULT_PIPELINE start disabled.
+ */
+const PIPELINE_TEMPLATE = [
+  { op: "trimWhitespace", enabled: true },
+  { op: "convertTypes", enabled: false, options: { minConfidence: DEFAULT_TYPE_CONFIDENCE } },
+  { op: "normalizeDates", enabled: false, options: { dayFirst: false, output: "serial", numberFormat: "yyyy-mm-dd" } },
+  { op: "normalizeContacts", enabled: false, options: { columnTypes: {}, defaultCountryCode: "1", phoneFormat: "e164", stripTracking: true } },
+  { op: "normalizeCasing", enabled: true, options: { mode: "title", columnModes: {}, exceptions: {} } },
+  { op: "mapValues", enabled: false, options: { mappings: [] } },
+  { op: "removeDuplicateRows", enabled: true, options: { keyColumns: [], match: "exact", threshold: DEFAULT_FUZZY_THRESHOLD, keep: "first" } },
+  { op: "removeEmptyRows", enabled: true },
+  { op: "replaceEmptyCells", enabled: true, options: { replacement: EMPTY_CELL_REPLACEMENT } }
+];
+
+/**
+ * Normalizes a pipeline step given either as an operation name or as a step object
+ * @param {string|Object} step - Operation name, or { op, options, enabled }
+ * @returns {Object} Step object with op, options and enabled properties
+ * @throws {Error} If the step does not name a known operation
+ */
+function normalizePipelineStep(step) {
+  const normalized = typeof step === "string" ? { op: step } : { ...step };
+  
+  if (!normalized.op || !CLEANING_OPERATIONS[normalized.op]) {
+    throw new Error(`Unknown cleaning operation: "${normalized.op}".`);
+  }
+  
+  normalized.options = normalized.options || {};
+  normalized.enabled = normalized.enabled !== false;
+  return normalized;
+}
+
+/**
+ * Runs an ordered list of cleaning operations over the data
+ * Disabled steps are skipped. The header row and any rows above it are passed through
+ * untouched; operations only run on the rows below. Row origins track which input row
+ * each output row came from. Protected cells (formula cells) keep their input value
+ * through every step; they still count when rows are compared, and move with their rows.
+ * @param {Array<Array<any>>} data - 2D array of raw data
+ * @param {Array<string|Object>} steps - Ordered pipeline steps (default: DEFAULT_PIPELINE)
+ * @param {Object} options - Pipeline options
+ * @param {number} options.headerRowIndex - Header row to leave alone, or -1 to clean every row (default: -1)
+ * @param {Map<number, Set<number>>} options.protectedCells - Input row index to columns no step may change
+ * @returns {Object} Object containing the cleaned data and per-step results
+ * @property {Array<Array<any>>} data - The cleaned data
+ * @property {Array<number>} rowOrigins - Input row index for each output row
+ * @property {Array<Object>} stepResults - { op, label, unit, changed } for each step that ran;
+ *   row filters also list the input indices of the rows they removed as removedRows
+ * @property {Object} columnFormats - Column index to Excel number format, from typed steps
+ * @property {Array<Object>} issues - { op, row, column, value, message } for values steps
+ *   could not clean; row is the input row index
+ */
+function runPipeline(data, steps = DEFAULT_PIPELINE, options = {}) {
+  // Validate every step up front so a bad step doesn't leave the run half done
+  const normalizedSteps = steps.map(normalizePipelineStep);
+  const bodyStart = options.headerRowIndex !== undefined ? options.headerRowIndex + 1 : 0;
+  const protectedCells = options.protectedCells || new Map();
+  
+  let current = data.slice(bodyStart);
+  let rowOrigins = current.map((_, index) => bodyStart + index);
+  const stepResults = [];
+  const columnFormats = {};
+  const issues = [];
+  
+  for (const step of normalizedSteps) {
+    if (!step.enabled) {
+      continue;
+    }
+    
+    const operation = CLEANING_OPERATIONS[step.op];
+    const result = operation.apply(current, step.options);
+    const isProtected = (row, column) => protectedCells.has(row) && protectedCells.get(row).has(column);
+    
+    (result.issues || []).forEach((issue) => {
+      if (!isProtected(rowOrigins[issue.row], issue.column)) {
+        issues.push({ ...issue, op: step.op, row: rowOrigins[issue.row] });
+      }
+    });
+    Object.assign(columnFormats, result.columnFormats);
+    
+    const stepResult = {
+      op: step.op,
+      label: operation.label,
+      unit: operation.unit,
+      changed: result.changed
+    };
+    
+    const previous = current;
+    if (result.keptRows) {
+      const kept = new Set(result.keptRows);
+      stepResult.removedRows = rowOrigins.filter((_, index) => !kept.has(index));
+      rowOrigins = result.keptRows.map((index) => rowOrigins[index]);
+    }
+    current = result.data;
+    
+    // Undo any change to a protected cell, and leave it out of the step's count
+    let reverted = false;
+    rowOrigins.forEach((origin, rowIndex) => {
+      (protectedCells.get(origin) || []).forEach((column) => {
+        if (current[rowIndex][column] !== data[origin][column]) {
+          current[rowIndex] = current[rowIndex].slice();
+          current[rowIndex][column] = data[origin][column];
+          reverted = true;
+        }
+      });
+    });
+    if (reverted && !result.keptRows) {
+      stepResult.changed = countChangedCells(previous, current);
+    }
+    
+    stepResults.push(stepResult);
+  }
+  
+  const headRows = data.slice(0, bodyStart);
+  return {
+    data: headRows.concat(current),
+    rowOrigins: headRows.map((_, index) => index).concat(rowOrigins),
+    stepResults,
+    columnFormats,
+    issues
+  };
+}
+
+/**
+ * Formats a step result as a short human-readable summary
+ * @param {Object} stepResult - A step result from runPipeline
+ * @returns {string} Summary such as "Trim whitespace: 12 cells changed"
+ */
+function describeStepResult(stepResult) {
+  const noun = stepResult.unit === "row" ? "row" : "cell";
+  const verb = stepResult.unit === "row" ? "removed" : "changed";
+  const plural = stepResult.changed === 1 ? "" : "s";
+  return `${stepResult.label}: ${stepResult.changed} ${noun}${plural} ${verb}`;
+}
+
+/**
+ * Main data cleaning orchestration function
+ * Detects the header row first, runs the configured pipeline (or the default one) on the
+ * rows below it, and optionally standardizes the header names
+ * @param {Array<Array<any>>} data - 2D array of raw data
+ * @param {Object} options - Cleaning options
+ * @param {Array<string|Object>} options.pipeline - Ordered pipeline steps (default: DEFAULT_PIPELINE)
+ * @param {string|number} options.header - "auto" to detect the header row, "none" if the
+ *   data has no header, or a zero-based row index (default: "auto")
+ * @param {string} options.headerStyle - One of HEADER_STYLES (default: "none")
+ * @param {Array<Array<any>>} options.formulas - Formulas matching the data, as read from Excel;
+ *   formula cells are left alone unless formulaMode is "convert"
+ * @param {string} options.formulaMode - One of FORMULA_MODES (default: "skip")
+ * @param {Object} options.errors - { policy, replacement } for error values (see handleErrorValues;
+ *   default policy: "keep")
+ * @param {Array<Array<string>>} options.valueTypes - Excel value types matching the data, used to
+ *   recognize error values
+ * @returns {Object} Object containing cleaned data and metadata
+ * @property {Array<Array<any>>} cleanedData - The cleaned data
+ * @property {number} headerRowIndex - The header row index, or -1 if the data has no header
+ * @property {number} originalRowCount - Original number of rows
+ * @property {number} cleanedRowCount - Number of rows after cleaning
+ * @property {Array<number>} rowOrigins - Original row index for each cleaned row
+ * @property {Array<Object>} stepResults - What each pipeline step changed
+ * @property {Object} columnFormats - Column index to Excel number format for typed columns
+ * @property {Array<Object>} issues - Values the pipeline could not clean (see runPipeline), plus
+ *   error values that were flagged
+ * @property {Array<Array<any>>|null} formulaData - cleanedData with the skipped formulas put back,
+ *   for writing to Excel; null if no formula cells were skipped
+ */
+function cleanData(data, options = {}) {
+  if (!data || data.length === 0) {
+    throw new Error("No data provided to clean.");
+  }
+  
+  const originalRowCount = data.length;
+  const header = options.header !== undefined ? options.header : "auto";
+  const headerStyle = options.headerStyle || "none";
   
-  // Step 2: Normalize text casing to Title Case
-  cleaned = normalizeCasing(cleaned);
+  // Detect the header row before anything else so it isn't cleaned like data
+  let headerRowIndex;
+  if (header === "none") {
+    headerRowIndex = -1;
+  } else if (typeof header === "number") {
+    headerRowIndex = Math.min(Math.max(header, 0), data.length - 1);
+  } else {
+    headerRowIndex = detectHeaderRow(data);
+  }
   
-  // Step 3: Remove duplicate rows
-  cleaned = removeDuplicateRows(cleaned);
+  const formulaMode = options.formulaMode || "skip";
+  if (!FORMULA_MODES.includes(formulaMode)) {
+    throw new Error(`Unknown formula mode: "${formulaMode}".`);
+  }
+  const formulaCells = getFormulaCells(options.formulas);
+  const protectedCells = formulaMode === "skip" ? formulaCells : new Map();
   
-  // Step 4: Remove fully empty rows
-  cleaned = removeEmptyRows(cleaned);
+  // Error values are handled before the pipeline so no step treats "#N/A" as text
+  const errorPolicy = options.errors ? options.errors.policy : "keep";
+  const errorResult = handleErrorValues(data, {
+    ...options.errors,
+    valueTypes: options.valueTypes,
+    headerRowIndex,
+    protectedCells
+  });
   
-  // Step 5: Replace empty cells with "N/A"
-  cleaned = replaceEmptyCells(cleaned);
+  const { data: cleaned, rowOrigins, stepResults, columnFormats, issues } =
+    runPipeline(errorResult.data, options.pipeline || DEFAULT_PIPELINE, { headerRowIndex, protectedCells });
   
-  // Step 6: Detect header row
-  const headerRowIndex = detectHeaderRow(cleaned);
+  if (errorPolicy && errorPolicy !== "keep") {
+    stepResults.unshift({ op: "handleErrors", label: "Handle error values", unit: "cell", changed: errorResult.changed });
+    issues.unshift(...errorResult.issues.map((issue) => ({ ...issue, op: "handleErrors" })));
+  }
+  
+  if (formulaMode === "convert" && formulaCells.size > 0) {
+    stepResults.push({
+      op: "convertFormulas",
+      label: "Convert formulas to values",
+      unit: "cell",
+      changed: rowOrigins.reduce((total, origin) => total + (formulaCells.has(origin) ? formulaCells.get(origin).size : 0), 0)
+    });
+  }
+  
+  if (headerRowIndex !== -1 && headerStyle !== "none") {
+    const original = cleaned[headerRowIndex];
+    const standardized = standardizeHeaders(original, headerStyle);
+    cleaned[headerRowIndex] = standardized;
+    stepResults.push({
+      op: "standardizeHeaders",
+      label: "Standardize headers",
+      unit: "cell",
+      changed: standardized.filter((name, index) => name !== original[index]).length
+    });
+  }
   
   const cleanedRowCount = cleaned.length;
   
@@ -181,7 +1985,109 @@ function cleanData(data) {
     cleanedData: cleaned,
     headerRowIndex,
     originalRowCount,
-    cleanedRowCount
+    cleanedRowCount,
+    rowOrigins,
+    stepResults,
+    columnFormats,
+    issues,
+    formulaData: formulaMode === "skip" ? applyFormulaCells(cleaned, rowOrigins, options.formulas) : null
+  };
+}
+
+/**
+ * Computes a cell-level diff between raw data and the result of cleaning it
+ * Coordinates refer to the raw data, so they map directly onto the original range.
+ * @param {Array<Array<any>>} rawData - 2D array of data before cleaning
+ * @param {Array<Array<any>>} cleanedData - 2D array of data after cleaning
+ * @param {Array<number>} rowOrigins - Raw row index for each cleaned row (from cleanData)
+ * @returns {Object} Diff with changedCells, filledCells, removedRows and summary counts
+ * @property {Array<Object>} changedCells - { row, column, before, after } for edited cells
+ * @property {Array<Object>} filledCells - { row, column, before, after } for blanks that were filled
+ * @property {Array<Object>} removedRows - { row, values } for rows dropped by cleaning
+ * @property {Object} summary - { changed, filled, removed } counts
+ */
+function computeCellDiff(rawData, cleanedData, rowOrigins) {
+  const changedCells = [];
+  const filledCells = [];
+  const keptRows = new Set(rowOrigins);
+  
+  cleanedData.forEach((cleanedRow, index) => {
+    const row = rowOrigins[index];
+    const rawRow = rawData[row];
+    
+    cleanedRow.forEach((after, column) => {
+      const before = rawRow[column];
+      if (before === after) {
+        return;
+      }
+      
+      const cell = { row, column, before, after };
+      if (isEmptyCell(before) && !isEmptyCell(after)) {
+        filledCells.push(cell);
+      } else {
+        changedCells.push(cell);
+      }
+    });
+  });
+  
+  const removedRows = [];
+  rawData.forEach((values, row) => {
+    if (!keptRows.has(row)) {
+      removedRows.push({ row, values });
+    }
+  });
+  
+  return {
+    changedCells,
+    filledCells,
+    removedRows,
+    summary: {
+      changed: changedCells.length,
+      filled: filledCells.length,
+      removed: removedRows.length
+    }
+  };
+}
+
+/**
+ * Builds an audit record of a cleaning run
+ * The standard counters are filled from their operations; other steps are summarized in
+ * otherChanges. Every removed row is listed with its position in the raw data.
+ * @param {Array<Array<any>>} rawData - 2D array of data before cleaning
+ * @param {Object} cleaningResult - The value returned by cleanData
+ * @returns {Object} { operations, counts, otherChanges, removedRows } where counts has
+ *   cellsTrimmed, cellsRecased, duplicatesRemoved, emptyRowsRemoved and blanksFilled, and
+ *   removedRows lists { row, reason, values }
+ */
+function buildCleaningLog(rawData, cleaningResult) {
+  const counts = {};
+  Object.values(CLEANING_LOG_COUNTERS).forEach((counter) => {
+    counts[counter] = 0;
+  });
+  
+  const otherChanges = [];
+  const removedRows = [];
+  
+  cleaningResult.stepResults.forEach((stepResult) => {
+    const counter = CLEANING_LOG_COUNTERS[stepResult.op];
+    if (counter) {
+      counts[counter] += stepResult.changed;
+    } else {
+      otherChanges.push(describeStepResult(stepResult));
+    }
+    
+    (stepResult.removedRows || []).forEach((row) => {
+      removedRows.push({ row, reason: stepResult.label, values: rawData[row] });
+    });
+  });
+  
+  removedRows.sort((a, b) => a.row - b.row);
+  
+  return {
+    operations: cleaningResult.stepResults.map((stepResult) => stepResult.label),
+    counts,
+    otherChanges,
+    removedRows
   };
 }
 
@@ -204,13 +2110,55 @@ function getSampleData(data, sampleSize = AI_SAMPLE_SIZE) {
 if (typeof window !== "undefined") {
   window.DataCleaner = {
     cleanData,
+    runPipeline,
+    describeStepResult,
+    computeCellDiff,
+    buildCleaningLog,
+    profileColumns,
+    inferColumnType,
+    parseNumberLike,
+    parseBooleanLike,
+    convertColumnTypes,
+    parseDateValue,
+    excelSerialToIso,
+    isDateColumn,
+    normalizeDates,
+    findDuplicateGroups,
+    resolveDuplicateGroups,
+    fingerprint,
+    soundex,
+    levenshteinDistance,
+    parseColumnList,
+    standardizeHeaders,
+    handleErrorValues,
+    applyFormulaCells,
+    getOutputData,
+    isErrorValue,
+    applyCasing,
+    toTitleCase,
+    parseCasingExceptions,
+    parseColumnAssignments,
+    columnLetterToIndex,
+    columnIndexToLetter,
     trimWhitespace,
     normalizeCasing,
     removeDuplicateRows,
     removeEmptyRows,
     replaceEmptyCells,
+    mapValues,
     detectHeaderRow,
     getSampleData,
+    CLEANING_OPERATIONS,
+    DEFAULT_PIPELINE,
+    PIPELINE_TEMPLATE,
+    COLUMN_TYPES,
+    DUPLICATE_MATCH_MODES,
+    DUPLICATE_KEEP_STRATEGIES,
+    DEFAULT_FUZZY_THRESHOLD,
+    HEADER_STYLES,
+    CASING_MODES,
+    FORMULA_MODES,
+    ERROR_POLICIES,
     EMPTY_CELL_REPLACEMENT,
     AI_SAMPLE_SIZE
   };
@@ -220,13 +2168,55 @@ if (typeof window !== "undefined") {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     cleanData,
+    runPipeline,
+    describeStepResult,
+    computeCellDiff,
+    buildCleaningLog,
+    profileColumns,
+    inferColumnType,
+    parseNumberLike,
+    parseBooleanLike,
+    convertColumnTypes,
+    parseDateValue,
+    excelSerialToIso,
+    isDateColumn,
+    normalizeDates,
+    findDuplicateGroups,
+    resolveDuplicateGroups,
+    fingerprint,
+    soundex,
+    levenshteinDistance,
+    parseColumnList,
+    standardizeHeaders,
+    handleErrorValues,
+    applyFormulaCells,
+    getOutputData,
+    isErrorValue,
+    applyCasing,
+    toTitleCase,
+    parseCasingExceptions,
+    parseColumnAssignments,
+    columnLetterToIndex,
+    columnIndexToLetter,
     trimWhitespace,
     normalizeCasing,
     removeDuplicateRows,
     removeEmptyRows,
     replaceEmptyCells,
+    mapValues,
     detectHeaderRow,
     getSampleData,
+    CLEANING_OPERATIONS,
+    DEFAULT_PIPELINE,
+    PIPELINE_TEMPLATE,
+    COLUMN_TYPES,
+    DUPLICATE_MATCH_MODES,
+    DUPLICATE_KEEP_STRATEGIES,
+    DEFAULT_FUZZY_THRESHOLD,
+    HEADER_STYLES,
+    CASING_MODES,
+    FORMULA_MODES,
+    ERROR_POLICIES,
     EMPTY_CELL_REPLACEMENT,
     AI_SAMPLE_SIZE
   };
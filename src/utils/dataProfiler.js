@@ -0,0 +1,276 @@
+/**
+ * Data Profiler Module
+ * Provides pure functions for describing each column before cleaning: blanks, distinct
+ * values, type distribution, numeric ranges, text lengths and value patterns
+ * All functions work with 2D arrays (row-major) and have no Excel API dependencies
+ */
+
+// Number of most frequent values and patterns listed per column
+const TOP_VALUE_COUNT = 5;
+const TOP_PATTERN_COUNT = 5;
+
+// Longer values are cut off in their pattern mask so IDs and notes don't all look unique
+const MAX_PATTERN_LENGTH = 30;
+
+// Inferred types whose values have a numeric minimum, maximum and mean
+const NUMERIC_PROFILE_TYPES = ["integer", "number", "currency", "percent"];
+
+/**
+ * Column headings of the exported profile sheet, in order
+ */
+const PROFILE_SHEET_HEADERS = [
+  "Column", "Type", "Confidence", "Rows", "Blank %", "Distinct", "Top Values", "Type Distribution",
+  "Min", "Max", "Mean", "Min Length", "Max Length", "Mean Length", "Patterns"
+];
+
+/**
+ * Resolves the DataCleaner module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataCleaner exports
+ */
+function getDataCleanerForProfiler() {
+  if (typeof window !== "undefined" && window.DataCleaner) {
+    return window.DataCleaner;
+  }
+  return require("./dataCleaner");
+}
+
+/**
+ * Checks if a cell is blank (null, undefined, or a whitespace-only string)
+ * @param {any} value - The cell value
+ * @returns {boolean} True if the cell is blank
+ */
+function isBlankProfileValue(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim().length === 0);
+}
+
+/**
+ * Builds the pattern mask of a value: letters become "A", digits "9", everything else is kept
+ * "ABC-1234" becomes "AAA-9999" and "jo@x.io" becomes "AA@A.AA".
+ * @param {any} value - The cell value
+ * @returns {string} The mask, ending in "…" if the value is longer than MAX_PATTERN_LENGTH
+ */
+function getPatternMask(value) {
+  const text = String(value).trim();
+  const mask = text
+    .slice(0, MAX_PATTERN_LENGTH)
+    .replace(/\p{L}/gu, "A")
+    .replace(/\d/g, "9");
+  return text.length > MAX_PATTERN_LENGTH ? `${mask}…` : mask;
+}
+
+/**
+ * Counts values and returns the most frequent ones, ties in order of first appearance
+ * @param {Array<any>} values - The values to count
+ * @param {number} limit - Maximum number of entries returned
+ * @param {Function} keyOf - Maps a value to its counting key (default: the value as text)
+ * @returns {Object} { distinct, top } where top lists { value, count } by descending count
+ */
+function countFrequencies(values, limit, keyOf = (value) => String(value)) {
+  const counts = new Map();
+  values.forEach((value) => {
+    const key = keyOf(value);
+    const entry = counts.get(key);
+    if (entry) {
+      entry.count++;
+    } else {
+      counts.set(key, { value, count: 1 });
+    }
+  });
+  
+  // Array.prototype.sort is stable, so equal counts keep their first-seen order
+  const top = Array.from(counts.values())
+    .sort((a, b) => b.count - a.count)
+    .slice(0, limit);
+  return { distinct: counts.size, top };
+}
+
+/**
+ * Computes the minimum, maximum and mean of a list of numbers
+ * @param {Array<number>} numbers - The numbers
+ * @returns {Object|null} { min, max, mean }, or null if the list is empty
+ */
+function summarizeNumbers(numbers) {
+  if (numbers.length === 0) {
+    return null;
+  }
+  
+  let min = numbers[0];
+  let max = numbers[0];
+  let total = 0;
+  numbers.forEach((number) => {
+    min = Math.min(min, number);
+    max = Math.max(max, number);
+    total += number;
+  });
+  return { min, max, mean: total / numbers.length };
+}
+
+/**
+ * Profiles a single column
+ * Numeric statistics are given for integer, number, currency and percent columns (over the
+ * values that parse as numbers); length statistics and pattern masks for text columns.
+ * @param {Array<any>} values - The column's cell values (header excluded)
+ * @returns {Object} { rowCount, blankCount, blankPercent, distinctCount, topValues, type,
+ *   confidence, typeCounts, numeric, text } where numeric is { min, max, mean } or null and
+ *   text is { minLength, maxLength, meanLength, patterns } or null
+ */
+function profileColumn(values) {
+  const dataCleaner = getDataCleanerForProfiler();
+  const filled = values.filter((value) => !isBlankProfileValue(value));
+  const blankCount = values.length - filled.length;
+  
+  // "Apple" and "Apple " are the same value to a reader
+  const frequencies = countFrequencies(filled, TOP_VALUE_COUNT, (value) => String(value).trim());
+  const inferred = dataCleaner.inferColumnType(values);
+  
+  let numeric = null;
+  if (NUMERIC_PROFILE_TYPES.includes(inferred.type)) {
+    const numbers = filled
+      .map((value) => dataCleaner.parseNumberLike(value))
+      .filter((parsed) => parsed !== null)
+      .map((parsed) => parsed.value);
+    numeric = summarizeNumbers(numbers);
+  }
+  
+  let text = null;
+  if (inferred.type === "text" && filled.length > 0) {
+    const lengths = summarizeNumbers(filled.map((value) => String(value).trim().length));
+    text = {
+      minLength: lengths.min,
+      maxLength: lengths.max,
+      meanLength: lengths.mean,
+      patterns: countFrequencies(filled.map(getPatternMask), TOP_PATTERN_COUNT).top
+        .map(({ value, count }) => ({ pattern: value, count }))
+    };
+  }
+  
+  return {
+    rowCount: values.length,
+    blankCount,
+    blankPercent: values.length === 0 ? 0 : blankCount / values.length,
+    distinctCount: frequencies.distinct,
+    topValues: frequencies.top,
+    type: inferred.type,
+    confidence: inferred.confidence,
+    typeCounts: inferred.counts,
+    numeric,
+    text
+  };
+}
+
+/**
+ * Profiles every column under the header row
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Profiling options
+ * @param {number} options.headerRowIndex - Header row, or -1 if the data has none (default: 0)
+ * @returns {Object} { rowCount, columns } where columns holds { column, header, ...profileColumn }
+ *   for each column and rowCount is the number of rows below the header
+ */
+function profileData(data, options = {}) {
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const headerRow = headerRowIndex === -1 ? [] : data[headerRowIndex] || [];
+  const bodyRows = data.slice(headerRowIndex + 1);
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  
+  const columns = [];
+  for (let column = 0; column < columnCount; column++) {
+    const header = headerRow[column];
+    columns.push({
+      column,
+      header: isBlankProfileValue(header) ? null : String(header).trim(),
+      ...profileColumn(bodyRows.map((row) => row[column]))
+    });
+  }
+  return { rowCount: bodyRows.length, columns };
+}
+
+/**
+ * Rounds a profile statistic to at most two decimals for display
+ * @param {number} number - The number
+ * @returns {number} The rounded number
+ */
+function roundProfileNumber(number) {
+  return Math.round(number * 100) / 100;
+}
+
+/**
+ * Lists counted entries as text, e.g. 'Apple (12), Pear (3)'
+ * @param {Array<Object>} entries - Entries with a count
+ * @param {Function} labelOf - Maps an entry to its label
+ * @returns {string} The list
+ */
+function describeCounts(entries, labelOf) {
+  return entries.map((entry) => `${labelOf(entry)} (${entry.count})`).join(", ");
+}
+
+/**
+ * Describes a column's type distribution, e.g. "integer 40, text 2, empty 3"
+ * @param {Object} columnProfile - A column from profileData
+ * @returns {string} The distribution, most common type first
+ */
+function describeTypeCounts(columnProfile) {
+  const entries = Object.keys(columnProfile.typeCounts)
+    .map((type) => ({ type, count: columnProfile.typeCounts[type] }))
+    .sort((a, b) => b.count - a.count);
+  if (columnProfile.blankCount > 0) {
+    entries.push({ type: "empty", count: columnProfile.blankCount });
+  }
+  return entries.map(({ type, count }) => `${type} ${count}`).join(", ");
+}
+
+/**
+ * Lays out a profile as rows for a worksheet, one row per column under PROFILE_SHEET_HEADERS
+ * Statistics that don't apply to a column are left empty.
+ * @param {Object} profile - A profile from profileData
+ * @returns {Array<Array<any>>} 2D array starting with the heading row
+ */
+function buildProfileTable(profile) {
+  const rows = profile.columns.map((columnProfile) => {
+    const { numeric, text } = columnProfile;
+    return [
+      columnProfile.header || `Column ${columnProfile.column + 1}`,
+      columnProfile.type,
+      roundProfileNumber(columnProfile.confidence),
+      columnProfile.rowCount,
+      Math.round(columnProfile.blankPercent * 1000) / 10,
+      columnProfile.distinctCount,
+      describeCounts(columnProfile.topValues, (entry) => String(entry.value).trim()),
+      describeTypeCounts(columnProfile),
+      numeric ? numeric.min : "",
+      numeric ? numeric.max : "",
+      numeric ? roundProfileNumber(numeric.mean) : "",
+      text ? text.minLength : "",
+      text ? text.maxLength : "",
+      text ? roundProfileNumber(text.meanLength) : "",
+      text ? describeCounts(text.patterns, (entry) => entry.pattern) : ""
+    ];
+  });
+  return [PROFILE_SHEET_HEADERS.slice(), ...rows];
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.DataProfiler = {
+    profileData,
+    profileColumn,
+    getPatternMask,
+    buildProfileTable,
+    describeTypeCounts,
+    roundProfileNumber,
+    PROFILE_SHEET_HEADERS
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    profileData,
+    profileColumn,
+    getPatternMask,
+    buildProfileTable,
+    describeTypeCounts,
+    roundProfileNumber,
+    PROFILE_SHEET_HEADERS
+  };
+}
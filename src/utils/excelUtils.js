@@ -3,6 +3,48 @@
  * Provides wrapper functions for Excel JavaScript API operations
  */
 
+// Document settings key holding the metadata of the last clean's snapshot
+const SNAPSHOT_SETTING_KEY = "dataCleaner.lastSnapshot";
+
+// Name prefix of the very hidden worksheets that hold snapshot copies
+const SNAPSHOT_SHEET_PREFIX = "DataCleanerSnapshot";
+
+// Upper bound on cells highlighted at once, to keep the request payload reasonable
+const MAX_HIGHLIGHT_CELLS = 5000;
+
+// Cells whose fill is read and changed per request while highlighting
+const HIGHLIGHT_BATCH_SIZE = 500;
+
+// Audit worksheet and the two tables it holds
+const CLEANING_LOG_SHEET_NAME = "Cleaning Log";
+const CLEANING_LOG_TABLE_NAME = "CleaningLog";
+const CLEANING_LOG_DETAIL_TABLE_NAME = "CleaningLogDetail";
+
+const CLEANING_LOG_HEADERS = [
+  "Timestamp", "Sheet", "Range", "Operations", "Cells Trimmed", "Cells Recased",
+  "Duplicates Removed", "Empty Rows Removed", "Blanks Filled", "Other Changes"
+];
+const CLEANING_LOG_DETAIL_HEADERS = ["Timestamp", "Sheet", "Original Row", "Reason", "Original Values"];
+
+// What to do with rows of the original range below shorter cleaned data
+const STALE_ROW_MODES = ["clear", "delete", "leave"];
+
+// Where cleaned data is written: over the selection, to a new worksheet, or to a new worksheet as a table
+const OUTPUT_MODES = ["inPlace", "newSheet", "newTable"];
+
+// Excel's limit on worksheet name length
+const MAX_SHEET_NAME_LENGTH = 31;
+
+// Base name and style of tables created for cleaned output
+const OUTPUT_TABLE_NAME_PREFIX = "CleanedData";
+const OUTPUT_TABLE_STYLE = "TableStyleMedium2";
+
+// Upper bound on cells moved in one request, to stay well under the Office.js payload limit
+const MAX_CELLS_PER_BATCH = 20000;
+
+// Excel's maximum number of characters in a cell
+const MAX_CELL_TEXT_LENGTH = 32767;
+
 /**
  * Gets the currently selected range in Excel
  * 
@@ -27,38 +69,194 @@ async function getSelectedRange() {
 }
 
 /**
- * Reads data from the specified Excel range
+ * Gets the number of rows moved per request for a range of the given width
+ * @param {number} columnCount - Number of columns in the range
+ * @returns {number} Rows per batch (at least 1)
+ */
+function getBatchRowCount(columnCount) {
+  return Math.max(1, Math.floor(MAX_CELLS_PER_BATCH / Math.max(columnCount, 1)));
+}
+
+/**
+ * Throws an AbortError if the operation has been cancelled
+ * @param {AbortSignal} signal - Signal from the caller's AbortController (optional)
+ * @throws {Error} With name "AbortError" if the signal is aborted
+ */
+function throwIfCancelled(signal) {
+  if (signal && signal.aborted) {
+    const error = new Error("The operation was cancelled.");
+    error.name = "AbortError";
+    throw error;
+  }
+}
+
+/**
+ * Gets every area of the current selection, including non-contiguous selections (Ctrl+click)
  * 
- * Office.js Note: range.values returns a 2D array where each inner array represents a row.
- * Empty cells are returned as null. Numbers, dates, and formulas return their calculated values.
+ * Office.js Note: getSelectedRanges returns a RangeAreas object; each item of its areas
+ * collection is an ordinary contiguous range.
  * 
+ * @returns {Promise<Array<Excel.Range>>} The selected areas (proxy objects for use in Excel.run)
+ * @throws {Error} If nothing is selected
+ */
+async function getSelectedAreas() {
+  return Excel.run(async (context) => {
+    const areas = context.workbook.getSelectedRanges().areas;
+    areas.load("items/address");
+    await context.sync();
+    
+    if (areas.items.length === 0) {
+      throw new Error("No range selected. Please select a range of cells to clean.");
+    }
+    
+    return areas.items;
+  });
+}
+
+/**
+ * Gets the range of a worksheet that holds values
+ * @param {string} sheetName - The worksheet name (default: the active worksheet)
+ * @returns {Promise<Excel.Range|null>} The used range (proxy object for use in Excel.run), or null
+ *   if the worksheet holds no values
+ */
+async function getUsedRange(sheetName) {
+  return Excel.run(async (context) => {
+    const worksheets = context.workbook.worksheets;
+    const sheet = sheetName ? worksheets.getItem(sheetName) : worksheets.getActiveWorksheet();
+    const range = sheet.getUsedRangeOrNullObject(true);
+    range.load("address");
+    await context.sync();
+    
+    return range.isNullObject ? null : range;
+  });
+}
+
+/**
+ * Lists the visible worksheets that can hold data to clean (everything but the "Cleaning Log" sheet)
+ * @returns {Promise<Object>} { names, activeName } with names in tab order
+ */
+async function getDataSheetNames() {
+  return Excel.run(async (context) => {
+    const worksheets = context.workbook.worksheets;
+    const active = worksheets.getActiveWorksheet();
+    worksheets.load("items/name, items/visibility");
+    active.load("name");
+    await context.sync();
+    
+    const names = worksheets.items
+      .filter((sheet) => sheet.visibility === Excel.SheetVisibility.visible && sheet.name !== CLEANING_LOG_SHEET_NAME)
+      .map((sheet) => sheet.name);
+    return { names, activeName: active.name };
+  });
+}
+
+/**
+ * Reads 2D range properties in row batches of at most MAX_CELLS_PER_BATCH values,
+ * one context.sync per batch, so no single request exceeds the payload limit
  * @param {Excel.Range} range - The Excel range to read from (proxy object from Excel.run)
- * @returns {Promise<Array<Array<any>>>} 2D array of cell values (row-major format)
+ * @param {Array<string>} properties - Range properties to load, e.g. ["values", "formulasR1C1"]
+ * @param {Object} options - Read options (see readRangeData)
+ * @returns {Promise<Object>} Property name to 2D array
+ * @throws {Error} With name "AbortError" if the read is cancelled
  */
-async function readRangeData(range) {
+async function readRangeBatches(range, properties, options = {}) {
   return Excel.run(async (context) => {
-    range.load("values");
+    range.load("rowCount, columnCount");
     await context.sync();
     
-    // Convert to plain JavaScript array
-    // Note: range.values is already a plain JS array after context.sync()
-    const values = range.values;
-    return values;
+    const totalRows = range.rowCount;
+    const batchRows = getBatchRowCount(range.columnCount * properties.length);
+    const result = {};
+    properties.forEach((property) => {
+      result[property] = [];
+    });
+    
+    for (let start = 0; start < totalRows; start += batchRows) {
+      throwIfCancelled(options.signal);
+      
+      const batch = range.getRow(start).getResizedRange(Math.min(batchRows, totalRows - start) - 1, 0);
+      batch.load(properties.join(", "));
+      await context.sync();
+      
+      properties.forEach((property) => {
+        batch[property].forEach((row) => result[property].push(row));
+      });
+      if (options.onProgress) {
+        options.onProgress(Math.min(start + batchRows, totalRows), totalRows);
+      }
+    }
+    
+    return result;
   });
 }
 
+/**
+ * Reads data from the specified Excel range
+ * 
+ * Office.js Note: range.values returns a 2D array where each inner array represents a row.
+ * Empty cells are returned as null. Numbers, dates, and formulas return their calculated values.
+ * Large ranges are read in row batches (see readRangeBatches).
+ * 
+ * @param {Excel.Range} range - The Excel range to read from (proxy object from Excel.run)
+ * @param {Object} options - Read options
+ * @param {Function} options.onProgress - Called with (rowsRead, totalRows) after each batch
+ * @param {AbortSignal} options.signal - Stops the read between batches when aborted
+ * @returns {Promise<Array<Array<any>>>} 2D array of cell values (row-major format)
+ * @throws {Error} With name "AbortError" if the read is cancelled
+ */
+async function readRangeData(range, options = {}) {
+  const { values } = await readRangeBatches(range, ["values"], options);
+  return values;
+}
+
+/**
+ * Reads values together with formulas and value types from the specified Excel range
+ * 
+ * Office.js Note: formulasR1C1 holds the formula of formula cells and the constant of
+ * every other cell. R1C1 notation keeps relative references correct when a row moves,
+ * e.g. after rows above it were removed. valueTypes is "Error" for cells showing
+ * #N/A, #DIV/0! and the like.
+ * 
+ * @param {Excel.Range} range - The Excel range to read from (proxy object from Excel.run)
+ * @param {Object} options - Read options (see readRangeData)
+ * @returns {Promise<Object>} { values, formulas, valueTypes } 2D arrays; formulas are in R1C1 notation
+ * @throws {Error} With name "AbortError" if the read is cancelled
+ */
+async function readRangeDetails(range, options = {}) {
+  const result = await readRangeBatches(range, ["values", "formulasR1C1", "valueTypes"], options);
+  return { values: result.values, formulas: result.formulasR1C1, valueTypes: result.valueTypes };
+}
+
 /**
  * Writes data to the specified Excel range
  * 
  * Office.js Note: Automatically resizes the range to match data dimensions.
  * The range proxy object can be used across different Excel.run contexts.
+ * Large data is written in row batches of at most MAX_CELLS_PER_BATCH cells; a cancelled
+ * write leaves the batches already written in place.
+ * 
+ * When the data has fewer rows than the range, the leftover rows at the bottom are
+ * cleared, deleted (shifting the cells below up) or left as they are. Deleted cells are
+ * recorded on the range's snapshot, so restoreRangeSnapshot can make room for them again.
  * 
  * @param {Excel.Range} range - The Excel range to write to (proxy object from Excel.run)
  * @param {Array<Array<any>>} data - 2D array of values to write (row-major format)
- * @throws {Error} If data is empty or invalid
+ * @param {Object} options - Write options
+ * @param {string} options.staleRows - One of STALE_ROW_MODES (default: "leave")
+ * @param {boolean} options.formulas - Data holds R1C1 formulas (from DataCleaner.applyFormulaCells);
+ *   write it through formulasR1C1 instead of values (default: false)
+ * @param {Function} options.onProgress - Called with (rowsWritten, totalRows) after each batch
+ * @param {AbortSignal} options.signal - Stops the write between batches when aborted
+ * @returns {Promise<Excel.Range>} The range now holding the data (proxy object for use in Excel.run)
+ * @throws {Error} If data is empty or invalid, or with name "AbortError" if the write is cancelled
  */
-async function writeRangeData(range, data) {
-  return Excel.run(async (context) => {
+async function writeRangeData(range, data, options = {}) {
+  const staleRows = options.staleRows || "leave";
+  if (!STALE_ROW_MODES.includes(staleRows)) {
+    throw new Error(`Unknown option for leftover rows: "${staleRows}".`);
+  }
+  
+  const { writtenRange, deletedCells } = await Excel.run(async (context) => {
     // Resize range if needed to match data dimensions
     const rowCount = data.length;
     const colCount = data.length > 0 ? data[0].length : 0;
@@ -67,15 +265,60 @@ async function writeRangeData(range, data) {
       throw new Error("Cannot write empty data to Excel range.");
     }
     
-    // Get the starting cell of the range and resize to match data
+    // Get the starting cell of the range and resize each batch to match data
     // Note: getResizedRange parameters are relative offsets, not absolute sizes
     const startCell = range.getCell(0, 0);
-    const newRange = startCell.getResizedRange(rowCount - 1, colCount - 1);
+    const batchRows = getBatchRowCount(colCount);
     
-    // Write the data (Office.js automatically handles type conversion)
-    newRange.values = data;
+    for (let start = 0; start < rowCount; start += batchRows) {
+      throwIfCancelled(options.signal);
+      
+      const rows = data.slice(start, start + batchRows);
+      const batch = startCell.getOffsetRange(start, 0).getResizedRange(rows.length - 1, colCount - 1);
+      
+      // Write the data (Office.js automatically handles type conversion)
+      if (options.formulas) {
+        batch.formulasR1C1 = rows;
+      } else {
+        batch.values = rows;
+      }
+      await context.sync();
+      
+      if (options.onProgress) {
+        options.onProgress(start + rows.length, rowCount);
+      }
+    }
+    
+    range.load("rowCount");
+    range.worksheet.load("name");
     await context.sync();
+    
+    let deleted = null;
+    const staleRowCount = range.rowCount - rowCount;
+    if (staleRowCount > 0 && staleRows !== "leave") {
+      const stale = startCell.getOffsetRange(rowCount, 0).getResizedRange(staleRowCount - 1, colCount - 1);
+      stale.load("address");
+      
+      if (staleRows === "clear") {
+        stale.clear(Excel.ClearApplyTo.contents);
+      } else {
+        await context.sync();
+        deleted = { sheetName: range.worksheet.name, address: getLocalAddress(stale.address) };
+        stale.delete(Excel.DeleteShiftDirection.up);
+      }
+      await context.sync();
+    }
+    
+    return {
+      writtenRange: startCell.getResizedRange(rowCount - 1, colCount - 1),
+      deletedCells: deleted
+    };
   });
+  
+  if (deletedCells) {
+    await recordDeletedCells(deletedCells.sheetName, deletedCells.address);
+  }
+  return writtenRange;
 }
 
 /**
@@ -97,6 +340,73 @@ async function formatHeaderRow(range, headerRowIndex = 0) {
   });
 }
 
+/**
+ * Adds a worksheet for cleaned output, named after the source sheet (e.g. "Sales Cleaned")
+ * A number is added when the name is taken, and the name is shortened to fit Excel's limit.
+ * @param {Excel.Range} range - The source range (proxy object from Excel.run)
+ * @param {Object} options - Sheet options
+ * @param {string} options.suffix - Word added to the source sheet name (default: "Cleaned")
+ * @returns {Promise<Object>} { sheetName, range } where range is cell A1 of the new sheet
+ */
+async function createOutputSheet(range, options = {}) {
+  const label = options.suffix || "Cleaned";
+  
+  return Excel.run(async (context) => {
+    range.worksheet.load("name, position");
+    const worksheets = context.workbook.worksheets;
+    worksheets.load("items/name");
+    await context.sync();
+    
+    const taken = new Set(worksheets.items.map((sheet) => sheet.name.toLowerCase()));
+    let sheetName = "";
+    for (let attempt = 1; !sheetName || taken.has(sheetName.toLowerCase()); attempt++) {
+      const suffix = attempt === 1 ? ` ${label}` : ` ${label} ${attempt}`;
+      sheetName = range.worksheet.name.slice(0, MAX_SHEET_NAME_LENGTH - suffix.length) + suffix;
+    }
+    
+    const sheet = worksheets.add(sheetName);
+    sheet.position = range.worksheet.position + 1;
+    await context.sync();
+    
+    return { sheetName, range: sheet.getRange("A1") };
+  });
+}
+
+/**
+ * Turns written output into a formatted Excel table with a generated name (CleanedData, CleanedData2, ...)
+ * 
+ * Office.js Note: when the data has no header row, tables.add generates "Column1", "Column2", ...
+ * headers and shifts the data down one row.
+ * 
+ * @param {Excel.Range} range - The range holding the output (proxy object from Excel.run)
+ * @param {number} headerRowIndex - Zero-based index of the header row, or -1 if the data has none;
+ *   rows above the header stay outside the table
+ * @returns {Promise<string>} The table name
+ */
+async function createOutputTable(range, headerRowIndex) {
+  return Excel.run(async (context) => {
+    range.load("rowCount");
+    const tables = context.workbook.tables;
+    tables.load("items/name");
+    await context.sync();
+    
+    const taken = new Set(tables.items.map((table) => table.name.toLowerCase()));
+    let name = OUTPUT_TABLE_NAME_PREFIX;
+    for (let attempt = 2; taken.has(name.toLowerCase()); attempt++) {
+      name = `${OUTPUT_TABLE_NAME_PREFIX}${attempt}`;
+    }
+    
+    const firstRow = Math.max(headerRowIndex, 0);
+    const tableRange = range.getRow(firstRow).getResizedRange(range.rowCount - firstRow - 1, 0);
+    const table = range.worksheet.tables.add(tableRange, headerRowIndex !== -1);
+    table.name = name;
+    table.style = OUTPUT_TABLE_STYLE;
+    await context.sync();
+    
+    return name;
+  });
+}
+
 /**
  * Auto-fits columns in the specified range to fit their content
  * 
@@ -122,6 +432,34 @@ async function autoFitColumns(range) {
   });
 }
 
+/**
+ * Applies number formats to whole data columns below the header row
+ * 
+ * Office.js Note: assigning a single value to numberFormat applies it to every cell in the range.
+ * 
+ * @param {Excel.Range} range - The Excel range containing the data (proxy object from Excel.run)
+ * @param {Object} columnFormats - Column index (zero-based) to Excel number format
+ * @param {number} headerRowIndex - Zero-based index of the header row; formats start below it
+ * @param {number} rowCount - Number of data rows written to the range
+ */
+async function applyColumnFormats(range, columnFormats, headerRowIndex, rowCount) {
+  const firstRow = headerRowIndex + 1;
+  const columns = Object.keys(columnFormats);
+  
+  if (columns.length === 0 || firstRow >= rowCount) {
+    return;
+  }
+  
+  return Excel.run(async (context) => {
+    columns.forEach((column) => {
+      const cells = range.getCell(firstRow, Number(column)).getResizedRange(rowCount - firstRow - 1, 0);
+      cells.numberFormat = columnFormats[column];
+    });
+    
+    await context.sync();
+  });
+}
+
 /**
  * Gets the address of a range as a string
  * @param {Excel.Range} range - The Excel range
@@ -135,16 +473,556 @@ async function getRangeAddress(range) {
   });
 }
 
+/**
+ * Reads a value from the document settings (stored inside the workbook)
+ * @param {string} key - Setting name
+ * @param {any} defaultValue - Value returned when the setting is not present
+ * @returns {any} The stored value, or defaultValue
+ */
+function getDocumentSetting(key, defaultValue = null) {
+  const value = Office.context.document.settings.get(key);
+  return value === null || value === undefined ? defaultValue : value;
+}
+
+/**
+ * Writes a value to the document settings and persists them in the workbook
+ * 
+ * Office.js Note: settings.set only changes the in-memory copy; saveAsync is
+ * required for the value to survive closing the document. saveAsync writes the whole
+ * copy, so it is reloaded first to keep what the ribbon commands saved meanwhile.
+ * 
+ * @param {string} key - Setting name
+ * @param {any} value - JSON-serializable value, or null to remove the setting
+ * @returns {Promise<void>}
+ */
+async function saveDocumentSetting(key, value) {
+  await refreshDocumentSettings();
+  const settings = Office.context.document.settings;
+  
+  if (value === null || value === undefined) {
+    settings.remove(key);
+  } else {
+    settings.set(key, value);
+  }
+  
+  return new Promise((resolve, reject) => {
+    settings.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error(`Could not save document settings: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Reloads the document settings from the workbook
+ * 
+ * Office.js Note: each runtime keeps its own in-memory copy of the settings, loaded when it
+ * starts. The ribbon commands run apart from the task pane, so each side reloads before
+ * reading what the other may have saved since.
+ * 
+ * @returns {Promise<void>}
+ */
+function refreshDocumentSettings() {
+  return new Promise((resolve, reject) => {
+    Office.context.document.settings.refreshAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error(`Could not read document settings: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Reads a value from the current user's settings, which follow the user rather than the workbook
+ * 
+ * Office.js Note: roamingSettings only exist in Outlook, so other hosts fall back to the
+ * task pane's localStorage, which is kept per user and per computer.
+ * 
+ * @param {string} key - Setting name
+ * @param {any} defaultValue - Value returned when the setting is not present
+ * @returns {any} The stored value, or defaultValue
+ */
+function getUserSetting(key, defaultValue = null) {
+  const roamingSettings = Office.context.roamingSettings;
+  if (roamingSettings) {
+    const value = roamingSettings.get(key);
+    return value === null || value === undefined ? defaultValue : value;
+  }
+  
+  const stored = window.localStorage.getItem(key);
+  if (stored === null) {
+    return defaultValue;
+  }
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn(`Ignoring unreadable user setting "${key}":`, error);
+    return defaultValue;
+  }
+}
+
+/**
+ * Writes a value to the current user's settings (see getUserSetting)
+ * @param {string} key - Setting name
+ * @param {any} value - JSON-serializable value, or null to remove the setting
+ * @returns {Promise<void>}
+ */
+function saveUserSetting(key, value) {
+  const roamingSettings = Office.context.roamingSettings;
+  if (!roamingSettings) {
+    if (value === null || value === undefined) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, JSON.stringify(value));
+    }
+    return Promise.resolve();
+  }
+  
+  if (value === null || value === undefined) {
+    roamingSettings.remove(key);
+  } else {
+    roamingSettings.set(key, value);
+  }
+  return new Promise((resolve, reject) => {
+    roamingSettings.saveAsync((result) => {
+      if (result.status === Office.AsyncResultStatus.Succeeded) {
+        resolve();
+      } else {
+        reject(new Error(`Could not save user settings: ${result.error.message}`));
+      }
+    });
+  });
+}
+
+/**
+ * Removes the address part's sheet prefix (e.g. "'My Sheet'!A1:C10" -> "A1:C10")
+ * @param {string} address - A range address, optionally sheet-qualified
+ * @returns {string} The address without the sheet name
+ */
+function getLocalAddress(address) {
+  return address.split("!").pop();
+}
+
+/**
+ * Takes a snapshot of a range before it is overwritten
+ * 
+ * The range is copied with values, formulas and formatting to a very hidden worksheet,
+ * at the same address so relative formula references survive the round trip.
+ * The snapshot metadata is kept in the document settings, so the snapshot lives in
+ * the workbook and survives closing and reopening it.
+ * 
+ * @param {Excel.Range} range - The range about to be overwritten (proxy object from Excel.run)
+ * @param {Object} options - Snapshot options
+ * @param {boolean} options.append - Add to the current snapshot instead of replacing it (default: false)
+ * @returns {Promise<Object>} The snapshot entry ({ sheetName, address, snapshotSheetName, columnWidths },
+ *   plus deletedAddress once writeRangeData deletes leftover rows)
+ */
+async function saveRangeSnapshot(range, options = {}) {
+  // The snapshot being replaced may have been saved by the ribbon commands or the task pane
+  await refreshDocumentSettings();
+  const previous = getDocumentSetting(SNAPSHOT_SETTING_KEY);
+  const keepPrevious = options.append && previous;
+  
+  if (previous && !keepPrevious) {
+    await deleteSnapshotSheets(previous);
+  }
+  
+  const entry = await Excel.run(async (context) => {
+    range.load("address, columnCount");
+    range.worksheet.load("name");
+    await context.sync();
+    
+    // Remember column widths, since auto-fit changes them after the write
+    const columns = [];
+    for (let i = 0; i < range.columnCount; i++) {
+      const column = range.getColumn(i);
+      column.format.load("columnWidth");
+      columns.push(column);
+    }
+    
+    const entryIndex = keepPrevious ? previous.entries.length : 0;
+    const snapshotSheetName = `${SNAPSHOT_SHEET_PREFIX}${Date.now()}_${entryIndex}`;
+    const localAddress = getLocalAddress(range.address);
+    
+    const snapshotSheet = context.workbook.worksheets.add(snapshotSheetName);
+    snapshotSheet.visibility = Excel.SheetVisibility.veryHidden;
+    snapshotSheet.getRange(localAddress).copyFrom(range, Excel.RangeCopyType.all);
+    await context.sync();
+    
+    return {
+      sheetName: range.worksheet.name,
+      address: localAddress,
+      snapshotSheetName,
+      columnWidths: columns.map((column) => column.format.columnWidth)
+    };
+  });
+  
+  const snapshot = keepPrevious
+    ? { ...previous, entries: previous.entries.concat(entry) }
+    : { createdAt: new Date().toISOString(), entries: [entry] };
+  
+  await saveDocumentSetting(SNAPSHOT_SETTING_KEY, snapshot);
+  return entry;
+}
+
+/**
+ * Notes on the snapshot entry covering a deleted block of cells, so restoring re-inserts it
+ * @param {string} sheetName - The worksheet the cells were deleted from
+ * @param {string} address - Local address of the deleted cells
+ */
+async function recordDeletedCells(sheetName, address) {
+  const snapshot = getDocumentSetting(SNAPSHOT_SETTING_KEY);
+  if (!snapshot || !snapshot.entries) {
+    return;
+  }
+  
+  // The deleted block is the bottom of the snapshotted range: same sheet, same last row
+  const lastRow = (localAddress) => localAddress.split(":").pop().replace(/\D/g, "");
+  const entry = snapshot.entries
+    .slice()
+    .reverse()
+    .find((candidate) => candidate.sheetName === sheetName && lastRow(candidate.address) === lastRow(address));
+  
+  if (entry) {
+    entry.deletedAddress = address;
+    await saveDocumentSetting(SNAPSHOT_SETTING_KEY, snapshot);
+  }
+}
+
+/**
+ * Records a worksheet created for cleaned output as the last clean's snapshot
+ * The source data was not touched, so restoring means deleting the created sheet.
+ * @param {string} sheetName - Name of the created worksheet
+ * @param {Object} options - Snapshot options
+ * @param {boolean} options.append - Add to the current snapshot instead of replacing it (default: false)
+ */
+async function recordCreatedSheet(sheetName, options = {}) {
+  await refreshDocumentSettings();
+  const previous = getDocumentSetting(SNAPSHOT_SETTING_KEY);
+  if (options.append && previous) {
+    await saveDocumentSetting(SNAPSHOT_SETTING_KEY, {
+      ...previous,
+      createdSheets: (previous.createdSheets || []).concat(sheetName)
+    });
+    return;
+  }
+  
+  if (previous) {
+    await deleteSnapshotSheets(previous);
+  }
+  
+  await saveDocumentSetting(SNAPSHOT_SETTING_KEY, {
+    createdAt: new Date().toISOString(),
+    entries: [],
+    createdSheets: [sheetName]
+  });
+}
+
+/**
+ * Checks whether a snapshot from the last clean is available to restore
+ * @returns {boolean} True if a snapshot exists in this document
+ */
+function hasRangeSnapshot() {
+  const snapshot = getDocumentSetting(SNAPSHOT_SETTING_KEY);
+  return Boolean(snapshot && (
+    (snapshot.entries && snapshot.entries.length > 0) ||
+    (snapshot.createdSheets && snapshot.createdSheets.length > 0)
+  ));
+}
+
+/**
+ * Restores every range captured by the last snapshot, then discards the snapshot
+ * Worksheets created for cleaned output are deleted instead.
+ * 
+ * Office.js Note: copyFrom with RangeCopyType.all brings back values, formulas and
+ * formatting in one operation, including rows that cleaning removed.
+ * 
+ * @returns {Promise<Array<string>>} Sheet-qualified addresses of the restored ranges,
+ *   and "Name (removed)" for each deleted output sheet
+ * @throws {Error} If there is no snapshot, or the source worksheet no longer exists
+ */
+async function restoreRangeSnapshot() {
+  if (!hasRangeSnapshot()) {
+    throw new Error("There is no snapshot to restore.");
+  }
+  const snapshot = getDocumentSetting(SNAPSHOT_SETTING_KEY);
+  
+  const restored = await Excel.run(async (context) => {
+    const worksheets = context.workbook.worksheets;
+    const addresses = [];
+    
+    const createdSheets = (snapshot.createdSheets || []).map((name) => worksheets.getItemOrNullObject(name));
+    await context.sync();
+    createdSheets.forEach((sheet, index) => {
+      if (!sheet.isNullObject) {
+        sheet.delete();
+        addresses.push(`${snapshot.createdSheets[index]} (removed)`);
+      }
+    });
+    
+    // Restore in reverse order so overlapping targets end up as they were first captured
+    for (const entry of snapshot.entries.slice().reverse()) {
+      const targetSheet = worksheets.getItemOrNullObject(entry.sheetName);
+      const snapshotSheet = worksheets.getItemOrNullObject(entry.snapshotSheetName);
+      await context.sync();
+      
+      if (targetSheet.isNullObject) {
+        throw new Error(`Worksheet "${entry.sheetName}" no longer exists.`);
+      }
+      if (snapshotSheet.isNullObject) {
+        throw new Error(`Snapshot for ${entry.sheetName}!${entry.address} is missing from the workbook.`);
+      }
+      
+      // Cells deleted after the write shifted everything below up; push it back down first
+      if (entry.deletedAddress) {
+        targetSheet.getRange(entry.deletedAddress).insert(Excel.InsertShiftDirection.down);
+      }
+      
+      const target = targetSheet.getRange(entry.address);
+      target.copyFrom(snapshotSheet.getRange(entry.address), Excel.RangeCopyType.all);
+      
+      entry.columnWidths.forEach((width, index) => {
+        target.getColumn(index).format.columnWidth = width;
+      });
+      
+      addresses.push(`${entry.sheetName}!${entry.address}`);
+    }
+    
+    await context.sync();
+    return addresses.reverse();
+  });
+  
+  await deleteSnapshotSheets(snapshot);
+  await saveDocumentSetting(SNAPSHOT_SETTING_KEY, null);
+  return restored;
+}
+
+/**
+ * Deletes the hidden worksheets that hold a snapshot's copies
+ * @param {Object} snapshot - Snapshot metadata from the document settings
+ */
+async function deleteSnapshotSheets(snapshot) {
+  return Excel.run(async (context) => {
+    const sheets = snapshot.entries.map((entry) =>
+      context.workbook.worksheets.getItemOrNullObject(entry.snapshotSheetName)
+    );
+    await context.sync();
+    
+    sheets.forEach((sheet) => {
+      if (!sheet.isNullObject) {
+        // Very hidden sheets must be made visible before they can be deleted
+        sheet.visibility = Excel.SheetVisibility.visible;
+        sheet.delete();
+      }
+    });
+    
+    await context.sync();
+  });
+}
+
+/**
+ * Applies temporary fill colors to individual cells of a range
+ * 
+ * Office.js Note: only the fills of the highlighted cells are read, HIGHLIGHT_BATCH_SIZE
+ * cells per round trip, so they can be put back by clearHighlights afterwards. Reading the
+ * fills of a whole large range would exceed the response size limit.
+ * 
+ * @param {Excel.Range} range - The range the cell coordinates refer to (proxy object from Excel.run)
+ * @param {Array<Object>} cells - { row, column, color } with zero-based offsets into the range
+ * @returns {Promise<Array<Object>>} The previous fills ({ row, column, color, pattern }), for clearHighlights
+ * @throws {Error} If more than MAX_HIGHLIGHT_CELLS cells are requested
+ */
+async function highlightCells(range, cells) {
+  if (cells.length > MAX_HIGHLIGHT_CELLS) {
+    throw new Error(`Too many cells to highlight (${cells.length}). The limit is ${MAX_HIGHLIGHT_CELLS}.`);
+  }
+  
+  return Excel.run(async (context) => {
+    const previousFills = [];
+    
+    for (let start = 0; start < cells.length; start += HIGHLIGHT_BATCH_SIZE) {
+      const batch = cells.slice(start, start + HIGHLIGHT_BATCH_SIZE);
+      const fills = batch.map(({ row, column }) => {
+        const fill = range.getCell(row, column).format.fill;
+        fill.load("color, pattern");
+        return fill;
+      });
+      await context.sync();
+      
+      batch.forEach(({ row, column, color }, index) => {
+        previousFills.push({ row, column, color: fills[index].color, pattern: fills[index].pattern });
+        fills[index].color = color;
+      });
+      await context.sync();
+    }
+    
+    return previousFills;
+  });
+}
+
+/**
+ * Puts back the fills saved by highlightCells
+ * @param {Excel.Range} range - The range passed to highlightCells (proxy object from Excel.run)
+ * @param {Array<Object>} previousFills - The value returned by highlightCells
+ */
+async function clearHighlights(range, previousFills) {
+  return Excel.run(async (context) => {
+    for (let start = 0; start < previousFills.length; start += HIGHLIGHT_BATCH_SIZE) {
+      previousFills.slice(start, start + HIGHLIGHT_BATCH_SIZE).forEach(({ row, column, color, pattern }) => {
+        const fill = range.getCell(row, column).format.fill;
+        if (pattern === "None" || !color) {
+          fill.clear();
+        } else {
+          fill.color = color;
+        }
+      });
+      await context.sync();
+    }
+  });
+}
+
+/**
+ * Selects a single cell of a range, scrolling it into view
+ * @param {Excel.Range} range - The range the coordinates refer to (proxy object from Excel.run)
+ * @param {number} row - Zero-based row offset into the range
+ * @param {number} column - Zero-based column offset into the range
+ */
+async function selectCell(range, row, column) {
+  return Excel.run(async (context) => {
+    range.getCell(row, column).select();
+    await context.sync();
+  });
+}
+
+/**
+ * Gets a table by name, creating it with the given headers if it doesn't exist
+ * @param {Excel.RequestContext} context - The current request context
+ * @param {Excel.Worksheet} sheet - Worksheet to create the table on
+ * @param {string} name - Table name
+ * @param {Array<string>} headers - Header row of the table
+ * @param {string} startCell - Top-left cell of a new table (e.g. "A1")
+ * @returns {Promise<Excel.Table>} The table
+ */
+async function getOrCreateTable(context, sheet, name, headers, startCell) {
+  const existing = context.workbook.tables.getItemOrNullObject(name);
+  await context.sync();
+  
+  if (!existing.isNullObject) {
+    return existing;
+  }
+  
+  const headerRange = sheet.getRange(startCell).getResizedRange(0, headers.length - 1);
+  headerRange.values = [headers];
+  
+  const table = sheet.tables.add(headerRange, true);
+  table.name = name;
+  return table;
+}
+
+/**
+ * Appends a cleaning run to the "Cleaning Log" worksheet
+ * 
+ * The worksheet holds two tables: one summary row per run, and a detail table listing
+ * every removed row with its original sheet row number. Both are Excel tables, so rows
+ * are appended without overwriting earlier runs. Detail rows are added in batches of at
+ * most MAX_CELLS_PER_BATCH cells.
+ * 
+ * @param {Excel.Range} range - The range that was cleaned (proxy object from Excel.run)
+ * @param {Object} log - Audit record from DataCleaner.buildCleaningLog
+ * @param {string} timestamp - ISO timestamp of the run
+ */
+async function appendCleaningLog(range, log, timestamp) {
+  return Excel.run(async (context) => {
+    range.load("address, rowIndex");
+    range.worksheet.load("name");
+    
+    let sheet = context.workbook.worksheets.getItemOrNullObject(CLEANING_LOG_SHEET_NAME);
+    await context.sync();
+    
+    if (sheet.isNullObject) {
+      sheet = context.workbook.worksheets.add(CLEANING_LOG_SHEET_NAME);
+    }
+    
+    const summaryTable = await getOrCreateTable(
+      context, sheet, CLEANING_LOG_TABLE_NAME, CLEANING_LOG_HEADERS, "A1"
+    );
+    const detailTable = await getOrCreateTable(
+      context, sheet, CLEANING_LOG_DETAIL_TABLE_NAME, CLEANING_LOG_DETAIL_HEADERS, "L1"
+    );
+    
+    const sheetName = range.worksheet.name;
+    const { counts } = log;
+    
+    summaryTable.rows.add(null, [[
+      timestamp,
+      sheetName,
+      getLocalAddress(range.address),
+      log.operations.join(", "),
+      counts.cellsTrimmed,
+      counts.cellsRecased,
+      counts.duplicatesRemoved,
+      counts.emptyRowsRemoved,
+      counts.blanksFilled,
+      log.otherChanges.join("; ")
+    ]]);
+    
+    await context.sync();
+    
+    const detailRows = log.removedRows.map(({ row, reason, values }) => [
+      timestamp,
+      sheetName,
+      range.rowIndex + row + 1,
+      reason,
+      values.map((value) => (value === null || value === undefined ? "" : String(value)))
+        .join(" | ")
+        .slice(0, MAX_CELL_TEXT_LENGTH)
+    ]);
+    const batchRows = getBatchRowCount(CLEANING_LOG_DETAIL_HEADERS.length);
+    for (let start = 0; start < detailRows.length; start += batchRows) {
+      detailTable.rows.add(null, detailRows.slice(start, start + batchRows));
+      await context.sync();
+    }
+  });
+}
+
 // Export functions for use in other modules
 // Browser environment: attach to window object
 if (typeof window !== "undefined") {
   window.ExcelUtils = {
     getSelectedRange,
+    getSelectedAreas,
+    getUsedRange,
+    getDataSheetNames,
     readRangeData,
+    readRangeDetails,
     writeRangeData,
     formatHeaderRow,
     autoFitColumns,
-    getRangeAddress
+    applyColumnFormats,
+    getRangeAddress,
+    getDocumentSetting,
+    saveDocumentSetting,
+    refreshDocumentSettings,
+    getUserSetting,
+    saveUserSetting,
+    saveRangeSnapshot,
+    hasRangeSnapshot,
+    restoreRangeSnapshot,
+    highlightCells,
+    clearHighlights,
+    selectCell,
+    createOutputSheet,
+    createOutputTable,
+    recordCreatedSheet,
+    appendCleaningLog,
+    MAX_HIGHLIGHT_CELLS,
+    STALE_ROW_MODES,
+    OUTPUT_MODES
   };
 }
 
@@ -152,10 +1030,33 @@ if (typeof window !== "undefined") {
 if (typeof module !== "undefined" && module.exports) {
   module.exports = {
     getSelectedRange,
+    getSelectedAreas,
+    getUsedRange,
+    getDataSheetNames,
     readRangeData,
+    readRangeDetails,
     writeRangeData,
     formatHeaderRow,
     autoFitColumns,
-    getRangeAddress
+    applyColumnFormats,
+    getRangeAddress,
+    getDocumentSetting,
+    saveDocumentSetting,
+    refreshDocumentSettings,
+    getUserSetting,
+    saveUserSetting,
+    saveRangeSnapshot,
+    hasRangeSnapshot,
+    restoreRangeSnapshot,
+    highlightCells,
+    clearHighlights,
+    selectCell,
+    createOutputSheet,
+    createOutputTable,
+    recordCreatedSheet,
+    appendCleaningLog,
+    MAX_HIGHLIGHT_CELLS,
+    STALE_ROW_MODES,
+    OUTPUT_MODES
   };
 }
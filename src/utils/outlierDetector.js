@@ -0,0 +1,276 @@
+/**
+ * Outlier Detector Module
+ * Provides pure functions for finding unusual values in numeric and date columns
+ * Every row is checked locally and deterministically; nothing here changes the data
+ * All functions work with 2D arrays (row-major) and have no Excel API dependencies
+ */
+
+/**
+ * Supported detection methods, with the label and default threshold shown in the task pane
+ * - zScore: distance from the mean in standard deviations
+ * - modifiedZScore: distance from the median in median absolute deviations (robust to the outliers themselves)
+ * - iqr: distance beyond the quartiles in interquartile ranges (Tukey's fences)
+ */
+const OUTLIER_METHODS = {
+  zScore: { label: "Z-score", defaultThreshold: 3 },
+  modifiedZScore: { label: "Modified z-score (median)", defaultThreshold: 3.5 },
+  iqr: { label: "Interquartile range (IQR)", defaultThreshold: 1.5 }
+};
+
+// Inferred column types whose values are compared as numbers
+const OUTLIER_NUMERIC_TYPES = ["integer", "number", "currency", "percent"];
+
+// Fewer values than this don't say what "usual" is
+const MIN_OUTLIER_SAMPLE = 4;
+
+// Scales the median absolute deviation to a standard deviation for normal data (Iglewicz and Hoaglin)
+const MODIFIED_Z_SCALE = 0.6745;
+
+// Scales the mean absolute deviation when more than half the values are equal and the MAD is zero
+const MEAN_ABSOLUTE_DEVIATION_SCALE = 1.253314;
+
+// Interquartile range of normal data in standard deviations, for when the quartiles are equal
+const NORMAL_IQR_SCALE = 1.349;
+
+/**
+ * Resolves the DataCleaner module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataCleaner exports
+ */
+function getDataCleanerForOutliers() {
+  if (typeof window !== "undefined" && window.DataCleaner) {
+    return window.DataCleaner;
+  }
+  return require("./dataCleaner");
+}
+
+/**
+ * Computes a quantile of sorted numbers by linear interpolation
+ * @param {Array<number>} sorted - Numbers in ascending order
+ * @param {number} fraction - The quantile (0-1)
+ * @returns {number} The quantile
+ */
+function quantile(sorted, fraction) {
+  const position = (sorted.length - 1) * fraction;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+/**
+ * Computes the mean distance of numbers from a center value
+ * @param {Array<number>} numbers - The numbers
+ * @param {number} center - The value distances are measured from
+ * @returns {number} The mean absolute deviation
+ */
+function meanAbsoluteDeviation(numbers, center) {
+  return numbers.reduce((total, number) => total + Math.abs(number - center), 0) / numbers.length;
+}
+
+/**
+ * Builds a scoring function for one column's numbers
+ * @param {Array<number>} numbers - The column's numbers
+ * @param {string} method - One of the OUTLIER_METHODS keys
+ * @param {number} threshold - Scores above this are outliers
+ * @returns {Object|null} { stats, score } where score(x) returns { score, direction } for an
+ *   outlier or null for a usual value; null if the column doesn't vary enough to score
+ */
+function createOutlierScorer(numbers, method, threshold) {
+  const sorted = numbers.slice().sort((a, b) => a - b);
+  const mean = numbers.reduce((total, number) => total + number, 0) / numbers.length;
+  const median = quantile(sorted, 0.5);
+  const direction = (x, center) => (x > center ? "high" : "low");
+  
+  switch (method) {
+    case "zScore": {
+      const variance = numbers.reduce((total, number) => total + (number - mean) ** 2, 0) / numbers.length;
+      const deviation = Math.sqrt(variance);
+      if (deviation === 0) {
+        return null;
+      }
+      return {
+        stats: { mean, deviation },
+        score: (x) => {
+          const score = Math.abs(x - mean) / deviation;
+          return score > threshold ? { score, direction: direction(x, mean) } : null;
+        }
+      };
+    }
+    
+    case "modifiedZScore": {
+      const absoluteDeviations = numbers.map((number) => Math.abs(number - median)).sort((a, b) => a - b);
+      const mad = quantile(absoluteDeviations, 0.5);
+      const scale = mad > 0 ? mad / MODIFIED_Z_SCALE : meanAbsoluteDeviation(numbers, median) * MEAN_ABSOLUTE_DEVIATION_SCALE;
+      if (scale === 0) {
+        return null;
+      }
+      return {
+        stats: { median, mad },
+        score: (x) => {
+          const score = Math.abs(x - median) / scale;
+          return score > threshold ? { score, direction: direction(x, median) } : null;
+        }
+      };
+    }
+    
+    case "iqr": {
+      const q1 = quantile(sorted, 0.25);
+      const q3 = quantile(sorted, 0.75);
+      // When the middle half of the values are equal, estimate the IQR from the mean absolute
+      // deviation instead, as the modified z-score does for a zero MAD
+      const range = q3 > q1
+        ? q3 - q1
+        : meanAbsoluteDeviation(numbers, median) * MEAN_ABSOLUTE_DEVIATION_SCALE * NORMAL_IQR_SCALE;
+      if (range === 0) {
+        return null;
+      }
+      const lowerFence = q1 - threshold * range;
+      const upperFence = q3 + threshold * range;
+      return {
+        stats: { q1, q3, lowerFence, upperFence },
+        score: (x) => {
+          if (x < lowerFence) {
+            return { score: (q1 - x) / range, direction: "low" };
+          }
+          if (x > upperFence) {
+            return { score: (x - q3) / range, direction: "high" };
+          }
+          return null;
+        }
+      };
+    }
+    
+    default:
+      throw new Error(`Unknown outlier method: "${method}".`);
+  }
+}
+
+/**
+ * Describes an outlier's score for display, e.g. "z = 4.2" or "2.5 × IQR above Q3"
+ * @param {string} method - One of the OUTLIER_METHODS keys
+ * @param {Object} result - { score, direction } from the scorer
+ * @returns {string} The description
+ */
+function describeOutlierScore(method, result) {
+  const rounded = Math.round(result.score * 10) / 10;
+  if (method === "iqr") {
+    return `${rounded} × IQR ${result.direction === "high" ? "above Q3" : "below Q1"}`;
+  }
+  return `${method === "zScore" ? "z" : "modified z"} = ${rounded}`;
+}
+
+/**
+ * Reads the comparable number of each cell in a numeric or date column
+ * @param {Array<any>} values - The column's cell values (header excluded)
+ * @param {Object} options - Parsing options
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates as day/month
+ * @returns {Object|null} { kind, numbers } where kind is "number" or "date" and numbers holds a
+ *   number or null per cell; null if the column is neither numeric nor date-like
+ */
+function getComparableNumbers(values, options = {}) {
+  const dataCleaner = getDataCleanerForOutliers();
+  
+  if (dataCleaner.isDateColumn(values, { dayFirst: options.dayFirst })) {
+    return { kind: "date", numbers: values.map((value) => dataCleaner.parseDateValue(value, { dayFirst: options.dayFirst })) };
+  }
+  
+  if (OUTLIER_NUMERIC_TYPES.includes(dataCleaner.inferColumnType(values).type)) {
+    return {
+      kind: "number",
+      numbers: values.map((value) => {
+        const parsed = dataCleaner.parseNumberLike(value);
+        return parsed ? parsed.value : null;
+      })
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Finds outliers in every numeric and date column below the header
+ * Values that don't parse (text in a number column, blanks) are skipped, not flagged.
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Object} options - Detection options
+ * @param {string} options.method - One of the OUTLIER_METHODS keys (default: "modifiedZScore")
+ * @param {number} options.threshold - Score above which a value is an outlier (default: the method's)
+ * @param {number} options.headerRowIndex - Header row to skip, or -1 if the data has none (default: 0)
+ * @param {Array<number>} options.columns - Column indices to check; every column if omitted
+ * @param {boolean} options.dayFirst - Read ambiguous numeric dates as day/month (default: false)
+ * @returns {Object} { columns, outliers } where columns lists { column, kind, count, stats } for each
+ *   checked column and outliers lists { row, column, value, score, message } ordered by row then column;
+ *   row and column are zero-based offsets into data
+ */
+function detectOutliers(data, options = {}) {
+  const method = options.method || "modifiedZScore";
+  if (!OUTLIER_METHODS[method]) {
+    throw new Error(`Unknown outlier method: "${method}".`);
+  }
+  
+  const threshold = options.threshold !== undefined ? Number(options.threshold) : OUTLIER_METHODS[method].defaultThreshold;
+  if (!Number.isFinite(threshold) || threshold <= 0) {
+    throw new Error("The outlier threshold must be a positive number.");
+  }
+  
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const firstRow = headerRowIndex + 1;
+  const columnCount = data.reduce((max, row) => Math.max(max, row.length), 0);
+  const columns = options.columns || Array.from({ length: columnCount }, (_, column) => column);
+  
+  const checkedColumns = [];
+  const outliers = [];
+  
+  columns.forEach((column) => {
+    const values = data.slice(firstRow).map((row) => row[column]);
+    const comparable = getComparableNumbers(values, options);
+    if (!comparable) {
+      return;
+    }
+    
+    const numbers = comparable.numbers.filter((number) => number !== null);
+    if (numbers.length < MIN_OUTLIER_SAMPLE) {
+      return;
+    }
+    
+    const scorer = createOutlierScorer(numbers, method, threshold);
+    const columnResult = { column, kind: comparable.kind, count: numbers.length, stats: scorer ? scorer.stats : null };
+    checkedColumns.push(columnResult);
+    if (!scorer) {
+      return;
+    }
+    
+    comparable.numbers.forEach((number, index) => {
+      const result = number === null ? null : scorer.score(number);
+      if (result) {
+        outliers.push({
+          row: firstRow + index,
+          column,
+          value: values[index],
+          score: result.score,
+          message: `Unusually ${result.direction} (${describeOutlierScore(method, result)})`
+        });
+      }
+    });
+  });
+  
+  return {
+    columns: checkedColumns,
+    outliers: outliers.sort((a, b) => a.row - b.row || a.column - b.column)
+  };
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.OutlierDetector = {
+    detectOutliers,
+    OUTLIER_METHODS
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    detectOutliers,
+    OUTLIER_METHODS
+  };
+}
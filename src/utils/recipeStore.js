@@ -0,0 +1,505 @@
+/**
+ * Recipe Store Module
+ * Provides pure functions for cleaning recipes: named, versioned snapshots of the whole cleaning
+ * configuration that can be saved, shared as JSON and checked when they are loaded
+ * Storage is left to the caller; nothing here depends on the Excel API
+ */
+
+// Identifies recipe files, so unrelated JSON is rejected with a clear message
+const RECIPE_FORMAT = "excel-data-cleaner/recipe";
+
+// Version of the recipe layout written by this code; older layouts are upgraded when loaded
+const RECIPE_VERSION = 1;
+
+// Longest recipe name accepted
+const MAX_RECIPE_NAME_LENGTH = 80;
+
+/**
+ * Task pane settings captured in a recipe, keyed by input id, with the kind of value each holds
+ * Listed in the order they are applied: a select comes before the fields its change handler resets.
+ */
+const RECIPE_FIELDS = {
+  headerMode: "string",
+  headerStyle: "string",
+  casingMode: "string",
+  casingColumns: "string",
+  casingExceptions: "string",
+  contactColumns: "string",
+  phoneFormat: "string",
+  phoneCountryCode: "string",
+  duplicateKeyColumns: "string",
+  duplicateMatch: "string",
+  duplicateThreshold: "string",
+  duplicateKeep: "string",
+  outlierMethod: "string",
+  outlierThreshold: "string",
+  staleRows: "string",
+  formulaMode: "string",
+  errorPolicy: "string",
+  errorReplacement: "string",
+  logToggle: "boolean",
+  highlightToggle: "boolean",
+  outputMode: "string",
+  aiToggle: "boolean"
+};
+
+/**
+ * Upgrades from each older recipe version to the next, keyed by the version upgraded from
+ * Empty while version 1 is the only one; a layout change adds an entry here.
+ */
+const RECIPE_MIGRATIONS = {};
+
+/**
+ * Resolves the DataCleaner module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataCleaner exports
+ */
+function getDataCleanerForRecipes() {
+  if (typeof window !== "undefined" && window.DataCleaner) {
+    return window.DataCleaner;
+  }
+  return require("./dataCleaner");
+}
+
+/**
+ * Resolves the ValidationRules module in both browser (script tag) and Node.js environments
+ * @returns {Object} The ValidationRules exports
+ */
+function getValidationRulesForRecipes() {
+  if (typeof window !== "undefined" && window.ValidationRules) {
+    return window.ValidationRules;
+  }
+  return require("./validationRules");
+}
+
+/**
+ * Resolves the ContactNormalizers module in both browser (script tag) and Node.js environments
+ * @returns {Object} The ContactNormalizers exports
+ */
+function getContactNormalizersForRecipes() {
+  if (typeof window !== "undefined" && window.ContactNormalizers) {
+    return window.ContactNormalizers;
+  }
+  return require("./contactNormalizers");
+}
+
+/**
+ * Checks if a value is a plain object (not null or an array)
+ * @param {any} value - The value
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks and trims a recipe name
+ * @param {any} name - The name
+ * @returns {string} The trimmed name
+ * @throws {Error} If the name is empty or too long
+ */
+function normalizeRecipeName(name) {
+  const trimmed = typeof name === "string" ? name.trim() : "";
+  if (!trimmed) {
+    throw new Error("Enter a name for the recipe.");
+  }
+  if (trimmed.length > MAX_RECIPE_NAME_LENGTH) {
+    throw new Error(`Recipe names can be at most ${MAX_RECIPE_NAME_LENGTH} characters.`);
+  }
+  return trimmed;
+}
+
+/**
+ * Creates a recipe from the current configuration
+ * Saving over a recipe of the same name keeps counting its revisions.
+ * @param {string} name - The recipe name
+ * @param {Object} configuration - { pipeline, settings, validationRules }
+ * @param {Object} previous - The recipe being replaced, if any
+ * @returns {Object} The recipe
+ * @throws {Error} If the name or configuration is invalid
+ */
+function createRecipe(name, configuration, previous = null) {
+  return validateRecipe({
+    format: RECIPE_FORMAT,
+    version: RECIPE_VERSION,
+    name,
+    revision: previous ? previous.revision + 1 : 1,
+    savedAt: new Date().toISOString(),
+    pipeline: configuration.pipeline,
+    settings: configuration.settings,
+    validationRules: configuration.validationRules || []
+  });
+}
+
+/**
+ * Checks a pipeline step from a recipe
+ * @param {any} step - The step
+ * @param {number} index - Position in the pipeline, for messages
+ * @returns {Object} { op, enabled, options } with options deep-copied
+ * @throws {Error} If the step is malformed or names an unknown operation
+ */
+function validateRecipeStep(step, index) {
+  if (!isPlainObject(step)) {
+    throw new Error(`Step ${index + 1} is not an object`);
+  }
+  if (!getDataCleanerForRecipes().CLEANING_OPERATIONS[step.op]) {
+    throw new Error(`Step ${index + 1} uses the unknown operation "${step.op}"`);
+  }
+  if (typeof step.enabled !== "boolean") {
+    throw new Error(`Step ${index + 1} (${step.op}) has no enabled flag`);
+  }
+  if (step.options !== undefined && !isPlainObject(step.options)) {
+    throw new Error(`Step ${index + 1} (${step.op}) has invalid options`);
+  }
+  return { op: step.op, enabled: step.enabled, options: JSON.parse(JSON.stringify(step.options || {})) };
+}
+
+/**
+ * Checks a validation rule from a recipe
+ * @param {any} rule - The rule
+ * @param {number} index - Position in the rule list, for messages
+ * @returns {Object} A copy of the rule
+ * @throws {Error} If the rule is malformed
+ */
+function validateRecipeRule(rule, index) {
+  if (!isPlainObject(rule) || !getValidationRulesForRecipes().VALIDATION_RULE_TYPES[rule.type]) {
+    throw new Error(`Validation rule ${index + 1} has an unknown type`);
+  }
+  if (!Number.isInteger(rule.column) || rule.column < 0) {
+    throw new Error(`Validation rule ${index + 1} has an invalid column`);
+  }
+  if (rule.type === "regex") {
+    try {
+      new RegExp(rule.pattern);
+    } catch (error) {
+      throw new Error(`Validation rule ${index + 1} has an invalid pattern`);
+    }
+  }
+  return JSON.parse(JSON.stringify(rule));
+}
+
+/**
+ * Checks a recipe, upgrading it from an older version first
+ * All problems are collected, so a broken recipe file is explained in one message.
+ * Settings the recipe doesn't mention are left out, so loading it keeps their current values.
+ * @param {any} raw - The recipe as stored or parsed from JSON
+ * @returns {Object} The recipe: { format, version, name, revision, savedAt, pipeline, settings, validationRules }
+ * @throws {Error} If the recipe is not valid
+ */
+function validateRecipe(raw) {
+  if (!isPlainObject(raw) || raw.format !== RECIPE_FORMAT) {
+    throw new Error("This is not a cleaning recipe.");
+  }
+  if (!Number.isInteger(raw.version) || raw.version < 1) {
+    throw new Error("The recipe has no valid version.");
+  }
+  if (raw.version > RECIPE_VERSION) {
+    throw new Error(`The recipe was saved by a newer version of the add-in (recipe version ${raw.version}; this add-in reads up to ${RECIPE_VERSION}).`);
+  }
+  
+  let recipe = raw;
+  for (let version = raw.version; version < RECIPE_VERSION; version++) {
+    recipe = RECIPE_MIGRATIONS[version](recipe);
+  }
+  
+  const problems = [];
+  const collect = (check) => {
+    try {
+      return check();
+    } catch (error) {
+      problems.push(error.message);
+      return null;
+    }
+  };
+  
+  const name = collect(() => normalizeRecipeName(recipe.name));
+  
+  let pipeline = [];
+  if (!Array.isArray(recipe.pipeline) || recipe.pipeline.length === 0) {
+    problems.push("It has no cleaning steps");
+  } else {
+    pipeline = recipe.pipeline.map((step, index) => collect(() => validateRecipeStep(step, index)));
+    const ops = pipeline.filter(Boolean).map((step) => step.op);
+    const repeated = ops.filter((op, index) => ops.indexOf(op) !== index);
+    if (repeated.length > 0) {
+      problems.push(`The step "${repeated[0]}" appears more than once`);
+    }
+  }
+  
+  const settings = {};
+  if (recipe.settings !== undefined && !isPlainObject(recipe.settings)) {
+    problems.push("Its settings are not an object");
+  } else {
+    Object.keys(recipe.settings || {}).forEach((field) => {
+      const value = recipe.settings[field];
+      if (!RECIPE_FIELDS[field]) {
+        problems.push(`Unknown setting "${field}"`);
+      } else if (typeof value !== RECIPE_FIELDS[field]) {
+        problems.push(`The setting "${field}" should be a ${RECIPE_FIELDS[field]}`);
+      } else {
+        settings[field] = value;
+      }
+    });
+  }
+  
+  let validationRules = [];
+  if (recipe.validationRules !== undefined && !Array.isArray(recipe.validationRules)) {
+    problems.push("Its validation rules are not a list");
+  } else {
+    validationRules = (recipe.validationRules || []).map((rule, index) => collect(() => validateRecipeRule(rule, index)));
+  }
+  
+  if (problems.length > 0) {
+    const label = name ? `The recipe "${name}"` : "The recipe";
+    throw new Error(`${label} can't be used: ${problems.join("; ")}.`);
+  }
+  
+  return {
+    format: RECIPE_FORMAT,
+    version: RECIPE_VERSION,
+    name,
+    revision: Number.isInteger(recipe.revision) && recipe.revision > 0 ? recipe.revision : 1,
+    savedAt: typeof recipe.savedAt === "string" ? recipe.savedAt : null,
+    pipeline,
+    settings,
+    validationRules
+  };
+}
+
+/**
+ * Builds the pipeline a recipe runs, adding operations it doesn't know about
+ * Operations added to the cleaner after the recipe was saved are appended, turned off, with
+ * their default options, so loading an older recipe never switches on something new.
+ * @param {Object} recipe - A validated recipe
+ * @returns {Array<Object>} Pipeline steps ({ op, enabled, options })
+ */
+function getRecipePipeline(recipe) {
+  const steps = recipe.pipeline.map((step) => ({ ...step, options: JSON.parse(JSON.stringify(step.options)) }));
+  getDataCleanerForRecipes().PIPELINE_TEMPLATE.forEach((templateStep) => {
+    if (!steps.some((step) => step.op === templateStep.op)) {
+      steps.push({ op: templateStep.op, enabled: false, options: { ...templateStep.options } });
+    }
+  });
+  return steps;
+}
+
+/**
+ * Builds the cleanData options a recipe stands for, without the task pane
+ * Column settings given by header name are resolved against the data's header row, as the task
+ * pane does when cleaning. Settings the recipe leaves out keep the options saved with its steps.
+ * @param {Object} recipe - A validated recipe
+ * @param {Array<Array<any>>} data - The data the recipe will be applied to
+ * @returns {Object} { pipeline, header, headerStyle, formulaMode, errors } options for cleanData
+ * @throws {Error} If a column setting cannot be resolved against the data
+ */
+function getRecipeCleaningOptions(recipe, data) {
+  const cleaner = getDataCleanerForRecipes();
+  const settings = recipe.settings;
+  const has = (field) => settings[field] !== undefined;
+  
+  const header = has("headerMode") ? settings.headerMode : "auto";
+  const headerRowIndex = header === "none" ? -1 : cleaner.detectHeaderRow(data);
+  const headerRow = headerRowIndex === -1 ? [] : data[headerRowIndex];
+  const pipeline = getRecipePipeline(recipe);
+  const findStep = (op) => pipeline.find((step) => step.op === op);
+  
+  const duplicateOptions = findStep("removeDuplicateRows").options;
+  if (has("duplicateKeyColumns")) {
+    duplicateOptions.keyColumns = cleaner.parseColumnList(settings.duplicateKeyColumns, headerRow);
+  }
+  if (has("duplicateMatch")) {
+    duplicateOptions.match = settings.duplicateMatch;
+  }
+  if (has("duplicateThreshold")) {
+    const threshold = parseFloat(settings.duplicateThreshold);
+    duplicateOptions.threshold = Number.isFinite(threshold) ? threshold : cleaner.DEFAULT_FUZZY_THRESHOLD;
+  }
+  if (has("duplicateKeep")) {
+    duplicateOptions.keep = settings.duplicateKeep;
+  }
+  
+  const contactStep = findStep("normalizeContacts");
+  if (has("contactColumns")) {
+    contactStep.options.columnTypes = cleaner.parseColumnAssignments(
+      settings.contactColumns,
+      headerRow,
+      getContactNormalizersForRecipes().CONTACT_FIELD_TYPES
+    );
+  }
+  if (has("phoneFormat")) {
+    contactStep.options.phoneFormat = settings.phoneFormat;
+  }
+  if (has("phoneCountryCode")) {
+    const countryCode = settings.phoneCountryCode.trim().replace(/^\+/, "");
+    if (countryCode && !/^\d{1,3}$/.test(countryCode)) {
+      throw new Error(`Invalid country code "${countryCode}". Enter 1 to 3 digits, e.g. 1 or 44.`);
+    }
+    contactStep.options.defaultCountryCode = countryCode || "1";
+  }
+  
+  // Contact columns are left alone unless a casing mode is given for them explicitly
+  const casingOptions = findStep("normalizeCasing").options;
+  if (has("casingMode")) {
+    casingOptions.mode = settings.casingMode;
+  }
+  if (has("casingColumns") || has("contactColumns")) {
+    const columnModes = has("casingColumns")
+      ? cleaner.parseColumnAssignments(settings.casingColumns, headerRow, cleaner.CASING_MODES)
+      : { ...casingOptions.columnModes };
+    const contactColumns = contactStep.enabled ? Object.keys(contactStep.options.columnTypes || {}) : [];
+    contactColumns.forEach((column) => {
+      if (!columnModes[column]) {
+        columnModes[column] = "none";
+      }
+    });
+    casingOptions.columnModes = columnModes;
+  }
+  if (has("casingExceptions")) {
+    casingOptions.exceptions = cleaner.parseCasingExceptions(settings.casingExceptions);
+  }
+  
+  return {
+    pipeline,
+    header,
+    headerStyle: has("headerStyle") ? settings.headerStyle : "none",
+    formulaMode: has("formulaMode") ? settings.formulaMode : "skip",
+    errors: {
+      policy: has("errorPolicy") ? settings.errorPolicy : "flag",
+      replacement: has("errorReplacement") ? settings.errorReplacement : cleaner.EMPTY_CELL_REPLACEMENT
+    }
+  };
+}
+
+/**
+ * Adds a recipe to a list, replacing any recipe with the same name (ignoring case)
+ * @param {Array<Object>} recipes - The stored recipes
+ * @param {Object} recipe - The recipe to add
+ * @returns {Array<Object>} A new list sorted by name
+ */
+function upsertRecipe(recipes, recipe) {
+  return recipes
+    .filter((existing) => existing.name.toLowerCase() !== recipe.name.toLowerCase())
+    .concat(recipe)
+    .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Finds a recipe by name (ignoring case)
+ * @param {Array<Object>} recipes - The stored recipes
+ * @param {string} name - The recipe name
+ * @returns {Object|null} The recipe, or null if there is none
+ */
+function findRecipe(recipes, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return recipes.find((recipe) => recipe.name.toLowerCase() === wanted) || null;
+}
+
+/**
+ * Removes a recipe by name (ignoring case)
+ * @param {Array<Object>} recipes - The stored recipes
+ * @param {string} name - The recipe name
+ * @returns {Array<Object>} A new list without the recipe
+ */
+function removeRecipe(recipes, name) {
+  const wanted = String(name).trim().toLowerCase();
+  return recipes.filter((recipe) => recipe.name.toLowerCase() !== wanted);
+}
+
+/**
+ * Reads the recipes kept in storage, skipping (and logging) any that no longer validate
+ * @param {any} stored - The stored list
+ * @returns {Array<Object>} The valid recipes
+ */
+function readStoredRecipes(stored) {
+  if (!Array.isArray(stored)) {
+    return [];
+  }
+  return stored.reduce((recipes, raw) => {
+    try {
+      recipes.push(validateRecipe(raw));
+    } catch (error) {
+      console.warn("Skipping a stored recipe:", error.message);
+    }
+    return recipes;
+  }, []);
+}
+
+/**
+ * Writes a recipe as a JSON file's contents
+ * @param {Object} recipe - The recipe
+ * @returns {string} Indented JSON
+ */
+function serializeRecipe(recipe) {
+  return JSON.stringify(recipe, null, 2);
+}
+
+/**
+ * Reads the recipes in a JSON file: a single recipe or a list of them
+ * @param {string} text - The file contents
+ * @returns {Array<Object>} The validated recipes
+ * @throws {Error} If the text is not JSON or a recipe is not valid
+ */
+function parseRecipeJson(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`The recipe file is not valid JSON (${error.message}).`);
+  }
+  
+  const list = Array.isArray(parsed) ? parsed : [parsed];
+  if (list.length === 0) {
+    throw new Error("The recipe file holds no recipes.");
+  }
+  return list.map(validateRecipe);
+}
+
+/**
+ * Makes a file name for an exported recipe, e.g. "Monthly Sales.recipe.json"
+ * @param {Object} recipe - The recipe
+ * @returns {string} The file name
+ */
+function getRecipeFileName(recipe) {
+  const safeName = recipe.name.replace(/[\\/:*?"<>|]+/g, " ").replace(/\s+/g, " ").trim() || "recipe";
+  return `${safeName}.recipe.json`;
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.RecipeStore = {
+    createRecipe,
+    validateRecipe,
+    getRecipePipeline,
+    getRecipeCleaningOptions,
+    upsertRecipe,
+    findRecipe,
+    removeRecipe,
+    readStoredRecipes,
+    serializeRecipe,
+    parseRecipeJson,
+    getRecipeFileName,
+    RECIPE_FIELDS,
+    RECIPE_FORMAT,
+    RECIPE_VERSION
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createRecipe,
+    validateRecipe,
+    getRecipePipeline,
+    getRecipeCleaningOptions,
+    upsertRecipe,
+    findRecipe,
+    removeRecipe,
+    readStoredRecipes,
+    serializeRecipe,
+    parseRecipeJson,
+    getRecipeFileName,
+    RECIPE_FIELDS,
+    RECIPE_FORMAT,
+    RECIPE_VERSION
+  };
+}
@@ -0,0 +1,245 @@
+/**
+ * Validation Rules Module
+ * Provides pure functions for checking data against per-column rules
+ * Finds bad values that cleaning can't fix automatically; nothing here changes the data
+ * All functions work with 2D arrays (row-major) and have no Excel API dependencies
+ */
+
+/**
+ * Supported rule types, with the label and parameter hint shown in the task pane
+ */
+const VALIDATION_RULE_TYPES = {
+  required: { label: "Required", parameter: null },
+  regex: { label: "Matches pattern", parameter: "Regular expression, e.g. ^[A-Z]{3}-\\d{4}$" },
+  email: { label: "Valid email", parameter: null },
+  range: { label: "Number in range", parameter: "Minimum, maximum (either may be blank)" },
+  allowedValues: { label: "One of", parameter: "Allowed values, comma-separated" },
+  maxLength: { label: "Maximum length", parameter: "Number of characters" },
+  unique: { label: "Unique", parameter: null }
+};
+
+// Deliberately permissive: one @, no spaces, and a dot in the domain
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Resolves the DataCleaner module in both browser (script tag) and Node.js environments
+ * @returns {Object} The DataCleaner exports
+ */
+function getDataCleanerForRules() {
+  if (typeof window !== "undefined" && window.DataCleaner) {
+    return window.DataCleaner;
+  }
+  return require("./dataCleaner");
+}
+
+/**
+ * Checks if a value is blank (null, undefined, or a whitespace-only string)
+ * @param {any} value - The cell value
+ * @returns {boolean} True if the value is blank
+ */
+function isBlankValue(value) {
+  return value === null || value === undefined || (typeof value === "string" && value.trim().length === 0);
+}
+
+/**
+ * Creates a rule from task pane input, parsing and checking its parameter
+ * @param {string} type - One of the VALIDATION_RULE_TYPES keys
+ * @param {number} column - Zero-based column index
+ * @param {string} parameter - The parameter as typed by the user (ignored by rules without one)
+ * @returns {Object} The rule ({ type, column, ...parameters })
+ * @throws {Error} If the type is unknown or the parameter is invalid
+ */
+function createValidationRule(type, column, parameter = "") {
+  const text = String(parameter || "").trim();
+  
+  switch (type) {
+    case "required":
+    case "email":
+    case "unique":
+      return { type, column };
+    
+    case "regex":
+      if (!text) {
+        throw new Error("Enter a pattern for the rule.");
+      }
+      try {
+        new RegExp(text);
+      } catch (error) {
+        throw new Error(`Invalid pattern: ${error.message}`);
+      }
+      return { type, column, pattern: text };
+    
+    case "range": {
+      const [minText = "", maxText = ""] = text.split(",").map((part) => part.trim());
+      const min = minText === "" ? null : Number(minText);
+      const max = maxText === "" ? null : Number(maxText);
+      
+      if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) {
+        throw new Error("Enter the range as two numbers, e.g. 0, 100.");
+      }
+      if (min === null && max === null) {
+        throw new Error("Enter a minimum, a maximum, or both.");
+      }
+      return { type, column, min, max };
+    }
+    
+    case "allowedValues": {
+      const values = text.split(",").map((value) => value.trim()).filter((value) => value.length > 0);
+      if (values.length === 0) {
+        throw new Error("Enter at least one allowed value.");
+      }
+      return { type, column, values };
+    }
+    
+    case "maxLength": {
+      const max = Number(text);
+      if (!Number.isInteger(max) || max < 1) {
+        throw new Error("Enter the maximum length as a whole number.");
+      }
+      return { type, column, max };
+    }
+    
+    default:
+      throw new Error(`Unknown validation rule: "${type}".`);
+  }
+}
+
+/**
+ * Describes a rule for display, e.g. "Number in range (0 to 100)"
+ * @param {Object} rule - A rule from createValidationRule
+ * @returns {string} The description
+ */
+function describeValidationRule(rule) {
+  const label = VALIDATION_RULE_TYPES[rule.type] ? VALIDATION_RULE_TYPES[rule.type].label : rule.type;
+  
+  switch (rule.type) {
+    case "regex":
+      return `${label} /${rule.pattern}/`;
+    case "range":
+      if (rule.min === null) {
+        return `${label} (at most ${rule.max})`;
+      }
+      if (rule.max === null) {
+        return `${label} (at least ${rule.min})`;
+      }
+      return `${label} (${rule.min} to ${rule.max})`;
+    case "allowedValues":
+      return `${label}: ${rule.values.join(", ")}`;
+    case "maxLength":
+      return `${label} ${rule.max}`;
+    default:
+      return label;
+  }
+}
+
+/**
+ * Checks a single value against a rule (uniqueness is checked across the column separately)
+ * @param {any} value - The cell value
+ * @param {Object} rule - A rule from createValidationRule
+ * @returns {string|null} A message describing the violation, or null if the value passes
+ */
+function checkValue(value, rule) {
+  if (isBlankValue(value)) {
+    return rule.type === "required" ? "Value is required" : null;
+  }
+  
+  const text = String(value).trim();
+  
+  switch (rule.type) {
+    case "regex":
+      return new RegExp(rule.pattern).test(text) ? null : `Does not match /${rule.pattern}/`;
+    
+    case "email":
+      return EMAIL_PATTERN.test(text) ? null : "Not a valid email address";
+    
+    case "range": {
+      const parsed = getDataCleanerForRules().parseNumberLike(value);
+      if (!parsed) {
+        return "Not a number";
+      }
+      if (rule.min !== null && parsed.value < rule.min) {
+        return `Less than ${rule.min}`;
+      }
+      if (rule.max !== null && parsed.value > rule.max) {
+        return `Greater than ${rule.max}`;
+      }
+      return null;
+    }
+    
+    case "allowedValues": {
+      const allowed = rule.values.some((candidate) => candidate.toLowerCase() === text.toLowerCase());
+      return allowed ? null : "Not an allowed value";
+    }
+    
+    case "maxLength":
+      return text.length > rule.max ? `Longer than ${rule.max} characters` : null;
+    
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validates every data row below the header against the rules
+ * @param {Array<Array<any>>} data - 2D array of data
+ * @param {Array<Object>} rules - Rules from createValidationRule
+ * @param {Object} options - Validation options
+ * @param {number} options.headerRowIndex - Header row to skip, or -1 if the data has none (default: 0)
+ * @returns {Array<Object>} { row, column, value, rule, message } for each violation,
+ *   ordered by row then column; row and column are zero-based offsets into data
+ */
+function validateData(data, rules, options = {}) {
+  const headerRowIndex = options.headerRowIndex !== undefined ? options.headerRowIndex : 0;
+  const violations = [];
+  
+  rules.forEach((rule) => {
+    if (rule.type === "unique") {
+      const firstSeen = new Map();
+      for (let row = headerRowIndex + 1; row < data.length; row++) {
+        const value = data[row][rule.column];
+        if (isBlankValue(value)) {
+          continue;
+        }
+        
+        const key = String(value).trim().toLowerCase();
+        if (firstSeen.has(key)) {
+          violations.push({ row, column: rule.column, value, rule, message: `Duplicate of row ${firstSeen.get(key) + 1}` });
+        } else {
+          firstSeen.set(key, row);
+        }
+      }
+      return;
+    }
+    
+    for (let row = headerRowIndex + 1; row < data.length; row++) {
+      const value = data[row][rule.column];
+      const message = checkValue(value, rule);
+      if (message) {
+        violations.push({ row, column: rule.column, value, rule, message });
+      }
+    }
+  });
+  
+  return violations.sort((a, b) => a.row - b.row || a.column - b.column);
+}
+
+// Export functions for use in other modules
+// Browser environment: attach to window object
+if (typeof window !== "undefined") {
+  window.ValidationRules = {
+    createValidationRule,
+    describeValidationRule,
+    validateData,
+    VALIDATION_RULE_TYPES
+  };
+}
+
+// Node.js environment: use module.exports
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    createValidationRule,
+    describeValidationRule,
+    validateData,
+    VALIDATION_RULE_TYPES
+  };
+}